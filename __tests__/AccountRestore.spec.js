@@ -0,0 +1,250 @@
+const request = require('supertest');
+const fs = require('fs');
+const path = require('path');
+const config = require('config');
+const app = require('../src/app');
+const User = require('../src/model/user');
+const sequelize = require('../src/config/database');
+const bcrypt = require('bcrypt');
+const EmailService = require('../src/service/email');
+const UserService = require('../src/service/user');
+const FileService = require('../src/service/file');
+const RateLimitService = require('../src/service/rateLimit');
+const createMemoryStore = require('../src/store/memoryStore');
+const { hashToken } = require('../src/shared/hash');
+
+const { uploadDir, profileDir } = config;
+const THIRTY_ONE_DAYS_IN_MILLIS = 31 * 24 * 60 * 60 * 1000;
+
+let sendAccountRestoreToken;
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true }, force: true });
+  RateLimitService.useStore(createMemoryStore());
+  sendAccountRestoreToken = jest.spyOn(EmailService, 'sendAccountRestoreToken').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+const credentials = { email: 'user1@xyz.com', password: 'P4ssword' };
+
+const addUser = async (user = {}) => {
+  const hash = await bcrypt.hash(credentials.password, 10);
+  return User.create({ username: 'user1', email: credentials.email, password: hash, inactive: false, ...user });
+};
+
+const deleteAccount = async (user) => {
+  const login = await request(app).post('/api/1.0/auth').send(credentials);
+  await request(app).delete(`/api/1.0/users/${user.id}`).set('Authorization', `Bearer ${login.body.token}`).send();
+  return sendAccountRestoreToken.mock.calls[0] && sendAccountRestoreToken.mock.calls[0][1];
+};
+
+const expireGracePeriod = async (user) => {
+  await User.update(
+    { deletedAt: new Date(Date.now() - THIRTY_ONE_DAYS_IN_MILLIS) },
+    { where: { id: user.id }, paranoid: false }
+  );
+};
+
+const restore = (token, options = {}) => {
+  const agent = request(app).post(`/api/1.0/users/restore/${token}`);
+  if (options.language) {
+    agent.set('accept-language', options.language);
+  }
+  return agent.send();
+};
+
+describe('Soft Delete', () => {
+  it('keeps the deleted account with a deletion date', async () => {
+    const user = await addUser();
+    await deleteAccount(user);
+
+    const userInDB = await User.findOne({ where: { id: user.id }, paranoid: false });
+    expect(userInDB).not.toBeNull();
+    expect(userInDB.deletedAt).toBeTruthy();
+  });
+
+  it('hides the deleted account from the user listing', async () => {
+    const user = await addUser();
+    await deleteAccount(user);
+
+    const response = await request(app).get('/api/1.0/users');
+    expect(response.body.users.content.length).toBe(0);
+  });
+
+  it('sends a restore link and stores only its digest', async () => {
+    const user = await addUser();
+    const restoreToken = await deleteAccount(user);
+
+    const userInDB = await User.findOne({ where: { id: user.id }, paranoid: false });
+    expect(sendAccountRestoreToken.mock.calls[0][0]).toBe(credentials.email);
+    expect(userInDB.restoreToken).toBe(hashToken(restoreToken));
+  });
+
+  it('deletes the account even when the restore link cannot be sent', async () => {
+    const user = await addUser();
+    sendAccountRestoreToken.mockRejectedValue({ message: 'Failed to deliver email' });
+
+    await deleteAccount(user);
+
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(userInDB).toBeNull();
+  });
+
+  it('returns Email already in use when registering with the email of a deleted account', async () => {
+    const user = await addUser();
+    await deleteAccount(user);
+    jest.spyOn(EmailService, 'sendActivationToken').mockResolvedValue();
+
+    const response = await request(app)
+      .post('/api/1.0/users')
+      .send({ username: 'user2', email: credentials.email, password: 'N3w-P4ssword' });
+    expect(response.body.validationErrors.email).toBe('Email already in use');
+  });
+});
+
+describe('Restore by Login', () => {
+  it('restores the account when the user logs in within the grace period', async () => {
+    const user = await addUser();
+    await deleteAccount(user);
+
+    const response = await request(app).post('/api/1.0/auth').send(credentials);
+
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(response.status).toBe(200);
+    expect(response.body.token).toBeTruthy();
+    expect(userInDB).not.toBeNull();
+    expect(userInDB.restoreToken).toBeNull();
+  });
+
+  it('returns 401 when the grace period is over', async () => {
+    const user = await addUser();
+    await deleteAccount(user);
+    await expireGracePeriod(user);
+
+    const response = await request(app).post('/api/1.0/auth').send(credentials);
+    expect(response.status).toBe(401);
+  });
+});
+
+describe('Restore by Link', () => {
+  it.each`
+    language | message
+    ${'en'}  | ${'Account restored successfully'}
+    ${'de'}  | ${'Konto erfolgreich wiederhergestellt'}
+  `('restores the account and returns $message in $language language', async ({ language, message }) => {
+    const user = await addUser();
+    const restoreToken = await deleteAccount(user);
+
+    const response = await restore(restoreToken, { language });
+
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe(message);
+    expect(userInDB).not.toBeNull();
+  });
+
+  it('returns 400 when the link is used twice', async () => {
+    const user = await addUser();
+    const restoreToken = await deleteAccount(user);
+    await restore(restoreToken);
+
+    const response = await restore(restoreToken);
+    expect(response.status).toBe(400);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${'Restore link has expired, the account can no longer be restored'}
+    ${'de'}  | ${'Der Wiederherstellungslink ist abgelaufen, das Konto kann nicht mehr wiederhergestellt werden'}
+  `('returns $message when the grace period is over in $language language', async ({ language, message }) => {
+    const user = await addUser();
+    const restoreToken = await deleteAccount(user);
+    await expireGracePeriod(user);
+
+    const response = await restore(restoreToken, { language });
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe(message);
+  });
+});
+
+describe('Purge', () => {
+  const addProfileImage = async () => {
+    const fileName = 'purge-test-image';
+    await fs.promises.writeFile(path.join('.', uploadDir, profileDir, fileName), 'image');
+    return fileName;
+  };
+
+  it('removes accounts whose grace period is over', async () => {
+    const user = await addUser();
+    await deleteAccount(user);
+    await expireGracePeriod(user);
+
+    const purged = await UserService.purgeDeletedUsers();
+
+    const userInDB = await User.findOne({ where: { id: user.id }, paranoid: false });
+    expect(purged).toBe(1);
+    expect(userInDB).toBeNull();
+  });
+
+  it('keeps accounts within the grace period', async () => {
+    const user = await addUser();
+    await deleteAccount(user);
+
+    await UserService.purgeDeletedUsers();
+
+    const userInDB = await User.findOne({ where: { id: user.id }, paranoid: false });
+    expect(userInDB).not.toBeNull();
+  });
+
+  it('removes the profile image of purged accounts', async () => {
+    const profileImage = await addProfileImage();
+    const user = await addUser({ profileImage });
+    const deleteProfileImage = jest.spyOn(FileService, 'deleteProfileImage');
+    await deleteAccount(user);
+    await expireGracePeriod(user);
+
+    await UserService.purgeDeletedUsers();
+
+    expect(deleteProfileImage).toHaveBeenCalledWith(profileImage);
+    expect(fs.existsSync(path.join('.', uploadDir, profileDir, profileImage))).toBe(false);
+  });
+
+  it('purges the other accounts when one of them fails', async () => {
+    const failing = await addUser({ profileImage: 'failing-image' });
+    const other = await addUser({ username: 'user2', email: 'user2@xyz.com' });
+    await User.destroy({ where: {} });
+    await expireGracePeriod(failing);
+    await expireGracePeriod(other);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(FileService, 'deleteProfileImage').mockRejectedValue(new Error('storage unavailable'));
+
+    const purged = await UserService.purgeDeletedUsers();
+
+    expect(purged).toBe(1);
+    expect(await User.findOne({ where: { id: failing.id }, paranoid: false })).not.toBeNull();
+    expect(await User.findOne({ where: { id: other.id }, paranoid: false })).toBeNull();
+    expect(console.error).toHaveBeenCalledTimes(1);
+  });
+
+  it('purges the account when its profile image is already gone', async () => {
+    const user = await addUser({ profileImage: 'missing-image' });
+    await deleteAccount(user);
+    await expireGracePeriod(user);
+
+    await UserService.purgeDeletedUsers();
+
+    const userInDB = await User.findOne({ where: { id: user.id }, paranoid: false });
+    expect(userInDB).toBeNull();
+  });
+});
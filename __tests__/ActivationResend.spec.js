@@ -0,0 +1,143 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/model/user');
+const sequelize = require('../src/config/database');
+const EmailService = require('../src/service/email');
+const { hashToken } = require('../src/shared/hash');
+const RateLimitService = require('../src/service/rateLimit');
+const createMemoryStore = require('../src/store/memoryStore');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true }, force: true });
+  RateLimitService.useStore(createMemoryStore());
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+const email = 'user1@xyz.com';
+
+const addUser = async (user = {}) => {
+  return User.create({
+    username: 'user1',
+    email,
+    password: 'hash',
+    activationToken: hashToken('old-token'),
+    activationTokenExpiresAt: new Date(Date.now() - 1000),
+    activationEmailSentAt: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000),
+    ...user,
+  });
+};
+
+const resend = (body = { email }, options = {}) => {
+  const agent = request(app).post('/api/1.0/users/activation/resend');
+  if (options.language) {
+    agent.set('accept-language', options.language);
+  }
+  return agent.send(body);
+};
+
+describe('Resend Activation Email', () => {
+  it('returns 200 OK and sends a new activation email for an inactive account', async () => {
+    const sendActivationToken = jest.spyOn(EmailService, 'sendActivationToken').mockResolvedValue();
+    await addUser();
+
+    const response = await resend();
+
+    expect(response.status).toBe(200);
+    expect(sendActivationToken).toHaveBeenCalledTimes(1);
+    expect(sendActivationToken.mock.calls[0][0]).toBe(email);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${'Check your email for a new activation link'}
+    ${'de'}  | ${'Sehen Sie in Ihren E-Mails nach einem neuen Aktivierungslink'}
+  `('returns $message when activation email is resent in $language language', async ({ language, message }) => {
+    jest.spyOn(EmailService, 'sendActivationToken').mockResolvedValue();
+    await addUser();
+
+    const response = await resend({ email }, { language });
+    expect(response.body.message).toBe(message);
+  });
+
+  it('replaces the previous activation token with a fresh one that activates the account', async () => {
+    const sendActivationToken = jest.spyOn(EmailService, 'sendActivationToken').mockResolvedValue();
+    await addUser();
+
+    await resend();
+    const token = sendActivationToken.mock.calls[0][1];
+    const oldTokenResponse = await request(app).post('/api/1.0/users/token/old-token').send();
+    const response = await request(app).post(`/api/1.0/users/token/${token}`).send();
+
+    const user = await User.findOne({ where: { email } });
+    expect(oldTokenResponse.status).toBe(400);
+    expect(response.status).toBe(200);
+    expect(user.inactive).toBe(false);
+  });
+
+  it('returns 404 when email is unknown', async () => {
+    const response = await resend();
+    expect(response.status).toBe(404);
+  });
+
+  it('returns 400 when email is invalid', async () => {
+    const response = await resend({ email: 'user1xyz.com' });
+    expect(response.status).toBe(400);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${'Account is already active'}
+    ${'de'}  | ${'Konto ist bereits aktiv'}
+  `('returns 403 with $message when account is already active in $language language', async ({ language, message }) => {
+    await addUser({ inactive: false, activationToken: null });
+
+    const response = await resend({ email }, { language });
+    expect(response.status).toBe(403);
+    expect(response.body.message).toBe(message);
+  });
+
+  it('returns 429 with Retry-After when an activation email was sent within the last 5 minutes', async () => {
+    jest.spyOn(EmailService, 'sendActivationToken').mockResolvedValue();
+    await addUser();
+
+    await resend();
+    const response = await resend();
+
+    expect(response.status).toBe(429);
+    expect(Number.parseInt(response.headers['retry-after'])).toBeGreaterThan(0);
+    expect(Number.parseInt(response.headers['retry-after'])).toBeLessThanOrEqual(5 * 60);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${'An activation email was sent recently, please try again later'}
+    ${'de'}  | ${'Es wurde kürzlich eine Aktivierungs-E-Mail gesendet, bitte versuchen Sie es später erneut'}
+  `('returns $message when resending too often in $language language', async ({ language, message }) => {
+    await addUser({ activationEmailSentAt: new Date() });
+
+    const response = await resend({ email }, { language });
+    expect(response.body.message).toBe(message);
+  });
+
+  it('returns 502 and keeps the previous token when sending email fails', async () => {
+    jest.spyOn(EmailService, 'sendActivationToken').mockRejectedValue({ message: 'Failed to deliver email' });
+    await addUser();
+
+    const response = await resend();
+
+    const user = await User.findOne({ where: { email } });
+    expect(response.status).toBe(502);
+    expect(user.activationToken).toBe(hashToken('old-token'));
+  });
+});
@@ -0,0 +1,338 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/model/user');
+const sequelize = require('../src/config/database');
+const bcrypt = require('bcrypt');
+const Token = require('../src/model/token');
+const en = require('../locales/en/translation.json');
+const de = require('../locales/de/translation.json');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true }, force: true });
+  await Token.destroy({ truncate: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+const adminCredentials = { email: 'admin@xyz.com', password: 'test1234' };
+const moderatorCredentials = { email: 'moderator@xyz.com', password: 'test1234' };
+const userCredentials = { email: 'user1@xyz.com', password: 'test1234' };
+
+const addUser = async (user) => {
+  const hash = await bcrypt.hash('test1234', 10);
+  return User.create({ inactive: false, ...user, password: hash });
+};
+
+const addAdmin = () => addUser({ username: 'admin', email: adminCredentials.email, role: 'admin' });
+const addModerator = () => addUser({ username: 'moderator', email: moderatorCredentials.email, role: 'moderator' });
+const addSecondAdmin = () => addUser({ username: 'admin2', email: 'admin2@xyz.com', role: 'admin' });
+const addRegularUser = (inactive = false) => addUser({ username: 'user1', email: userCredentials.email, inactive });
+
+const auth = async (credentials) => {
+  const response = await request(app).post('/api/1.0/auth').send(credentials);
+  return response.body.token;
+};
+
+const adminRequest = async (method, url, options = {}) => {
+  let token;
+  if (options.auth) {
+    token = await auth(options.auth);
+  }
+
+  const agent = request(app)[method](url);
+  if (options.language) {
+    agent.set('accept-language', options.language);
+  }
+  if (token) {
+    agent.set('Authorization', `Bearer ${token}`);
+  }
+
+  return agent.send(options.body);
+};
+
+describe('Admin - Role', () => {
+  it('creates users with user role by default', async () => {
+    const user = await addRegularUser();
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(userInDB.role).toBe('user');
+  });
+
+  it('rejects unknown roles at model level', async () => {
+    await expect(addUser({ username: 'user2', email: 'user2@xyz.com', role: 'superuser' })).rejects.toThrow();
+  });
+});
+
+describe('Admin - Listing inactive users', () => {
+  it('returns 403 when request is sent without authorization', async () => {
+    const response = await adminRequest('get', '/api/1.0/admin/users/inactive');
+    expect(response.status).toBe(403);
+  });
+
+  it('returns 403 when request is sent by a user with user role', async () => {
+    await addRegularUser();
+    const response = await adminRequest('get', '/api/1.0/admin/users/inactive', { auth: userCredentials });
+    expect(response.status).toBe(403);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${'You are not authorized to perform this action'}
+    ${'de'}  | ${'Sie sind nicht berechtigt, diese Aktion auszuführen'}
+  `('returns $message when role is insufficient in $language language', async ({ language, message }) => {
+    await addRegularUser();
+    const response = await adminRequest('get', '/api/1.0/admin/users/inactive', { auth: userCredentials, language });
+    expect(response.body.message).toBe(message);
+  });
+
+  it('returns only inactive users for admin', async () => {
+    await addAdmin();
+    await addRegularUser(true);
+    const response = await adminRequest('get', '/api/1.0/admin/users/inactive', { auth: adminCredentials });
+
+    const { users } = response.body;
+    expect(response.status).toBe(200);
+    expect(users.content.length).toBe(1);
+    expect(users.content[0].email).toBe(userCredentials.email);
+    expect(Object.keys(users.content[0])).toEqual(['id', 'username', 'email', 'role', 'createdAt']);
+  });
+
+  it('returns 200 for moderator', async () => {
+    await addModerator();
+    const response = await adminRequest('get', '/api/1.0/admin/users/inactive', { auth: moderatorCredentials });
+    expect(response.status).toBe(200);
+  });
+});
+
+describe('Admin - Activation', () => {
+  it('force-activates an inactive account', async () => {
+    await addAdmin();
+    const user = await addRegularUser(true);
+    const response = await adminRequest('post', `/api/1.0/admin/users/${user.id}/activate`, { auth: adminCredentials });
+
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(response.status).toBe(200);
+    expect(userInDB.inactive).toBe(false);
+  });
+
+  it('deactivates an account and removes its tokens', async () => {
+    await addAdmin();
+    const user = await addRegularUser();
+    await auth(userCredentials);
+
+    const response = await adminRequest('post', `/api/1.0/admin/users/${user.id}/deactivate`, {
+      auth: adminCredentials,
+    });
+
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    const tokens = await Token.findAll({ where: { userId: user.id } });
+    expect(response.status).toBe(200);
+    expect(userInDB.inactive).toBe(true);
+    expect(tokens.length).toBe(0);
+  });
+
+  it('deactivates a user for moderator', async () => {
+    await addModerator();
+    const user = await addRegularUser();
+
+    const response = await adminRequest('post', `/api/1.0/admin/users/${user.id}/deactivate`, {
+      auth: moderatorCredentials,
+    });
+    expect(response.status).toBe(200);
+  });
+
+  it.each`
+    actor          | target         | action
+    ${'moderator'} | ${'moderator'} | ${'deactivate'}
+    ${'moderator'} | ${'admin'}     | ${'deactivate'}
+    ${'moderator'} | ${'admin'}     | ${'activate'}
+    ${'admin'}     | ${'admin'}     | ${'deactivate'}
+  `('returns 403 when $actor tries to $action a $target', async ({ actor, target, action }) => {
+    const credentials = { email: `${actor}@xyz.com`, password: 'test1234' };
+    await addUser({ username: actor, email: credentials.email, role: actor });
+    const user = await addUser({ username: `${target}2`, email: `${target}2@xyz.com`, role: target });
+
+    const response = await adminRequest('post', `/api/1.0/admin/users/${user.id}/${action}`, { auth: credentials });
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(response.status).toBe(403);
+    expect(userInDB.inactive).toBe(false);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${en.MODERATION_NOT_ALLOWED}
+    ${'de'}  | ${de.MODERATION_NOT_ALLOWED}
+  `(
+    'returns "$message" when moderating a user of a higher role in $language language',
+    async ({ language, message }) => {
+      await addModerator();
+      const admin = await addAdmin();
+
+      const response = await adminRequest('post', `/api/1.0/admin/users/${admin.id}/deactivate`, {
+        auth: moderatorCredentials,
+        language,
+      });
+      expect(response.body.message).toBe(message);
+    }
+  );
+
+  it('returns 404 when user does not exist', async () => {
+    await addAdmin();
+    const response = await adminRequest('post', '/api/1.0/admin/users/5000/activate', { auth: adminCredentials });
+    expect(response.status).toBe(404);
+  });
+
+  it('returns 400 when user id is invalid', async () => {
+    await addAdmin();
+    const response = await adminRequest('post', '/api/1.0/admin/users/abc/activate', { auth: adminCredentials });
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('Admin - Role change', () => {
+  it('returns 403 when moderator tries to change a role', async () => {
+    await addModerator();
+    const user = await addRegularUser();
+    const response = await adminRequest('put', `/api/1.0/admin/users/${user.id}/role`, {
+      auth: moderatorCredentials,
+      body: { role: 'admin' },
+    });
+    expect(response.status).toBe(403);
+  });
+
+  it('changes the role of the user', async () => {
+    await addAdmin();
+    const user = await addRegularUser();
+    const response = await adminRequest('put', `/api/1.0/admin/users/${user.id}/role`, {
+      auth: adminCredentials,
+      body: { role: 'moderator' },
+    });
+
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(response.status).toBe(200);
+    expect(userInDB.role).toBe('moderator');
+  });
+
+  it('returns 403 when the last admin changes their own role', async () => {
+    const admin = await addAdmin();
+    const response = await adminRequest('put', `/api/1.0/admin/users/${admin.id}/role`, {
+      auth: adminCredentials,
+      body: { role: 'user' },
+    });
+
+    const userInDB = await User.findOne({ where: { id: admin.id } });
+    expect(response.status).toBe(403);
+    expect(userInDB.role).toBe('admin');
+  });
+
+  it('changes the role of an admin when another admin is left', async () => {
+    const admin = await addAdmin();
+    await addSecondAdmin();
+    const response = await adminRequest('put', `/api/1.0/admin/users/${admin.id}/role`, {
+      auth: adminCredentials,
+      body: { role: 'moderator' },
+    });
+    expect(response.status).toBe(200);
+  });
+
+  it('does not count deactivated admins as left', async () => {
+    const admin = await addAdmin();
+    await User.update({ inactive: true }, { where: { id: (await addSecondAdmin()).id } });
+    const response = await adminRequest('put', `/api/1.0/admin/users/${admin.id}/role`, {
+      auth: adminCredentials,
+      body: { role: 'moderator' },
+    });
+    expect(response.status).toBe(403);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${en.LAST_ADMIN}
+    ${'de'}  | ${de.LAST_ADMIN}
+  `('returns "$message" when the last admin is demoted in $language language', async ({ language, message }) => {
+    const admin = await addAdmin();
+    const response = await adminRequest('put', `/api/1.0/admin/users/${admin.id}/role`, {
+      auth: adminCredentials,
+      body: { role: 'user' },
+      language,
+    });
+    expect(response.body.message).toBe(message);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${'Role must be one of user, moderator or admin'}
+    ${'de'}  | ${'Die Rolle muss user, moderator oder admin sein'}
+  `('returns $message when role is invalid in $language language', async ({ language, message }) => {
+    await addAdmin();
+    const user = await addRegularUser();
+    const response = await adminRequest('put', `/api/1.0/admin/users/${user.id}/role`, {
+      auth: adminCredentials,
+      body: { role: 'superuser' },
+      language,
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body.validationErrors.role).toBe(message);
+  });
+});
+
+describe('Admin - Delete', () => {
+  it('returns 403 when moderator tries to delete an account', async () => {
+    await addModerator();
+    const user = await addRegularUser();
+    const response = await adminRequest('delete', `/api/1.0/admin/users/${user.id}`, { auth: moderatorCredentials });
+    expect(response.status).toBe(403);
+  });
+
+  it('deletes any account for admin', async () => {
+    await addAdmin();
+    const user = await addRegularUser();
+    const response = await adminRequest('delete', `/api/1.0/admin/users/${user.id}`, { auth: adminCredentials });
+
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(response.status).toBe(200);
+    expect(userInDB).toBeNull();
+  });
+
+  it('removes the account without a grace period', async () => {
+    await addAdmin();
+    const user = await addRegularUser();
+    await adminRequest('delete', `/api/1.0/admin/users/${user.id}`, { auth: adminCredentials });
+
+    const userInDB = await User.findOne({ where: { id: user.id }, paranoid: false });
+    expect(userInDB).toBeNull();
+  });
+
+  it('returns 403 when the last admin deletes their own account', async () => {
+    const admin = await addAdmin();
+    const response = await adminRequest('delete', `/api/1.0/admin/users/${admin.id}`, { auth: adminCredentials });
+
+    const userInDB = await User.findOne({ where: { id: admin.id } });
+    expect(response.status).toBe(403);
+    expect(response.body.message).toBe(en.LAST_ADMIN);
+    expect(userInDB).not.toBeNull();
+  });
+
+  it('deletes an admin when another admin is left', async () => {
+    await addAdmin();
+    const other = await addSecondAdmin();
+    const response = await adminRequest('delete', `/api/1.0/admin/users/${other.id}`, { auth: adminCredentials });
+    expect(response.status).toBe(200);
+  });
+
+  it('returns 403 when the last admin deletes their account themselves', async () => {
+    const admin = await addAdmin();
+    const response = await adminRequest('delete', `/api/1.0/users/${admin.id}`, { auth: adminCredentials });
+
+    const userInDB = await User.findOne({ where: { id: admin.id } });
+    expect(response.status).toBe(403);
+    expect(response.body.message).toBe(en.LAST_ADMIN);
+    expect(userInDB).not.toBeNull();
+  });
+});
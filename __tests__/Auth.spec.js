@@ -4,14 +4,20 @@ const User = require('../src/model/user');
 const sequelize = require('../src/config/database');
 const bcrypt = require('bcrypt');
 const Token = require('../src/model/token');
+const RefreshToken = require('../src/model/refreshToken');
+const { hashToken } = require('../src/shared/hash');
+const LoginAttemptService = require('../src/service/loginAttempt');
+const createMemoryStore = require('../src/store/memoryStore');
 
 beforeAll(async () => {
   await sequelize.sync({ force: true });
 });
 
 beforeEach(async () => {
-  await User.destroy({ truncate: { cascade: true } });
+  await User.destroy({ truncate: { cascade: true }, force: true });
   await Token.destroy({ truncate: true });
+  await RefreshToken.destroy({ truncate: true });
+  LoginAttemptService.useStore(createMemoryStore());
 });
 
 afterAll(async () => {
@@ -76,12 +82,12 @@ describe('Authentication', () => {
     expect(response.status).toBe(200);
   });
 
-  it('returns only id, username, token and profileImage when login is successful', async () => {
+  it('returns only id, username, token, refreshToken and profileImage when login is successful', async () => {
     const user = await addUser();
     const response = await login({ email: 'user1@xyz.com', password: 'test1234' });
 
     const responseUser = response.body;
-    expect(Object.keys(responseUser)).toEqual(['id', 'username', 'token', 'profileImage']);
+    expect(Object.keys(responseUser)).toEqual(['id', 'username', 'token', 'refreshToken', 'profileImage']);
     expect(responseUser.id).toBe(user.id);
     expect(responseUser.username).toBe(user.username);
   });
@@ -180,38 +186,60 @@ describe('Logout', () => {
     const token = getUser.body.token;
 
     await logout({ token });
-    const storedToken = await Token.findOne({ where: { token } });
+    const storedToken = await Token.findOne({ where: { token: hashToken(token) } });
     expect(storedToken).toBeNull();
   });
 });
 
 describe('Token Expiration', () => {
-  it('returns 403 when token is older than 1 week', async () => {
+  it('returns 403 when access token is expired', async () => {
     const savedUser = await addUser();
 
     const token = 'test-token';
-    const oneWeekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000 - 1000);
+    const oneSecondAgo = new Date(Date.now() - 1000);
 
-    await Token.create({ token, userId: savedUser.id, lastUsedAt: oneWeekAgo });
+    await Token.create({
+      token: hashToken(token),
+      userId: savedUser.id,
+      lastUsedAt: oneSecondAgo,
+      expiresAt: oneSecondAgo,
+    });
 
     const validUpdate = { username: 'user1-updated' };
     const response = await putUser(savedUser.id, validUpdate, { token });
     expect(response.status).toBe(403);
   });
 
+  it('sets access token expiry 15 minutes after creation', async () => {
+    await addUser();
+    const timeBeforeLogin = Date.now();
+    const response = await login({ email: 'user1@xyz.com', password: 'test1234' });
+
+    const tokenInDB = await Token.findOne({ where: { token: hashToken(response.body.token) } });
+    const expiresIn = new Date(tokenInDB.expiresAt).getTime() - timeBeforeLogin;
+    expect(expiresIn).toBeGreaterThanOrEqual(15 * 60 * 1000);
+    expect(expiresIn).toBeLessThan(16 * 60 * 1000);
+  });
+
   it('refreshes lastUsedAt when unexpired token is used', async () => {
     const savedUser = await addUser();
 
     const token = 'test-token';
-    const fourDaysAgo = new Date(Date.now() - 4 * 24 * 60 * 60 * 1000);
+    const tenMinutesAgo = new Date(Date.now() - 10 * 60 * 1000);
+    const inFiveMinutes = new Date(Date.now() + 5 * 60 * 1000);
 
-    await Token.create({ token, userId: savedUser.id, lastUsedAt: fourDaysAgo });
+    await Token.create({
+      token: hashToken(token),
+      userId: savedUser.id,
+      lastUsedAt: tenMinutesAgo,
+      expiresAt: inFiveMinutes,
+    });
 
     const validUpdate = { username: 'user1-updated' };
     const timeBeforeSendingRequest = new Date().getTime();
 
     await putUser(savedUser.id, validUpdate, { token });
-    const tokenInDB = await Token.findOne({ where: { token } });
+    const tokenInDB = await Token.findOne({ where: { token: hashToken(token) } });
     expect(new Date(tokenInDB.lastUsedAt).getTime()).toBeGreaterThan(timeBeforeSendingRequest);
   });
 
@@ -219,14 +247,122 @@ describe('Token Expiration', () => {
     const savedUser = await addUser();
 
     const token = 'test-token';
-    const fourDaysAgo = new Date(Date.now() - 4 * 24 * 60 * 60 * 1000);
+    const tenMinutesAgo = new Date(Date.now() - 10 * 60 * 1000);
+    const inFiveMinutes = new Date(Date.now() + 5 * 60 * 1000);
 
-    await Token.create({ token, userId: savedUser.id, lastUsedAt: fourDaysAgo });
+    await Token.create({
+      token: hashToken(token),
+      userId: savedUser.id,
+      lastUsedAt: tenMinutesAgo,
+      expiresAt: inFiveMinutes,
+    });
 
     const timeBeforeSendingRequest = new Date().getTime();
 
     await request(app).get('/api/1.0/users/5').set('Authorization', `Bearer ${token}`);
-    const tokenInDB = await Token.findOne({ where: { token } });
+    const tokenInDB = await Token.findOne({ where: { token: hashToken(token) } });
     expect(new Date(tokenInDB.lastUsedAt).getTime()).toBeGreaterThan(timeBeforeSendingRequest);
   });
 });
+
+describe('Token Refresh', () => {
+  const refresh = async (refreshToken, options = {}) => {
+    const agent = request(app).post('/api/1.0/auth/refresh');
+    if (options.language) {
+      agent.set('accept-language', options.language);
+    }
+    return agent.send({ refreshToken });
+  };
+
+  const loginAndGetRefreshToken = async () => {
+    await addUser();
+    const response = await login({ email: 'user1@xyz.com', password: 'test1234' });
+    return response.body.refreshToken;
+  };
+
+  it('returns 200 OK with new access and refresh tokens when refresh token is valid', async () => {
+    const refreshToken = await loginAndGetRefreshToken();
+    const response = await refresh(refreshToken);
+
+    expect(response.status).toBe(200);
+    expect(Object.keys(response.body)).toEqual(['token', 'refreshToken']);
+    expect(response.body.refreshToken).not.toBe(refreshToken);
+  });
+
+  it('returns an access token which can be used for authenticated requests', async () => {
+    const refreshToken = await loginAndGetRefreshToken();
+    const response = await refresh(refreshToken);
+
+    const user = await User.findOne({ where: { email: 'user1@xyz.com' } });
+    const updateResponse = await putUser(user.id, { username: 'user1-updated' }, { token: response.body.token });
+    expect(updateResponse.status).toBe(200);
+  });
+
+  it('keeps the rotated refresh token in the same session', async () => {
+    const refreshToken = await loginAndGetRefreshToken();
+    const response = await refresh(refreshToken);
+
+    const oldToken = await RefreshToken.findOne({ where: { token: hashToken(refreshToken) } });
+    const newToken = await RefreshToken.findOne({ where: { token: hashToken(response.body.refreshToken) } });
+    expect(oldToken.used).toBe(true);
+    expect(newToken.sessionId).toBe(oldToken.sessionId);
+  });
+
+  it('returns 401 when refresh token is unknown', async () => {
+    const response = await refresh('unknown-token');
+    expect(response.status).toBe(401);
+  });
+
+  it('returns 401 when refresh token is missing', async () => {
+    const response = await refresh();
+    expect(response.status).toBe(401);
+  });
+
+  it('returns 401 when refresh token is expired', async () => {
+    const refreshToken = await loginAndGetRefreshToken();
+    await RefreshToken.update(
+      { expiresAt: new Date(Date.now() - 1000) },
+      { where: { token: hashToken(refreshToken) } }
+    );
+
+    const response = await refresh(refreshToken);
+    expect(response.status).toBe(401);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${'Refresh token is invalid or expired'}
+    ${'de'}  | ${'Aktualisierungstoken ist ungültig oder abgelaufen'}
+  `('returns $message when refresh token is invalid in $language language', async ({ language, message }) => {
+    const response = await refresh('unknown-token', { language });
+    expect(response.body.message).toBe(message);
+  });
+
+  it('returns 401 when an already rotated refresh token is replayed', async () => {
+    const refreshToken = await loginAndGetRefreshToken();
+    await refresh(refreshToken);
+
+    const response = await refresh(refreshToken);
+    expect(response.status).toBe(401);
+  });
+
+  it('revokes the whole session when an already rotated refresh token is replayed', async () => {
+    const refreshToken = await loginAndGetRefreshToken();
+    const rotated = await refresh(refreshToken);
+
+    await refresh(refreshToken);
+
+    const response = await refresh(rotated.body.refreshToken);
+    const accessTokens = await Token.count();
+    expect(response.status).toBe(401);
+    expect(accessTokens).toBe(0);
+  });
+
+  it('revokes the session on logout when refresh token is sent', async () => {
+    const refreshToken = await loginAndGetRefreshToken();
+    await request(app).post('/api/1.0/logout').send({ refreshToken });
+
+    const response = await refresh(refreshToken);
+    expect(response.status).toBe(401);
+  });
+});
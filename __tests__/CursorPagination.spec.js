@@ -0,0 +1,175 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/model/user');
+const sequelize = require('../src/config/database');
+const en = require('../locales/en/translation.json');
+const de = require('../locales/de/translation.json');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true }, force: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+const getUsers = (query = {}, options = {}) => {
+  const agent = request(app).get('/api/1.0/users');
+  if (options.language) {
+    agent.set('accept-language', options.language);
+  }
+  return agent.query(query);
+};
+
+const addUsers = async (count, user = {}) => {
+  for (let i = 0; i < count; i++) {
+    await User.create({
+      username: `user${i}`,
+      email: `user${i}@xyz.com`,
+      password: 'hash',
+      inactive: false,
+      ...user,
+    });
+  }
+};
+
+const usernames = (response) => response.body.users.content.map((user) => user.username);
+
+describe('Cursor Pagination', () => {
+  it('returns the first page with a next cursor when cursor is empty', async () => {
+    await addUsers(15);
+
+    const response = await getUsers({ cursor: '' });
+    const { users } = response.body;
+    expect(usernames(response)).toEqual([
+      'user0',
+      'user1',
+      'user2',
+      'user3',
+      'user4',
+      'user5',
+      'user6',
+      'user7',
+      'user8',
+      'user9',
+    ]);
+    expect(users.nextCursor).toEqual(expect.any(String));
+    expect(users.prevCursor).toBeNull();
+  });
+
+  it('returns content, size and cursors without offset page fields', async () => {
+    await addUsers(1, { showEmail: true });
+
+    const response = await getUsers({ cursor: '' });
+    expect(Object.keys(response.body.users)).toEqual(['content', 'size', 'nextCursor', 'prevCursor', 'links']);
+    expect(Object.keys(response.body.users.content[0])).toEqual([
+      'id',
+      'username',
+      'handle',
+      'displayName',
+      'email',
+      'profileImage',
+      'bio',
+      'location',
+      'website',
+    ]);
+  });
+
+  it('returns the following page when next cursor is passed', async () => {
+    await addUsers(15);
+    const first = await getUsers({ cursor: '' });
+
+    const response = await getUsers({ cursor: first.body.users.nextCursor });
+    const { users } = response.body;
+    expect(usernames(response)).toEqual(['user10', 'user11', 'user12', 'user13', 'user14']);
+    expect(users.nextCursor).toBeNull();
+    expect(users.prevCursor).toEqual(expect.any(String));
+  });
+
+  it('returns the preceding page when prev cursor is passed', async () => {
+    await addUsers(25);
+    const first = await getUsers({ cursor: '' });
+    const second = await getUsers({ cursor: first.body.users.nextCursor });
+    const third = await getUsers({ cursor: second.body.users.nextCursor });
+
+    const response = await getUsers({ cursor: third.body.users.prevCursor });
+    expect(usernames(response)).toEqual(usernames(second));
+    expect(response.body.users.prevCursor).toEqual(expect.any(String));
+    expect(response.body.users.nextCursor).toEqual(expect.any(String));
+  });
+
+  it('returns no prev cursor when going back to the first page', async () => {
+    await addUsers(15);
+    const first = await getUsers({ cursor: '' });
+    const second = await getUsers({ cursor: first.body.users.nextCursor });
+
+    const response = await getUsers({ cursor: second.body.users.prevCursor });
+    expect(usernames(response)).toEqual(usernames(first));
+    expect(response.body.users.prevCursor).toBeNull();
+  });
+
+  it('neither skips nor repeats users registering while paging', async () => {
+    await addUsers(10, { createdAt: new Date('2021-01-01') });
+    const first = await getUsers({ cursor: '', sort: 'createdAt,desc', pageSize: 5 });
+    await User.create({ username: 'newcomer', email: 'newcomer@xyz.com', password: 'hash', inactive: false });
+
+    const second = await getUsers({ cursor: first.body.users.nextCursor, pageSize: 5 });
+    expect(usernames(second)).toEqual(['user5', 'user6', 'user7', 'user8', 'user9']);
+  });
+
+  it('keeps the sort of the cursor for following pages', async () => {
+    await addUsers(6);
+    const first = await getUsers({ cursor: '', sort: 'username,desc', pageSize: 3 });
+
+    const response = await getUsers({ cursor: first.body.users.nextCursor, pageSize: 3 });
+    expect(usernames(first)).toEqual(['user5', 'user4', 'user3']);
+    expect(usernames(response)).toEqual(['user2', 'user1', 'user0']);
+  });
+
+  it('applies the filters to following pages', async () => {
+    await addUsers(6);
+    await User.update({ profileImage: 'image.png' }, { where: { username: ['user0', 'user2', 'user4'] } });
+    const first = await getUsers({ cursor: '', hasImage: 'true', pageSize: 2 });
+
+    const response = await getUsers({ cursor: first.body.users.nextCursor, hasImage: 'true', pageSize: 2 });
+    expect(usernames(response)).toEqual(['user4']);
+  });
+
+  it('returns empty content without cursors when there are no users', async () => {
+    const response = await getUsers({ cursor: '' });
+    expect(response.body.users).toMatchObject({ content: [], size: 10, nextCursor: null, prevCursor: null });
+  });
+
+  it.each`
+    cursor
+    ${'garbage'}
+    ${'eyJhZnRlciI6WzFdfQ.forged'}
+    ${'a.b.c'}
+  `('returns 400 when cursor is $cursor', async ({ cursor }) => {
+    const response = await getUsers({ cursor });
+    expect(response.status).toBe(400);
+  });
+
+  it('returns 400 when the payload of a cursor is changed', async () => {
+    await addUsers(15);
+    const first = await getUsers({ cursor: '' });
+    const [, signature] = first.body.users.nextCursor.split('.');
+    const payload = Buffer.from(JSON.stringify({ sort: null, after: [0] })).toString('base64url');
+
+    const response = await getUsers({ cursor: `${payload}.${signature}` });
+    expect(response.status).toBe(400);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${en.CURSOR_INVALID}
+    ${'de'}  | ${de.CURSOR_INVALID}
+  `('returns "$message" for cursor when it is invalid and language is $language', async ({ language, message }) => {
+    const response = await getUsers({ cursor: 'garbage' }, { language });
+    expect(response.body.validationErrors.cursor).toBe(message);
+  });
+});
@@ -0,0 +1,286 @@
+const request = require('supertest');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const config = require('config');
+const app = require('../src/app');
+const User = require('../src/model/user');
+const DataExport = require('../src/model/dataExport');
+const sequelize = require('../src/config/database');
+const bcrypt = require('bcrypt');
+const EmailService = require('../src/service/email');
+const DataExportService = require('../src/service/dataExport');
+const FileService = require('../src/service/file');
+
+const { uploadDir, profileDir } = config;
+
+let sendDataExportLink;
+let requestExport;
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+beforeEach(async () => {
+  await DataExportService.removeExpiredExports();
+  await User.destroy({ truncate: { cascade: true }, force: true });
+  sendDataExportLink = jest.spyOn(EmailService, 'sendDataExportLink').mockResolvedValue();
+  requestExport = jest.spyOn(DataExportService, 'requestExport');
+});
+
+// Jobs still running would write their archive after the next test cleaned up
+afterEach(async () => {
+  for (const result of requestExport.mock.results) {
+    const { job } = await result.value;
+    await job;
+  }
+  jest.restoreAllMocks();
+  await DataExport.update({ expiresAt: new Date(0) }, { where: {} });
+});
+
+afterAll(async () => {
+  await DataExportService.removeExpiredExports();
+  await sequelize.close();
+});
+
+const credentials = { email: 'user1@xyz.com', password: 'P4ssword' };
+
+const addUser = async (user = {}) => {
+  const hash = await bcrypt.hash(credentials.password, 10);
+  return User.create({ username: 'user1', email: credentials.email, password: hash, inactive: false, ...user });
+};
+
+const login = async () => {
+  const response = await request(app).post('/api/1.0/auth').set('User-Agent', 'Firefox').send(credentials);
+  return response.body.token;
+};
+
+const getExport = (id, options = {}) => {
+  const agent = request(app).get(`/api/1.0/users/${id}/export`);
+  if (options.language) {
+    agent.set('accept-language', options.language);
+  }
+  if (options.token) {
+    agent.set('Authorization', `Bearer ${options.token}`);
+  }
+  return agent.send();
+};
+
+const download = (token, options = {}) => {
+  const agent = request(app).get(`/api/1.0/users/exports/${token}`);
+  if (options.language) {
+    agent.set('accept-language', options.language);
+  }
+  return agent
+    .buffer(true)
+    .parse((res, callback) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    })
+    .send();
+};
+
+// Waits for the background job and returns the token sent in the email
+const exportData = async (user) => {
+  const token = await login();
+  await getExport(user.id, { token });
+  const { job } = await requestExport.mock.results[0].value;
+  await job;
+  return sendDataExportLink.mock.calls[0] && sendDataExportLink.mock.calls[0][1];
+};
+
+const readTarGz = (buffer) => {
+  const tar = zlib.gunzipSync(buffer);
+  const files = {};
+  let offset = 0;
+  while (offset < tar.length && tar[offset] !== 0) {
+    const name = tar.toString('utf8', offset, offset + 100).replace(/\0.*$/, '');
+    const size = Number.parseInt(tar.toString('ascii', offset + 124, offset + 136), 8);
+    files[name] = tar.subarray(offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return files;
+};
+
+describe('Data Export Request', () => {
+  it('returns 403 when request is sent without authorization', async () => {
+    const user = await addUser();
+    const response = await getExport(user.id);
+    expect(response.status).toBe(403);
+  });
+
+  it('returns 403 when data of another user is requested', async () => {
+    const user = await addUser();
+    const token = await login();
+    const response = await getExport(user.id + 1, { token });
+    expect(response.status).toBe(403);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${'Your data export is being prepared, you will receive an email with a download link'}
+    ${'de'}  | ${'Ihr Datenexport wird vorbereitet, Sie erhalten eine E-Mail mit einem Download-Link'}
+  `('returns 202 with $message in $language language', async ({ language, message }) => {
+    const user = await addUser();
+    const token = await login();
+
+    const response = await getExport(user.id, { token, language });
+    expect(response.status).toBe(202);
+    expect(response.body.message).toBe(message);
+  });
+
+  it('emails a download link to the user when the export is ready', async () => {
+    const user = await addUser();
+    const token = await exportData(user);
+
+    const dataExport = await DataExport.findOne({ where: { userId: user.id } });
+    expect(sendDataExportLink.mock.calls[0][0]).toBe(credentials.email);
+    expect(token).toBeTruthy();
+    expect(dataExport.status).toBe('ready');
+    expect(dataExport.token).not.toBe(token);
+  });
+
+  it('does not start another export while one is pending', async () => {
+    const user = await addUser();
+    await DataExport.create({ userId: user.id });
+    const token = await login();
+
+    await getExport(user.id, { token });
+
+    const exports = await DataExport.count({ where: { userId: user.id } });
+    expect(exports).toBe(1);
+  });
+
+  it('does not start another export while a ready one has not expired', async () => {
+    const user = await addUser();
+    await exportData(user);
+    const token = await login();
+
+    await getExport(user.id, { token });
+
+    const exports = await DataExport.count({ where: { userId: user.id } });
+    expect(exports).toBe(1);
+    expect(sendDataExportLink).toHaveBeenCalledTimes(1);
+  });
+
+  it('starts another export once the ready one has expired', async () => {
+    const user = await addUser();
+    await exportData(user);
+    await DataExport.update({ expiresAt: new Date(Date.now() - 1000) }, { where: { userId: user.id } });
+    const token = await login();
+
+    await getExport(user.id, { token });
+    const { job } = await requestExport.mock.results[1].value;
+    await job;
+
+    expect(sendDataExportLink).toHaveBeenCalledTimes(2);
+  });
+
+  it('removes the export when the email cannot be sent', async () => {
+    const user = await addUser();
+    sendDataExportLink.mockRejectedValue({ message: 'Failed to deliver email' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await exportData(user);
+
+    const exports = await DataExport.count({ where: { userId: user.id } });
+    expect(exports).toBe(0);
+  });
+
+  it('logs the failure of an export', async () => {
+    const user = await addUser();
+    const error = new Error('Failed to deliver email');
+    sendDataExportLink.mockRejectedValue(error);
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await exportData(user);
+
+    expect(consoleError).toHaveBeenCalledWith(`Exporting the data of user ${user.id} failed`, error);
+  });
+
+  it('logs instead of rejecting when removing a failed export fails', async () => {
+    const user = await addUser();
+    const error = new Error('database is locked');
+    sendDataExportLink.mockRejectedValue({ message: 'Failed to deliver email' });
+    jest.spyOn(DataExport.prototype, 'destroy').mockRejectedValueOnce(error);
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await exportData(user);
+
+    expect(consoleError).toHaveBeenCalledWith(`Removing the failed data export of user ${user.id} failed`, error);
+  });
+});
+
+describe('Data Export Download', () => {
+  it('returns the archive as an attachment', async () => {
+    const user = await addUser();
+    const token = await exportData(user);
+
+    const response = await download(token);
+    expect(response.status).toBe(200);
+    expect(response.headers['content-disposition']).toBe(`attachment; filename="data-export-${user.id}.tar.gz"`);
+  });
+
+  it('contains the profile fields without credentials', async () => {
+    const user = await addUser();
+    const token = await exportData(user);
+
+    const response = await download(token);
+    const profile = JSON.parse(readTarGz(response.body)['profile.json']);
+    expect(profile.id).toBe(user.id);
+    expect(profile.username).toBe('user1');
+    expect(profile.email).toBe(credentials.email);
+    expect(profile.password).toBeUndefined();
+    expect(profile.twoFactorSecret).toBeUndefined();
+  });
+
+  it('contains session metadata without token values', async () => {
+    const user = await addUser();
+    const token = await exportData(user);
+
+    const response = await download(token);
+    const sessions = JSON.parse(readTarGz(response.body)['sessions.json']);
+    expect(sessions.sessions.length).toBe(1);
+    expect(sessions.sessions[0].userAgent).toBe('Firefox');
+    expect(Object.keys(sessions.tokens[0])).toEqual(['sessionId', 'lastUsedAt', 'expiresAt']);
+  });
+
+  it('contains the profile image', async () => {
+    const profileImage = 'export-test-image';
+    await fs.promises.writeFile(path.join('.', uploadDir, profileDir, profileImage), 'image-content');
+    const user = await addUser({ profileImage });
+    const token = await exportData(user);
+
+    const response = await download(token);
+    const files = readTarGz(response.body);
+    await FileService.deleteProfileImage(profileImage);
+    expect(files[`images/${profileImage}`].toString()).toBe('image-content');
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${'Data export not found or expired'}
+    ${'de'}  | ${'Datenexport wurde nicht gefunden oder ist abgelaufen'}
+  `('returns 404 with $message when the link is expired in $language language', async ({ language, message }) => {
+    const user = await addUser();
+    const token = await exportData(user);
+    await DataExport.update({ expiresAt: new Date(Date.now() - 1000) }, { where: { userId: user.id } });
+
+    const response = await download(token, { language });
+    expect(response.status).toBe(404);
+    expect(JSON.parse(response.body).message).toBe(message);
+  });
+
+  it('removes expired archives', async () => {
+    const user = await addUser();
+    await exportData(user);
+    const dataExport = await DataExport.findOne({ where: { userId: user.id } });
+    await dataExport.update({ expiresAt: new Date(Date.now() - 1000) });
+
+    await DataExportService.removeExpiredExports();
+
+    expect(fs.existsSync(FileService.getExportPath(dataExport.fileName))).toBe(false);
+    expect(await DataExport.count()).toBe(0);
+  });
+});
@@ -0,0 +1,230 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/model/user');
+const Session = require('../src/model/session');
+const sequelize = require('../src/config/database');
+const bcrypt = require('bcrypt');
+const EmailService = require('../src/service/email');
+const LoginAttemptService = require('../src/service/loginAttempt');
+const RateLimitService = require('../src/service/rateLimit');
+const createMemoryStore = require('../src/store/memoryStore');
+const { hashToken } = require('../src/shared/hash');
+
+let sendEmailChangeToken;
+let sendEmailChangeNotice;
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true }, force: true });
+  LoginAttemptService.useStore(createMemoryStore());
+  RateLimitService.useStore(createMemoryStore());
+  sendEmailChangeToken = jest.spyOn(EmailService, 'sendEmailChangeToken').mockResolvedValue();
+  sendEmailChangeNotice = jest.spyOn(EmailService, 'sendEmailChangeNotice').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+const credentials = { email: 'user1@xyz.com', password: 'P4ssword' };
+const newEmail = 'new-user1@xyz.com';
+
+const addUser = async (user = { username: 'user1', email: credentials.email }) => {
+  const hash = await bcrypt.hash(credentials.password, 10);
+  return User.create({ ...user, password: hash, inactive: false });
+};
+
+const login = async () => {
+  const response = await request(app).post('/api/1.0/auth').send(credentials);
+  return response.body.token;
+};
+
+const postEmail = (id, body, options = {}) => {
+  const agent = request(app).post(`/api/1.0/users/${id}/email`);
+  if (options.language) {
+    agent.set('accept-language', options.language);
+  }
+  if (options.token) {
+    agent.set('Authorization', `Bearer ${options.token}`);
+  }
+  return agent.send(body);
+};
+
+const confirmEmail = (token, options = {}) => {
+  const agent = request(app).post(`/api/1.0/users/email/${token}`);
+  if (options.language) {
+    agent.set('accept-language', options.language);
+  }
+  return agent.send();
+};
+
+const requestChange = async (user) => {
+  const token = await login();
+  await postEmail(user.id, { email: newEmail, currentPassword: credentials.password }, { token });
+  return sendEmailChangeToken.mock.calls[0][1];
+};
+
+describe('Email Change Request', () => {
+  it('returns 403 when request is sent without authorization', async () => {
+    const user = await addUser();
+    const response = await postEmail(user.id, { email: newEmail, currentPassword: credentials.password });
+    expect(response.status).toBe(403);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${'Check your new email address for a confirmation link'}
+    ${'de'}  | ${'Sehen Sie in Ihrer neuen E-Mail nach einem Bestätigungslink'}
+  `('returns $message when change is requested in $language language', async ({ language, message }) => {
+    const user = await addUser();
+    const token = await login();
+
+    const response = await postEmail(
+      user.id,
+      { email: newEmail, currentPassword: credentials.password },
+      { token, language }
+    );
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe(message);
+  });
+
+  it('keeps the current email until the change is confirmed', async () => {
+    const user = await addUser();
+    await requestChange(user);
+
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(userInDB.email).toBe(credentials.email);
+    expect(userInDB.pendingEmail).toBe(newEmail);
+  });
+
+  it('sends the confirmation link to the new address and stores only its digest', async () => {
+    const user = await addUser();
+    const emailChangeToken = await requestChange(user);
+
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(sendEmailChangeToken.mock.calls[0][0]).toBe(newEmail);
+    expect(userInDB.emailChangeToken).toBe(hashToken(emailChangeToken));
+  });
+
+  it('sends a notice to the old address', async () => {
+    const user = await addUser();
+    await requestChange(user);
+
+    expect(sendEmailChangeNotice).toHaveBeenCalledWith(credentials.email, newEmail);
+  });
+
+  it('returns 502 and keeps no pending change when sending the email fails', async () => {
+    const user = await addUser();
+    const token = await login();
+    sendEmailChangeToken.mockRejectedValue({ message: 'Failed to deliver email' });
+
+    const response = await postEmail(user.id, { email: newEmail, currentPassword: credentials.password }, { token });
+
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(response.status).toBe(502);
+    expect(userInDB.pendingEmail).toBeNull();
+  });
+
+  it('returns 403 when current password is wrong', async () => {
+    const user = await addUser();
+    const token = await login();
+
+    const response = await postEmail(user.id, { email: newEmail, currentPassword: 'Wr0ngpass' }, { token });
+    expect(response.status).toBe(403);
+    expect(sendEmailChangeToken).not.toHaveBeenCalled();
+  });
+
+  it.each`
+    email              | message
+    ${null}            | ${'Email cannot be null'}
+    ${'mail.com'}      | ${'Email is not valid'}
+    ${'user2@xyz.com'} | ${'Email already in use'}
+  `('returns $message when new email is $email', async ({ email, message }) => {
+    const user = await addUser();
+    await addUser({ username: 'user2', email: 'user2@xyz.com' });
+    const token = await login();
+
+    const response = await postEmail(user.id, { email, currentPassword: credentials.password }, { token });
+    expect(response.status).toBe(400);
+    expect(response.body.validationErrors.email).toBe(message);
+  });
+});
+
+describe('Email Change Confirmation', () => {
+  it('switches the email when the confirmation link is used', async () => {
+    const user = await addUser();
+    const emailChangeToken = await requestChange(user);
+
+    const response = await confirmEmail(emailChangeToken);
+
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(response.status).toBe(200);
+    expect(userInDB.email).toBe(newEmail);
+    expect(userInDB.pendingEmail).toBeNull();
+    expect(userInDB.emailChangeToken).toBeNull();
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${'Email changed successfully'}
+    ${'de'}  | ${'E-Mail erfolgreich geändert'}
+  `('returns $message when email is changed in $language language', async ({ language, message }) => {
+    const user = await addUser();
+    const emailChangeToken = await requestChange(user);
+
+    const response = await confirmEmail(emailChangeToken, { language });
+    expect(response.body.message).toBe(message);
+  });
+
+  it('ends all sessions of the user', async () => {
+    const user = await addUser();
+    const emailChangeToken = await requestChange(user);
+
+    await confirmEmail(emailChangeToken);
+
+    const sessions = await Session.count({ where: { userId: user.id } });
+    expect(sessions).toBe(0);
+  });
+
+  it('returns 400 when the link is used twice', async () => {
+    const user = await addUser();
+    const emailChangeToken = await requestChange(user);
+    await confirmEmail(emailChangeToken);
+
+    const response = await confirmEmail(emailChangeToken);
+    expect(response.status).toBe(400);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${'Email confirmation link has expired, please request a new one'}
+    ${'de'}  | ${'Der Bestätigungslink ist abgelaufen, bitte fordern Sie einen neuen an'}
+  `('returns $message when the link is expired in $language language', async ({ language, message }) => {
+    const user = await addUser();
+    const emailChangeToken = await requestChange(user);
+    await User.update({ emailChangeTokenExpiresAt: new Date(Date.now() - 1000) }, { where: { id: user.id } });
+
+    const response = await confirmEmail(emailChangeToken, { language });
+
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe(message);
+    expect(userInDB.email).toBe(credentials.email);
+  });
+
+  it('returns 403 when the new address was registered in the meantime', async () => {
+    const user = await addUser();
+    const emailChangeToken = await requestChange(user);
+    await addUser({ username: 'user2', email: newEmail });
+
+    const response = await confirmEmail(emailChangeToken);
+    expect(response.status).toBe(403);
+  });
+});
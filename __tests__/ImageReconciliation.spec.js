@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('config');
+const User = require('../src/model/user');
+const sequelize = require('../src/config/database');
+const FileService = require('../src/service/file');
+const ImageReconciliationService = require('../src/service/imageReconciliation');
+
+const { uploadDir, profileDir } = config;
+const profileDirectory = path.join('.', uploadDir, profileDir);
+const tempDirectory = path.join('.', uploadDir, 'tmp');
+
+const ONE_DAY_IN_MILLIS = 24 * 60 * 60 * 1000;
+
+const clearFolder = async (folder) => {
+  const files = await fs.promises.readdir(folder);
+  for (const file of files) {
+    await fs.promises.unlink(path.join(folder, file));
+  }
+};
+
+beforeAll(async () => {
+  FileService.createFolders();
+  await sequelize.sync({ force: true });
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true }, force: true });
+  await clearFolder(profileDirectory);
+  await clearFolder(tempDirectory);
+});
+
+afterAll(async () => {
+  await sequelize.close();
+  await clearFolder(profileDirectory);
+  await clearFolder(tempDirectory);
+});
+
+const readResource = (fileName) => {
+  return fs.readFileSync(path.join('.', '__tests__', 'resources', fileName));
+};
+
+const variantsOf = (profileImage) => {
+  return [64, 256, 512].map((size) => profileImage.replace('.', `-${size}.`));
+};
+
+const age = async (folder, names, ageInMillis = 2 * ONE_DAY_IN_MILLIS) => {
+  const time = new Date(Date.now() - ageInMillis);
+  for (const name of names) {
+    await fs.promises.utimes(path.join(folder, name), time, time);
+  }
+};
+
+const saveImage = async ({ ageInMillis } = {}) => {
+  const profileImage = await FileService.saveProfileImage(readResource('testImage.jpg'));
+  await age(profileDirectory, variantsOf(profileImage), ageInMillis);
+  return profileImage;
+};
+
+const addUser = (profileImage, index = 1) => {
+  return User.create({ username: `user${index}`, email: `user${index}@xyz.com`, inactive: false, profileImage });
+};
+
+const profileFiles = () => fs.readdirSync(profileDirectory).sort();
+
+describe('Image Reconciliation', () => {
+  it('deletes images no user refers to once they are older than the grace period', async () => {
+    const orphan = await saveImage();
+
+    const report = await ImageReconciliationService.reconcileImages();
+    expect(report.deleted.sort()).toEqual(variantsOf(orphan).sort());
+    expect(profileFiles()).toEqual([]);
+  });
+
+  it('keeps the images of users', async () => {
+    const profileImage = await saveImage();
+    await addUser(profileImage);
+
+    const report = await ImageReconciliationService.reconcileImages();
+    expect(report.deleted).toEqual([]);
+    expect(profileFiles()).toEqual(variantsOf(profileImage).sort());
+  });
+
+  it('keeps the images of deleted users which can still be restored', async () => {
+    const profileImage = await saveImage();
+    const user = await addUser(profileImage);
+    await user.destroy();
+
+    await ImageReconciliationService.reconcileImages();
+    expect(profileFiles()).toEqual(variantsOf(profileImage).sort());
+  });
+
+  it('keeps images saved before they were processed when a user refers to them', async () => {
+    await fs.promises.copyFile(
+      path.join('.', '__tests__', 'resources', 'testImage.jpg'),
+      path.join(profileDirectory, 'legacy')
+    );
+    await age(profileDirectory, ['legacy']);
+    await addUser('legacy');
+
+    const report = await ImageReconciliationService.reconcileImages();
+    expect(report.deleted).toEqual([]);
+    expect(profileFiles()).toEqual(['legacy']);
+  });
+
+  it('retains orphaned images within the grace period', async () => {
+    const orphan = await saveImage({ ageInMillis: 0 });
+
+    const report = await ImageReconciliationService.reconcileImages();
+    expect(report.retained.sort()).toEqual(variantsOf(orphan).sort());
+    expect(profileFiles()).toEqual(variantsOf(orphan).sort());
+  });
+
+  it('applies the given grace period', async () => {
+    await saveImage({ ageInMillis: 2 * 60 * 1000 });
+
+    const report = await ImageReconciliationService.reconcileImages({ gracePeriod: 60 * 1000 });
+    expect(report.deleted.length).toBe(3);
+  });
+
+  it('reports but keeps orphaned images on a dry run', async () => {
+    const orphan = await saveImage();
+
+    const report = await ImageReconciliationService.reconcileImages({ dryRun: true });
+    expect(report.dryRun).toBe(true);
+    expect(report.deleted.sort()).toEqual(variantsOf(orphan).sort());
+    expect(profileFiles()).toEqual(variantsOf(orphan).sort());
+  });
+
+  it('reports the number of checked files', async () => {
+    await addUser(await saveImage(), 1);
+    await saveImage();
+
+    const report = await ImageReconciliationService.reconcileImages();
+    expect(report.checked).toBe(6);
+  });
+
+  it('deletes temporary uploads older than the grace period', async () => {
+    await fs.promises.writeFile(path.join(tempDirectory, 'old-upload'), 'content');
+    await fs.promises.writeFile(path.join(tempDirectory, 'new-upload'), 'content');
+    await age(tempDirectory, ['old-upload']);
+
+    const report = await ImageReconciliationService.reconcileImages();
+    expect(report.temporary).toEqual(['old-upload']);
+    expect(fs.readdirSync(tempDirectory)).toEqual(['new-upload']);
+  });
+
+  it('reports files which could not be deleted and continues with the others', async () => {
+    const orphan = await saveImage();
+    const [failing, ...others] = variantsOf(orphan);
+    const deleteFile = FileService.deleteProfileImageFile;
+    const spy = jest.spyOn(FileService, 'deleteProfileImageFile').mockImplementation(async (name) => {
+      if (name === failing) {
+        throw new Error('not allowed');
+      }
+      return deleteFile(name);
+    });
+
+    const report = await ImageReconciliationService.reconcileImages();
+    spy.mockRestore();
+    expect(report.failed).toEqual([failing]);
+    expect(report.deleted.sort()).toEqual(others.sort());
+  });
+});
@@ -0,0 +1,231 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const request = require('supertest');
+const config = require('config');
+const app = require('../src/app');
+const User = require('../src/model/user');
+const sequelize = require('../src/config/database');
+const bcrypt = require('bcrypt');
+const en = require('../locales/en/translation.json');
+const de = require('../locales/de/translation.json');
+
+const { uploadDir, profileDir } = config;
+const profileDirectory = path.join('.', uploadDir, profileDir);
+const tempDirectory = path.join('.', uploadDir, 'tmp');
+
+const TWO_MB = 2 * 1024 * 1024;
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true }, force: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+
+  const files = await fs.promises.readdir(profileDirectory);
+  for (const file of files) {
+    await fs.promises.unlink(path.join(profileDirectory, file));
+  }
+});
+
+const credentials = { email: 'user1@xyz.com', password: 'P4ssword' };
+
+const addUser = async () => {
+  const hash = await bcrypt.hash(credentials.password, 10);
+  return User.create({ username: 'user1', email: credentials.email, password: hash, inactive: false });
+};
+
+const login = async () => {
+  const response = await request(app).post('/api/1.0/auth').send(credentials);
+  return response.body.token;
+};
+
+const readResource = (fileName) => {
+  return fs.readFileSync(path.join('.', '__tests__', 'resources', fileName));
+};
+
+const postImage = (id, options = {}) => {
+  const agent = request(app).post(`/api/1.0/users/${id}/image`);
+  if (options.token) {
+    agent.set('Authorization', `Bearer ${options.token}`);
+  }
+  if (options.language) {
+    agent.set('accept-language', options.language);
+  }
+  if (options.file) {
+    return agent.attach(options.field || 'image', options.file, options.fileName || 'image.jpg');
+  }
+  return agent.send();
+};
+
+const tempFiles = () => fs.readdirSync(tempDirectory);
+
+describe('Profile Image Upload', () => {
+  it('returns 403 when request is not authenticated', async () => {
+    const user = await addUser();
+
+    const response = await postImage(user.id, { file: readResource('testImage.jpg') });
+    expect(response.status).toBe(403);
+  });
+
+  it('returns 403 when uploading the image of another user', async () => {
+    await addUser();
+    const other = await User.create({ username: 'other', email: 'other@xyz.com', inactive: false });
+    const token = await login();
+
+    const response = await postImage(other.id, { token, file: readResource('testImage.jpg') });
+    expect(response.status).toBe(403);
+  });
+
+  it('saves the image and returns the profile with its urls', async () => {
+    const user = await addUser();
+    const token = await login();
+
+    const response = await postImage(user.id, { token, file: readResource('testImage.jpg') });
+    const inDb = await User.findOne({ where: { id: user.id } });
+    expect(response.status).toBe(200);
+    expect(response.body.profileImage[512]).toBe(`/images/${inDb.profileImage.replace('.', '-512.')}`);
+    expect(fs.existsSync(path.join(profileDirectory, inDb.profileImage.replace('.', '-512.')))).toBe(true);
+  });
+
+  it('removes the previous image', async () => {
+    const user = await addUser();
+    const token = await login();
+    await postImage(user.id, { token, file: readResource('testImage.jpg') });
+    const { profileImage } = await User.findOne({ where: { id: user.id } });
+
+    await postImage(user.id, { token, file: readResource('testImage.jpg') });
+    expect(fs.existsSync(path.join(profileDirectory, profileImage.replace('.', '-512.')))).toBe(false);
+  });
+
+  it('returns 200 when the image is exactly 2 MB', async () => {
+    const user = await addUser();
+    const token = await login();
+    const image = readResource('testImage.jpg');
+    const file = Buffer.concat([image, Buffer.alloc(TWO_MB - image.length, 'a')]);
+
+    const response = await postImage(user.id, { token, file });
+    expect(response.status).toBe(200);
+  });
+
+  it.each`
+    file              | fileName
+    ${'test-txt.txt'} | ${'image.jpg'}
+    ${'test-pdf.pdf'} | ${'image.png'}
+  `('returns 400 when $file is uploaded as $fileName', async ({ file, fileName }) => {
+    const user = await addUser();
+    const token = await login();
+
+    const response = await postImage(user.id, { token, file: readResource(file), fileName });
+    expect(response.status).toBe(400);
+    expect(response.body.validationErrors.image).toBe(en.UNSUPPORTED_FILE_TYPE);
+  });
+
+  it('removes the uploaded file from the temporary folder', async () => {
+    const user = await addUser();
+    const token = await login();
+    const before = tempFiles();
+
+    await postImage(user.id, { token, file: readResource('testImage.jpg') });
+    await postImage(user.id, { token, file: readResource('test-txt.txt') });
+    expect(tempFiles()).toEqual(before);
+  });
+
+  it('returns 400 when the file is not sent in the image field', async () => {
+    const user = await addUser();
+    const token = await login();
+
+    const response = await postImage(user.id, { token, file: readResource('testImage.jpg'), field: 'avatar' });
+    expect(response.status).toBe(400);
+    expect(response.body.validationErrors.image).toBe(en.UPLOAD_INVALID);
+  });
+
+  it('returns 400 when the image is larger than 2 MB', async () => {
+    const user = await addUser();
+    const token = await login();
+
+    const response = await postImage(user.id, { token, file: Buffer.alloc(TWO_MB + 1, 'a') });
+    expect(response.status).toBe(400);
+    expect(response.body.validationErrors.image).toBe('File must not be larger than 2 MB');
+  });
+
+  it('rejects a streamed image as soon as it exceeds 2 MB', async () => {
+    const user = await addUser();
+    const token = await login();
+    const server = app.listen(0);
+    const boundary = 'upload-boundary';
+    const maxBytes = 10 * TWO_MB;
+
+    const result = await new Promise((resolve, reject) => {
+      const req = http.request({
+        port: server.address().port,
+        method: 'POST',
+        path: `/api/1.0/users/${user.id}/image`,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': `multipart/form-data; boundary=${boundary}`,
+          'Transfer-Encoding': 'chunked',
+        },
+      });
+      let sent = 0;
+      let responded = false;
+      req.on('response', (res) => {
+        responded = true;
+        let body = '';
+        res.on('data', (chunk) => (body += chunk));
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body), sent }));
+      });
+      req.on('error', (error) => (responded ? undefined : reject(error)));
+
+      req.write(`--${boundary}\r\nContent-Disposition: form-data; name="image"; filename="big.jpg"\r\n\r\n`);
+      const chunk = Buffer.alloc(64 * 1024, 'a');
+      const writeMore = () => {
+        while (!responded && sent < maxBytes) {
+          sent += chunk.length;
+          if (!req.write(chunk)) {
+            return req.once('drain', writeMore);
+          }
+        }
+        if (!responded) {
+          req.end(`\r\n--${boundary}--\r\n`);
+        }
+      };
+      writeMore();
+    });
+    server.close();
+
+    expect(result.status).toBe(400);
+    expect(result.body.validationErrors.image).toBe(en.FILE_TOO_LARGE.replace('{{max}}', '2'));
+    expect(result.sent).toBeLessThan(maxBytes);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${en.IMAGE_REQUIRED}
+    ${'de'}  | ${de.IMAGE_REQUIRED}
+  `('returns "$message" when no image is sent and language is $language', async ({ language, message }) => {
+    const user = await addUser();
+    const token = await login();
+
+    const response = await postImage(user.id, { token, language });
+    expect(response.status).toBe(400);
+    expect(response.body.validationErrors.image).toBe(message);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${'File must not be larger than 2 MB'}
+    ${'de'}  | ${'Die Datei darf nicht größer als 2 MB sein'}
+  `('returns "$message" for oversized images when language is $language', async ({ language, message }) => {
+    const user = await addUser();
+    const token = await login();
+
+    const response = await postImage(user.id, { token, language, file: Buffer.alloc(TWO_MB + 1, 'a') });
+    expect(response.body.validationErrors.image).toBe(message);
+  });
+});
@@ -0,0 +1,59 @@
+const sequelize = require('../src/config/database');
+const User = require('../src/model/user');
+const Token = require('../src/model/token');
+const Session = require('../src/model/session');
+const invalidatePlaintextTokens = require('../src/migration/invalidatePlaintextTokens');
+const { hashToken } = require('../src/shared/hash');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true }, force: true });
+  await Token.destroy({ truncate: true });
+  await Session.destroy({ truncate: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('Invalidate Plaintext Tokens', () => {
+  it('clears plaintext activation and password reset tokens', async () => {
+    const user = await User.create({
+      username: 'user1',
+      email: 'user1@xyz.com',
+      activationToken: 'abcdef1234567890',
+      passwordResetToken: '1234567890abcdef',
+    });
+
+    await invalidatePlaintextTokens();
+
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(userInDB.activationToken).toBeNull();
+    expect(userInDB.passwordResetToken).toBeNull();
+  });
+
+  it('keeps hashed activation tokens', async () => {
+    const activationToken = hashToken('abcdef1234567890');
+    const user = await User.create({ username: 'user1', email: 'user1@xyz.com', activationToken });
+
+    await invalidatePlaintextTokens();
+
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(userInDB.activationToken).toBe(activationToken);
+  });
+
+  it('ends all existing sessions', async () => {
+    const user = await User.create({ username: 'user1', email: 'user1@xyz.com' });
+    const session = await Session.create({ userId: user.id, lastUsedAt: new Date() });
+    await Token.create({ token: 'plaintext-token', userId: user.id, sessionId: session.id });
+
+    const result = await invalidatePlaintextTokens();
+
+    expect(result.sessions).toBe(1);
+    expect(await Token.count()).toBe(0);
+    expect(await Session.count()).toBe(0);
+  });
+});
@@ -0,0 +1,225 @@
+process.env.NODE_CONFIG = JSON.stringify({
+  token: { strategy: 'jwt', jwt: { algorithm: 'HS256', secret: 'test-secret' } },
+});
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/model/user');
+const Token = require('../src/model/token');
+const RevokedToken = require('../src/model/revokedToken');
+const sequelize = require('../src/config/database');
+const bcrypt = require('bcrypt');
+const TokenService = require('../src/service/token');
+const createJwtTokenStrategy = require('../src/service/strategy/jwtToken');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true }, force: true });
+  await Token.destroy({ truncate: true });
+  await RevokedToken.destroy({ truncate: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+  delete process.env.NODE_CONFIG;
+});
+
+const credentials = { email: 'user1@xyz.com', password: 'test1234' };
+
+const addUser = async () => {
+  const hash = await bcrypt.hash(credentials.password, 10);
+  return User.create({ username: 'user1', email: credentials.email, password: hash, inactive: false });
+};
+
+const login = async () => {
+  const response = await request(app).post('/api/1.0/auth').send(credentials);
+  return response.body.token;
+};
+
+const putUser = (id, token) => {
+  return request(app)
+    .put(`/api/1.0/users/${id}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ username: 'user1-updated' });
+};
+
+describe('JWT Access Tokens', () => {
+  it('returns a signed JWT carrying user id and role claims on login', async () => {
+    const user = await addUser();
+    const token = await login();
+
+    const payload = jwt.verify(token, 'test-secret', { algorithms: ['HS256'] });
+    expect(payload.sub).toBe(String(user.id));
+    expect(payload.role).toBe('user');
+    expect(payload.jti).toBeTruthy();
+  });
+
+  it('does not store access tokens in the database', async () => {
+    await addUser();
+    await login();
+
+    const tokens = await Token.count();
+    expect(tokens).toBe(0);
+  });
+
+  it('authenticates requests with the issued JWT', async () => {
+    const user = await addUser();
+    const token = await login();
+
+    const response = await putUser(user.id, token);
+    expect(response.status).toBe(200);
+  });
+
+  it('returns 403 when the JWT is signed with another secret', async () => {
+    const user = await addUser();
+    const token = jwt.sign({ role: 'user' }, 'other-secret', { subject: String(user.id), jwtid: 'abc' });
+
+    const response = await putUser(user.id, token);
+    expect(response.status).toBe(403);
+  });
+
+  it('returns 403 when the JWT is expired', async () => {
+    const user = await addUser();
+    const token = jwt.sign({ role: 'user' }, 'test-secret', { subject: String(user.id), jwtid: 'abc', expiresIn: -10 });
+
+    const response = await putUser(user.id, token);
+    expect(response.status).toBe(403);
+  });
+
+  it('revokes the JWT on logout', async () => {
+    const user = await addUser();
+    const token = await login();
+
+    await request(app).post('/api/1.0/logout').set('Authorization', `Bearer ${token}`).send();
+
+    const response = await putUser(user.id, token);
+    expect(response.status).toBe(403);
+  });
+
+  it('revokes every issued JWT of the user when tokens are cleared', async () => {
+    const user = await addUser();
+    const token = await login();
+
+    await TokenService.clearTokens(user.id);
+
+    const response = await putUser(user.id, token);
+    expect(response.status).toBe(403);
+  });
+
+  it('accepts a JWT issued right after tokens are cleared', async () => {
+    const user = await addUser();
+
+    await TokenService.clearTokens(user.id);
+    const token = await login();
+
+    const response = await putUser(user.id, token);
+    expect(response.status).toBe(200);
+  });
+
+  it('revokes the JWT when its session is revoked', async () => {
+    const user = await addUser();
+    const token = await login();
+    const { sid } = jwt.decode(token);
+
+    await TokenService.deleteSession(user.id, sid);
+
+    const response = await putUser(user.id, token);
+    expect(response.status).toBe(403);
+  });
+
+  it('does not revoke tokens of other users when tokens are cleared', async () => {
+    const user = await addUser();
+    const token = await login();
+
+    await TokenService.clearTokens(user.id + 1);
+
+    const response = await putUser(user.id, token);
+    expect(response.status).toBe(200);
+  });
+});
+
+describe('JWT Access Tokens of Admins', () => {
+  const addAdmin = async (username, role = 'admin') => {
+    const hash = await bcrypt.hash(credentials.password, 10);
+    return User.create({ username, email: `${username}@xyz.com`, password: hash, inactive: false, role });
+  };
+
+  const loginAs = async (email) => {
+    const response = await request(app).post('/api/1.0/auth').send({ email, password: credentials.password });
+    return response.body.token;
+  };
+
+  const deleteAccount = (id, token) => {
+    return request(app).delete(`/api/1.0/admin/users/${id}`).set('Authorization', `Bearer ${token}`);
+  };
+
+  it('revokes the JWT of an admin whose role is changed', async () => {
+    await addAdmin('admin1');
+    const demoted = await addAdmin('admin2');
+    const target = await addUser();
+    const token = await loginAs('admin2@xyz.com');
+
+    const adminToken = await loginAs('admin1@xyz.com');
+    await request(app)
+      .put(`/api/1.0/admin/users/${demoted.id}/role`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'user' });
+
+    const response = await deleteAccount(target.id, token);
+    expect(response.status).toBe(403);
+  });
+
+  it('revokes the JWT of a deleted account', async () => {
+    await addAdmin('admin1');
+    const moderator = await addAdmin('moderator1', 'moderator');
+    const target = await addUser();
+    const token = await loginAs('moderator1@xyz.com');
+
+    const adminToken = await loginAs('admin1@xyz.com');
+    await deleteAccount(moderator.id, adminToken);
+
+    const response = await request(app)
+      .post(`/api/1.0/admin/users/${target.id}/deactivate`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(response.status).toBe(403);
+  });
+});
+
+describe('JWT Token Strategy', () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  });
+  const accessTokenTtl = 15 * 60 * 1000;
+
+  it('issues and verifies RS256 tokens with a key pair', async () => {
+    const strategy = createJwtTokenStrategy({ accessTokenTtl, algorithm: 'RS256', privateKey, publicKey });
+
+    const token = await strategy.createToken({ id: 5, role: 'admin' });
+    const user = await strategy.verify(token);
+
+    expect(jwt.decode(token, { complete: true }).header.alg).toBe('RS256');
+    expect(user).toEqual({ id: 5, role: 'admin' });
+  });
+
+  it('rejects HS256 tokens signed with the public key when RS256 is configured', async () => {
+    const strategy = createJwtTokenStrategy({ accessTokenTtl, algorithm: 'RS256', privateKey, publicKey });
+    const token = jwt.sign({ role: 'admin' }, publicKey, { algorithm: 'HS256', subject: '5', jwtid: 'abc' });
+
+    await expect(strategy.verify(token)).rejects.toThrow();
+  });
+
+  it('throws when keys are missing for the configured algorithm', () => {
+    expect(() => createJwtTokenStrategy({ accessTokenTtl, algorithm: 'RS256', secret: 'test-secret' })).toThrow();
+  });
+
+  it('throws for unsupported algorithms', () => {
+    expect(() => createJwtTokenStrategy({ accessTokenTtl, algorithm: 'none', secret: 'test-secret' })).toThrow();
+  });
+});
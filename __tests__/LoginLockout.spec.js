@@ -0,0 +1,189 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/model/user');
+const StoreEntry = require('../src/model/storeEntry');
+const sequelize = require('../src/config/database');
+const bcrypt = require('bcrypt');
+const LoginAttemptService = require('../src/service/loginAttempt');
+const createMemoryStore = require('../src/store/memoryStore');
+const createDatabaseStore = require('../src/store/databaseStore');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true }, force: true });
+  await StoreEntry.destroy({ truncate: true });
+  LoginAttemptService.useStore(createMemoryStore());
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+const credentials = { email: 'user1@xyz.com', password: 'test1234' };
+const wrongCredentials = { email: 'user1@xyz.com', password: 'wrong-password' };
+
+const addUser = async () => {
+  const hash = await bcrypt.hash(credentials.password, 10);
+  return User.create({ username: 'user1', email: credentials.email, password: hash, inactive: false });
+};
+
+const login = (body, options = {}) => {
+  const agent = request(app).post('/api/1.0/auth');
+  if (options.language) {
+    agent.set('accept-language', options.language);
+  }
+  return agent.send(body);
+};
+
+const failLogins = async (times, body = wrongCredentials) => {
+  for (let i = 0; i < times; i++) {
+    await login(body);
+  }
+};
+
+describe('Login Lockout', () => {
+  it('returns 429 when account is locked after 5 failed attempts', async () => {
+    await addUser();
+    await failLogins(5);
+
+    const response = await login(credentials);
+    expect(response.status).toBe(429);
+  });
+
+  it('returns Retry-After header of 5 minutes after the first lockout', async () => {
+    await addUser();
+    await failLogins(5);
+
+    const response = await login(credentials);
+    const retryAfter = Number.parseInt(response.headers['retry-after']);
+    expect(retryAfter).toBeGreaterThan(4 * 60);
+    expect(retryAfter).toBeLessThanOrEqual(5 * 60);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${'Too many failed login attempts, please try again later'}
+    ${'de'}  | ${'Zu viele fehlgeschlagene Anmeldeversuche, bitte versuchen Sie es später erneut'}
+  `('returns $message when account is locked in $language language', async ({ language, message }) => {
+    await addUser();
+    await failLogins(5);
+
+    const response = await login(credentials, { language });
+    expect(response.body.message).toBe(message);
+  });
+
+  it('locks the account regardless of letter case in email', async () => {
+    await addUser();
+    await failLogins(5, { ...wrongCredentials, email: 'USER1@xyz.com' });
+
+    const response = await login(credentials);
+    expect(response.status).toBe(429);
+  });
+
+  it('does not lock the account when failed attempts are below the limit', async () => {
+    await addUser();
+    await failLogins(4);
+
+    const response = await login(credentials);
+    expect(response.status).toBe(200);
+  });
+
+  it('resets the failed attempt counter after a successful login', async () => {
+    await addUser();
+    await failLogins(4);
+    await login(credentials);
+    await failLogins(4);
+
+    const response = await login(credentials);
+    expect(response.status).toBe(200);
+  });
+
+  it('counts failed attempts for unknown emails too', async () => {
+    await failLogins(5, { email: 'unknown@xyz.com', password: 'test1234' });
+
+    const response = await login({ email: 'unknown@xyz.com', password: 'test1234' });
+    expect(response.status).toBe(429);
+  });
+
+  it('blocks the IP after 50 failed attempts across accounts', async () => {
+    await addUser();
+    for (let i = 0; i < 50; i++) {
+      await login({ email: `user${i}@other.com`, password: 'test1234' });
+    }
+
+    const response = await login(credentials);
+    expect(response.status).toBe(429);
+  });
+});
+
+describe('Lockout Escalation', () => {
+  it('doubles the lock duration with every lockout', async () => {
+    let now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    for (let i = 0; i < 5; i++) {
+      await LoginAttemptService.recordFailure(credentials.email, '127.0.0.1');
+    }
+    now += 5 * 60 * 1000 + 1000;
+
+    for (let i = 0; i < 5; i++) {
+      await LoginAttemptService.recordFailure(credentials.email, '127.0.0.1');
+    }
+
+    let error;
+    try {
+      await LoginAttemptService.assertNotLocked(credentials.email, '127.0.0.2');
+    } catch (e) {
+      error = e;
+    }
+    expect(error.retryAfter).toBe(10 * 60);
+  });
+});
+
+describe('Database Store', () => {
+  it('shares counters through the database', async () => {
+    const firstInstance = createDatabaseStore();
+    const secondInstance = createDatabaseStore();
+
+    await firstInstance.increment('login:account:user1@xyz.com', 60 * 1000);
+    const entry = await secondInstance.increment('login:account:user1@xyz.com', 60 * 1000);
+
+    expect(entry.count).toBe(2);
+  });
+
+  it('restarts the counter after it expires', async () => {
+    const store = createDatabaseStore();
+    await store.set('login:account:user1@xyz.com', 4, -1000);
+
+    const entry = await store.increment('login:account:user1@xyz.com', 60 * 1000);
+    expect(entry.count).toBe(1);
+  });
+
+  it('counts every one of parallel increments', async () => {
+    const store = createDatabaseStore();
+
+    const entries = await Promise.all(
+      Array.from({ length: 5 }, () => store.increment('login:account:user1@xyz.com', 60 * 1000))
+    );
+
+    const entry = await store.get('login:account:user1@xyz.com');
+    expect(entry.count).toBe(5);
+    expect(entries.map(({ count }) => count)).toContain(5);
+  });
+
+  it('locks accounts when used as the login attempt store', async () => {
+    LoginAttemptService.useStore(createDatabaseStore());
+    await addUser();
+    await failLogins(5);
+
+    const response = await login(credentials);
+    expect(response.status).toBe(429);
+  });
+});
@@ -0,0 +1,176 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/model/user');
+const sequelize = require('../src/config/database');
+const bcrypt = require('bcrypt');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true }, force: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+const getUsers = (query = {}) => {
+  return request(app).get('/api/1.0/users').query(query);
+};
+
+const addUsers = async (count, user = {}) => {
+  for (let i = 0; i < count; i++) {
+    await User.create({ username: `user${i}`, email: `user${i}@xyz.com`, password: 'hash', inactive: false, ...user });
+  }
+};
+
+// Links are absolute, only their path and query are compared
+const relative = (url) => {
+  const { pathname, search } = new URL(url);
+  return `${pathname}${search}`;
+};
+
+const relativeLinks = (links) => {
+  const result = {};
+  Object.entries(links).forEach(([rel, url]) => {
+    result[rel] = relative(url);
+  });
+  return result;
+};
+
+const parseLinkHeader = (header) => {
+  const links = {};
+  header.split(', ').forEach((link) => {
+    const [, url, rel] = link.match(/^<([^>]+)>; rel="(\w+)"$/);
+    links[rel] = url;
+  });
+  return links;
+};
+
+describe('Pagination Links', () => {
+  it('returns first, next and last links on the first page', async () => {
+    await addUsers(25);
+
+    const response = await getUsers();
+    expect(relativeLinks(response.body.users.links)).toEqual({
+      first: '/api/1.0/users?page=1&pageSize=10',
+      next: '/api/1.0/users?page=2&pageSize=10',
+      last: '/api/1.0/users?page=3&pageSize=10',
+    });
+  });
+
+  it('returns first, prev, next and last links on a middle page', async () => {
+    await addUsers(25);
+
+    const response = await getUsers({ page: 2, pageSize: 5 });
+    expect(relativeLinks(response.body.users.links)).toEqual({
+      first: '/api/1.0/users?page=1&pageSize=5',
+      prev: '/api/1.0/users?page=1&pageSize=5',
+      next: '/api/1.0/users?page=3&pageSize=5',
+      last: '/api/1.0/users?page=5&pageSize=5',
+    });
+  });
+
+  it('returns no next link on the last page', async () => {
+    await addUsers(25);
+
+    const response = await getUsers({ page: 3 });
+    expect(Object.keys(response.body.users.links)).toEqual(['first', 'prev', 'last']);
+  });
+
+  it('returns prev link to the last page when page is beyond the last one', async () => {
+    await addUsers(25);
+
+    const response = await getUsers({ page: 7 });
+    expect(relative(response.body.users.links.prev)).toBe('/api/1.0/users?page=3&pageSize=10');
+  });
+
+  it('returns first and last links to page 1 when there are no users', async () => {
+    const response = await getUsers();
+    expect(relativeLinks(response.body.users.links)).toEqual({
+      first: '/api/1.0/users?page=1&pageSize=10',
+      last: '/api/1.0/users?page=1&pageSize=10',
+    });
+  });
+
+  it('keeps search, sort and filter parameters in links', async () => {
+    await addUsers(15);
+
+    const response = await getUsers({ q: 'user', sort: 'username,desc', hasImage: false });
+    expect(relative(response.body.users.links.next)).toBe(
+      '/api/1.0/users?q=user&sort=username%2Cdesc&hasImage=false&page=2&pageSize=10'
+    );
+  });
+
+  it('returns the links of the body in the Link header', async () => {
+    await addUsers(25);
+
+    const response = await getUsers({ page: 2 });
+    expect(parseLinkHeader(response.header.link)).toEqual(response.body.users.links);
+  });
+
+  it('returns absolute urls of the requested host', async () => {
+    const response = await getUsers().set('Host', 'api.example.com');
+    expect(response.body.users.links.first).toBe('http://api.example.com/api/1.0/users?page=1&pageSize=10');
+  });
+
+  it('returns the number of matching users in X-Total-Count header', async () => {
+    await addUsers(18);
+    await User.update({ inactive: true }, { where: { username: ['user15', 'user16', 'user17'] } });
+
+    const response = await getUsers();
+    expect(response.header['x-total-count']).toBe('15');
+  });
+
+  it('returns first, prev and next links with cursors in cursor mode', async () => {
+    await addUsers(25);
+    const first = await getUsers({ cursor: '' });
+
+    const response = await getUsers({ cursor: first.body.users.nextCursor });
+    const { links, nextCursor, prevCursor } = response.body.users;
+    expect(Object.keys(links)).toEqual(['first', 'prev', 'next']);
+    expect(new URL(links.first).searchParams.get('cursor')).toBe('');
+    expect(new URL(links.prev).searchParams.get('cursor')).toBe(prevCursor);
+    expect(new URL(links.next).searchParams.get('cursor')).toBe(nextCursor);
+  });
+
+  it('returns pages when following next links in cursor mode', async () => {
+    await addUsers(25);
+
+    let response = await getUsers({ cursor: '' });
+    const visited = [];
+    while (response.body.users.links.next) {
+      visited.push(...response.body.users.content.map((user) => user.username));
+      response = await request(app).get(relative(response.body.users.links.next));
+    }
+    visited.push(...response.body.users.content.map((user) => user.username));
+    expect(new Set(visited).size).toBe(25);
+  });
+
+  it('does not return X-Total-Count in cursor mode', async () => {
+    await addUsers(5);
+
+    const response = await getUsers({ cursor: '' });
+    expect(response.header['x-total-count']).toBeUndefined();
+  });
+
+  it('returns links and X-Total-Count on the inactive users listing of admins', async () => {
+    await User.create({
+      username: 'admin',
+      email: 'admin@xyz.com',
+      password: await bcrypt.hash('test1234', 10),
+      inactive: false,
+      role: 'admin',
+    });
+    await User.create({ username: 'user1', email: 'user1@xyz.com', password: 'hash' });
+    const auth = await request(app).post('/api/1.0/auth').send({ email: 'admin@xyz.com', password: 'test1234' });
+
+    const response = await request(app)
+      .get('/api/1.0/admin/users/inactive')
+      .set('Authorization', `Bearer ${auth.body.token}`);
+    expect(response.header['x-total-count']).toBe('1');
+    expect(relative(response.body.users.links.first)).toBe('/api/1.0/admin/users/inactive?page=1&pageSize=10');
+  });
+});
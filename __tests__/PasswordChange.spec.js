@@ -0,0 +1,145 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/model/user');
+const Session = require('../src/model/session');
+const sequelize = require('../src/config/database');
+const bcrypt = require('bcrypt');
+const LoginAttemptService = require('../src/service/loginAttempt');
+const createMemoryStore = require('../src/store/memoryStore');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true }, force: true });
+  LoginAttemptService.useStore(createMemoryStore());
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+const credentials = { email: 'user1@xyz.com', password: 'P4ssword' };
+
+const addUser = async () => {
+  const hash = await bcrypt.hash(credentials.password, 10);
+  return User.create({ username: 'user1', email: credentials.email, password: hash, inactive: false });
+};
+
+const login = async (userAgent = 'test-agent') => {
+  const response = await request(app).post('/api/1.0/auth').set('User-Agent', userAgent).send(credentials);
+  return response.body.token;
+};
+
+const putPassword = (id, body, options = {}) => {
+  const agent = request(app).put(`/api/1.0/users/${id}/password`);
+  if (options.language) {
+    agent.set('accept-language', options.language);
+  }
+  if (options.token) {
+    agent.set('Authorization', `Bearer ${options.token}`);
+  }
+  return agent.send(body);
+};
+
+const validBody = { currentPassword: credentials.password, password: 'N3w-P4ssword' };
+
+describe('Password Change', () => {
+  it('returns 403 when request is sent without authorization', async () => {
+    const user = await addUser();
+    const response = await putPassword(user.id, validBody);
+    expect(response.status).toBe(403);
+  });
+
+  it('returns 403 when password of another user is changed', async () => {
+    const user = await addUser();
+    const token = await login();
+    const response = await putPassword(user.id + 1, validBody, { token });
+    expect(response.status).toBe(403);
+  });
+
+  it('returns 200 and updates the password when current password is correct', async () => {
+    const user = await addUser();
+    const token = await login();
+
+    const response = await putPassword(user.id, validBody, { token });
+
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(response.status).toBe(200);
+    expect(await bcrypt.compare(validBody.password, userInDB.password)).toBe(true);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${'Password changed successfully'}
+    ${'de'}  | ${'Passwort erfolgreich geändert'}
+  `('returns $message when password is changed in $language language', async ({ language, message }) => {
+    const user = await addUser();
+    const token = await login();
+
+    const response = await putPassword(user.id, validBody, { token, language });
+    expect(response.body.message).toBe(message);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${'Current password is incorrect'}
+    ${'de'}  | ${'Das aktuelle Passwort ist falsch'}
+  `('returns 403 with $message when current password is wrong in $language language', async ({ language, message }) => {
+    const user = await addUser();
+    const token = await login();
+
+    const response = await putPassword(user.id, { ...validBody, currentPassword: 'Wr0ngpass' }, { token, language });
+
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(response.status).toBe(403);
+    expect(response.body.message).toBe(message);
+    expect(await bcrypt.compare(credentials.password, userInDB.password)).toBe(true);
+  });
+
+  it('returns 403 when current password is missing', async () => {
+    const user = await addUser();
+    const token = await login();
+
+    const response = await putPassword(user.id, { password: validBody.password }, { token });
+    expect(response.status).toBe(403);
+  });
+
+  it('locks the account after repeated wrong current passwords', async () => {
+    const user = await addUser();
+    const token = await login();
+    for (let i = 0; i < 5; i++) {
+      await putPassword(user.id, { ...validBody, currentPassword: 'Wr0ngpass' }, { token });
+    }
+
+    const response = await putPassword(user.id, validBody, { token });
+    expect(response.status).toBe(429);
+  });
+
+  it.each`
+    value             | message
+    ${null}           | ${'Password cannot be null'}
+    ${'P4ssw'}        | ${'Password must be atleast 6 characters long'}
+    ${'alllowercase'} | ${'Password must have at least 1 uppercase letter'}
+  `('returns $message when new password is $value', async ({ value, message }) => {
+    const user = await addUser();
+    const token = await login();
+
+    const response = await putPassword(user.id, { ...validBody, password: value }, { token });
+    expect(response.status).toBe(400);
+    expect(response.body.validationErrors.password).toBe(message);
+  });
+
+  it('ends other sessions but keeps the current one', async () => {
+    const user = await addUser();
+    await login('Firefox');
+    const token = await login('Chrome');
+
+    await putPassword(user.id, validBody, { token });
+
+    const sessions = await Session.findAll({ where: { userId: user.id } });
+    expect(sessions.length).toBe(1);
+    expect(sessions[0].userAgent).toBe('Chrome');
+  });
+});
@@ -0,0 +1,248 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/model/user');
+const PasswordHistory = require('../src/model/passwordHistory');
+const sequelize = require('../src/config/database');
+const bcrypt = require('bcrypt');
+const EmailService = require('../src/service/email');
+const RateLimitService = require('../src/service/rateLimit');
+const PasswordPolicyService = require('../src/service/passwordPolicy');
+const createMemoryStore = require('../src/store/memoryStore');
+const { hashToken } = require('../src/shared/hash');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true }, force: true });
+  await PasswordHistory.destroy({ truncate: true });
+  RateLimitService.useStore(createMemoryStore());
+  jest.spyOn(EmailService, 'sendActivationToken').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+const validUser = { username: 'user1', email: 'user1@xyz.com', password: 'P4ssword' };
+
+const postUser = (user = validUser, options = {}) => {
+  const agent = request(app).post('/api/1.0/users');
+  if (options.language) {
+    agent.set('accept-language', options.language);
+  }
+  return agent.send(user);
+};
+
+const resetPassword = async (user, password) => {
+  await User.update(
+    {
+      passwordResetToken: hashToken('valid-reset-token'),
+      passwordResetTokenExpiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    },
+    { where: { id: user.id } }
+  );
+  return request(app).put('/api/1.0/user/password').send({ password, passwordResetToken: 'valid-reset-token' });
+};
+
+const registeredUser = async () => {
+  await postUser();
+  return User.findOne({ where: { email: validUser.email } });
+};
+
+describe('Password Policy Rules', () => {
+  it('reports every failed rule as its own message', async () => {
+    const response = await postUser({ ...validUser, password: 'abc' });
+
+    expect(response.body.validationErrors.password).toBe('Password must be atleast 6 characters long');
+    expect(response.body.validationMessages.password).toEqual([
+      'Password must be atleast 6 characters long',
+      'Password must have at least 1 uppercase letter',
+      'Password must have at least 1 number',
+    ]);
+  });
+
+  it('does not return validationMessages when every field fails at most one rule', async () => {
+    const response = await postUser({ ...validUser, password: 'abcdefG1', username: null });
+    expect(response.body.validationMessages).toBeUndefined();
+  });
+
+  it.each`
+    language | messages
+    ${'en'}  | ${['Password must be atleast 6 characters long', 'Password must have at least 1 lowercase letter']}
+    ${'de'}  | ${['Das Passwort muss mindestens 6 Zeichen lang sein', 'Das Passwort muss mindestens 1 Kleinbuchstaben enthalten']}
+  `('returns translated messages in $language language', async ({ language, messages }) => {
+    const response = await postUser({ ...validUser, password: 'AB12' }, { language });
+    expect(response.body.validationMessages.password).toEqual(messages);
+  });
+
+  it('returns a message when password is longer than 72 characters', async () => {
+    const response = await postUser({ ...validUser, password: 'P4ssword'.repeat(10) });
+    expect(response.body.validationErrors.password).toBe('Password must be at most 72 characters long');
+  });
+
+  it('counts the maximum length in bytes as bcrypt does', async () => {
+    const response = await postUser({ ...validUser, password: `P4ss${'ö'.repeat(40)}` });
+    expect(response.body.validationErrors.password).toBe('Password must be at most 72 characters long');
+  });
+
+  it.each`
+    password
+    ${'User1-P4ss'}
+    ${'P4ssUSER1'}
+  `('returns a message when password $password contains the username or email', async ({ password }) => {
+    const response = await postUser({ ...validUser, password });
+    expect(response.body.validationErrors.password).toBe('Password must not contain your username or email');
+  });
+
+  it.each`
+    password
+    ${'Password1'}
+    ${'Qwerty123'}
+    ${'Letmein1'}
+  `('returns a message when password $password is on the common password list', async ({ password }) => {
+    const response = await postUser({ ...validUser, password });
+    expect(response.body.validationErrors.password).toBe('Password is too common');
+  });
+
+  it('saves the user when the password satisfies every rule', async () => {
+    const response = await postUser();
+    expect(response.status).toBe(200);
+  });
+});
+
+describe('Password History', () => {
+  it('records the password hash on registration', async () => {
+    const user = await registeredUser();
+
+    const history = await PasswordHistory.findAll({ where: { userId: user.id } });
+    expect(history.length).toBe(1);
+    expect(history[0].hash).toBe(user.password);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${'Password must not match any of your last 5 passwords'}
+    ${'de'}  | ${'Das Passwort darf keinem Ihrer letzten 5 Passwörter entsprechen'}
+  `('returns $message when the current password is reused in $language language', async ({ language, message }) => {
+    const user = await registeredUser();
+    await user.update({
+      passwordResetToken: hashToken('valid-reset-token'),
+      passwordResetTokenExpiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    });
+
+    const response = await request(app)
+      .put('/api/1.0/user/password')
+      .set('accept-language', language)
+      .send({ password: validUser.password, passwordResetToken: 'valid-reset-token' });
+    expect(response.status).toBe(400);
+    expect(response.body.validationErrors.password).toBe(message);
+  });
+
+  it('does not compare the password of a registration with the history of the id in the body', async () => {
+    const user = await registeredUser();
+
+    const response = await postUser({
+      id: user.id,
+      username: 'user2',
+      email: 'user2@xyz.com',
+      password: validUser.password,
+    });
+    expect(response.status).toBe(200);
+  });
+
+  it('does not save the user when recording the password fails', async () => {
+    jest.spyOn(PasswordPolicyService, 'recordPassword').mockRejectedValueOnce(new Error('database is locked'));
+
+    const failed = await postUser();
+    const retried = await postUser();
+    expect(failed.status).toBe(500);
+    expect(retried.status).toBe(200);
+    expect(await User.count()).toBe(1);
+  });
+
+  it('rejects a password used before the current one', async () => {
+    const user = await registeredUser();
+    await resetPassword(user, 'N3w-P4ssword');
+
+    const response = await resetPassword(user, validUser.password);
+    expect(response.status).toBe(400);
+  });
+
+  it('accepts a password that dropped out of the history', async () => {
+    const user = await registeredUser();
+    for (const password of ['N3w-P4ssword1', 'N3w-P4ssword2', 'N3w-P4ssword3', 'N3w-P4ssword4', 'N3w-P4ssword5']) {
+      await resetPassword(user, password);
+    }
+
+    const response = await resetPassword(user, validUser.password);
+    expect(response.status).toBe(200);
+  });
+
+  it('keeps only the configured number of hashes', async () => {
+    const user = await registeredUser();
+    for (const password of ['N3w-P4ssword1', 'N3w-P4ssword2', 'N3w-P4ssword3', 'N3w-P4ssword4', 'N3w-P4ssword5']) {
+      await resetPassword(user, password);
+    }
+
+    const history = await PasswordHistory.count({ where: { userId: user.id } });
+    expect(history).toBe(5);
+  });
+
+  it('rejects the current password of accounts without recorded history', async () => {
+    const hash = await bcrypt.hash(validUser.password, 10);
+    const user = await User.create({ ...validUser, password: hash, inactive: false });
+
+    const response = await resetPassword(user, validUser.password);
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('Password Policy Configuration', () => {
+  const rulesFor = (passwordPolicy) => {
+    let rules;
+    jest.isolateModules(() => {
+      process.env.NODE_CONFIG = JSON.stringify({ passwordPolicy });
+      rules = require('../src/service/passwordPolicy').getRules();
+      delete process.env.NODE_CONFIG;
+    });
+    return rules.map((rule) => rule.message);
+  };
+
+  it('applies the default rules', () => {
+    expect(PasswordPolicyService.getRules().map((rule) => rule.message)).toEqual([
+      { key: 'PASSWORD_LENGTH', options: { min: 6 } },
+      { key: 'PASSWORD_MAX_LENGTH', options: { max: 72 } },
+      'PASSWORD_LOWERCASE',
+      'PASSWORD_UPPERCASE',
+      'PASSWORD_NUMBER',
+      'PASSWORD_PERSONAL_INFO',
+      'PASSWORD_COMMON',
+      { key: 'PASSWORD_REUSED', options: { count: 5 } },
+    ]);
+  });
+
+  it('builds the rules from config', () => {
+    const rules = rulesFor({
+      minLength: 12,
+      maxLength: 0,
+      requireUppercase: false,
+      requireSymbol: true,
+      disallowPersonalInfo: false,
+      denylistPath: '',
+      historySize: 0,
+    });
+
+    expect(rules).toEqual([
+      { key: 'PASSWORD_LENGTH', options: { min: 12 } },
+      'PASSWORD_LOWERCASE',
+      'PASSWORD_NUMBER',
+      'PASSWORD_SYMBOL',
+    ]);
+  });
+});
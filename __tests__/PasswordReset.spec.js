@@ -6,6 +6,9 @@ const bcrypt = require('bcrypt');
 const { SMTPServer } = require('smtp-server');
 const EmailService = require('../src/service/email');
 const Token = require('../src/model/token');
+const { hashToken } = require('../src/shared/hash');
+const RateLimitService = require('../src/service/rateLimit');
+const createMemoryStore = require('../src/store/memoryStore');
 
 let server, lastMail;
 beforeAll(async () => {
@@ -29,7 +32,12 @@ beforeAll(async () => {
 });
 
 beforeEach(async () => {
-  await User.destroy({ truncate: { cascade: true } });
+  await User.destroy({ truncate: { cascade: true }, force: true });
+  RateLimitService.useStore(createMemoryStore());
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
 });
 
 afterAll(async () => {
@@ -145,11 +153,22 @@ describe('Password Reset', () => {
   });
 
   it('sends a password reset email with password reset token when reset request is sent for a known email', async () => {
+    const sendPasswordResetToken = jest.spyOn(EmailService, 'sendPasswordResetToken');
+    await addUser();
+    await sendPasswordResetEmail('user1@xyz.com');
+
+    const token = sendPasswordResetToken.mock.calls[0][1];
+    expect(lastMail).toContain(token);
+  });
+
+  it('stores only the SHA-256 digest of the password reset token', async () => {
+    const sendPasswordResetToken = jest.spyOn(EmailService, 'sendPasswordResetToken');
     await addUser();
     await sendPasswordResetEmail('user1@xyz.com');
 
+    const token = sendPasswordResetToken.mock.calls[0][1];
     const user = await User.findOne({ where: { email: 'user1@xyz.com' } });
-    expect(lastMail).toContain(user.passwordResetToken);
+    expect(user.passwordResetToken).toBe(hashToken(token));
   });
 
   it('sends 502 Bad Gateway when sending email fails', async () => {
@@ -181,10 +200,14 @@ describe('Password Reset', () => {
 describe('Password Update', () => {
   const PASSWORD_NULL_EN = 'Password cannot be null';
   const PASSWORD_LENGTH_EN = 'Password must be atleast 6 characters long';
-  const PASSWORD_PATTERN_EN = 'Password must have atleast 1 uppercase, 1 lowercase and 1 number';
+  const PASSWORD_LOWERCASE_EN = 'Password must have at least 1 lowercase letter';
+  const PASSWORD_UPPERCASE_EN = 'Password must have at least 1 uppercase letter';
+  const PASSWORD_NUMBER_EN = 'Password must have at least 1 number';
   const PASSWORD_NULL_DE = 'Das Passwort darf nicht null sein';
   const PASSWORD_LENGTH_DE = 'Das Passwort muss mindestens 6 Zeichen lang sein';
-  const PASSWORD_PATTERN_DE = 'Das Passwort muss mindestens 1 Großbuchstaben, 1 Kleinbuchstaben und 1 Zahl enthalten';
+  const PASSWORD_LOWERCASE_DE = 'Das Passwort muss mindestens 1 Kleinbuchstaben enthalten';
+  const PASSWORD_UPPERCASE_DE = 'Das Passwort muss mindestens 1 Großbuchstaben enthalten';
+  const PASSWORD_NUMBER_DE = 'Das Passwort muss mindestens 1 Zahl enthalten';
 
   it('returns 403 when password update request does not have the valid password reset token', async () => {
     const response = await sendPasswordUpdateRequest({
@@ -216,7 +239,8 @@ describe('Password Update', () => {
 
   it('returns 400 when password update request is made with invalid password but valid reset token', async () => {
     const user = await addUser();
-    user.passwordResetToken = 'valid-reset-token';
+    user.passwordResetToken = hashToken('valid-reset-token');
+    user.passwordResetTokenExpiresAt = new Date(Date.now() + 60 * 60 * 1000);
     await user.save();
 
     const response = await sendPasswordUpdateRequest({
@@ -230,25 +254,27 @@ describe('Password Update', () => {
     field         | language | value          | message
     ${'password'} | ${'en'}  | ${null}        | ${PASSWORD_NULL_EN}
     ${'password'} | ${'en'}  | ${'abc24'}     | ${PASSWORD_LENGTH_EN}
-    ${'password'} | ${'en'}  | ${'abcdefgh'}  | ${PASSWORD_PATTERN_EN}
-    ${'password'} | ${'en'}  | ${'ABCDEFG'}   | ${PASSWORD_PATTERN_EN}
-    ${'password'} | ${'en'}  | ${'12334345'}  | ${PASSWORD_PATTERN_EN}
-    ${'password'} | ${'en'}  | ${'1233acb'}   | ${PASSWORD_PATTERN_EN}
-    ${'password'} | ${'en'}  | ${'123APCES'}  | ${PASSWORD_PATTERN_EN}
-    ${'password'} | ${'en'}  | ${'xyysAPCES'} | ${PASSWORD_PATTERN_EN}
+    ${'password'} | ${'en'}  | ${'abcdefgh'}  | ${PASSWORD_UPPERCASE_EN}
+    ${'password'} | ${'en'}  | ${'ABCDEFG'}   | ${PASSWORD_LOWERCASE_EN}
+    ${'password'} | ${'en'}  | ${'12334345'}  | ${PASSWORD_LOWERCASE_EN}
+    ${'password'} | ${'en'}  | ${'1233acb'}   | ${PASSWORD_UPPERCASE_EN}
+    ${'password'} | ${'en'}  | ${'123APCES'}  | ${PASSWORD_LOWERCASE_EN}
+    ${'password'} | ${'en'}  | ${'xyysAPCES'} | ${PASSWORD_NUMBER_EN}
     ${'password'} | ${'de'}  | ${null}        | ${PASSWORD_NULL_DE}
     ${'password'} | ${'de'}  | ${'abc24'}     | ${PASSWORD_LENGTH_DE}
-    ${'password'} | ${'de'}  | ${'abcdefgh'}  | ${PASSWORD_PATTERN_DE}
-    ${'password'} | ${'de'}  | ${'ABCDEFG'}   | ${PASSWORD_PATTERN_DE}
-    ${'password'} | ${'de'}  | ${'12334345'}  | ${PASSWORD_PATTERN_DE}
-    ${'password'} | ${'de'}  | ${'1233acb'}   | ${PASSWORD_PATTERN_DE}
-    ${'password'} | ${'de'}  | ${'123APCES'}  | ${PASSWORD_PATTERN_DE}
-    ${'password'} | ${'de'}  | ${'xyysAPCES'} | ${PASSWORD_PATTERN_DE}
+    ${'password'} | ${'de'}  | ${'abcdefgh'}  | ${PASSWORD_UPPERCASE_DE}
+    ${'password'} | ${'de'}  | ${'ABCDEFG'}   | ${PASSWORD_LOWERCASE_DE}
+    ${'password'} | ${'de'}  | ${'12334345'}  | ${PASSWORD_LOWERCASE_DE}
+    ${'password'} | ${'de'}  | ${'1233acb'}   | ${PASSWORD_UPPERCASE_DE}
+    ${'password'} | ${'de'}  | ${'123APCES'}  | ${PASSWORD_LOWERCASE_DE}
+    ${'password'} | ${'de'}  | ${'xyysAPCES'} | ${PASSWORD_NUMBER_DE}
   `(
     'returns `$message` when $field has invalid value $value during update password and reset token is valid and language is $language',
     async ({ field, language, value, message }) => {
       const user = await addUser();
-      user.passwordResetToken = 'valid-reset-token';
+      user.passwordResetToken = hashToken('valid-reset-token');
+      user.passwordResetTokenExpiresAt = new Date(Date.now() + 60 * 60 * 1000);
+      user.passwordResetTokenExpiresAt = new Date(Date.now() + 60 * 60 * 1000);
       await user.save();
 
       const response = await sendPasswordUpdateRequest(
@@ -268,7 +294,8 @@ describe('Password Update', () => {
 
   it('returns 200 OK when valid password is sent with valid reset token', async () => {
     const user = await addUser();
-    user.passwordResetToken = 'valid-reset-token';
+    user.passwordResetToken = hashToken('valid-reset-token');
+    user.passwordResetTokenExpiresAt = new Date(Date.now() + 60 * 60 * 1000);
     await user.save();
 
     const response = await sendPasswordUpdateRequest({
@@ -280,7 +307,8 @@ describe('Password Update', () => {
 
   it('updates password in db when valid password is sent with valid reset token', async () => {
     const user = await addUser();
-    user.passwordResetToken = 'valid-reset-token';
+    user.passwordResetToken = hashToken('valid-reset-token');
+    user.passwordResetTokenExpiresAt = new Date(Date.now() + 60 * 60 * 1000);
     await user.save();
 
     await sendPasswordUpdateRequest({
@@ -294,7 +322,8 @@ describe('Password Update', () => {
 
   it('clears all login tokens in db when valid password is sent with valid reset token', async () => {
     const user = await addUser();
-    user.passwordResetToken = 'valid-reset-token';
+    user.passwordResetToken = hashToken('valid-reset-token');
+    user.passwordResetTokenExpiresAt = new Date(Date.now() + 60 * 60 * 1000);
     await user.save();
 
     await Token.create({
@@ -312,3 +341,96 @@ describe('Password Update', () => {
     expect(tokens.length).toBe(0);
   });
 });
+
+describe('Password Reset Token Expiry', () => {
+  const addUserWithResetToken = async (expiresAt = new Date(Date.now() + 60 * 60 * 1000)) => {
+    const user = await addUser();
+    user.passwordResetToken = hashToken('valid-reset-token');
+    user.passwordResetTokenExpiresAt = expiresAt;
+    return user.save();
+  };
+
+  it('sets the password reset token to expire in 1 hour', async () => {
+    await addUser();
+    const timeBeforeRequest = Date.now();
+    await sendPasswordResetEmail('user1@xyz.com');
+
+    const userInDB = await User.findOne({ where: { email: 'user1@xyz.com' } });
+    const expiresIn = new Date(userInDB.passwordResetTokenExpiresAt).getTime() - timeBeforeRequest;
+    expect(expiresIn).toBeGreaterThanOrEqual(60 * 60 * 1000);
+    expect(expiresIn).toBeLessThan(61 * 60 * 1000);
+  });
+
+  it('returns 403 when password reset token is expired', async () => {
+    await addUserWithResetToken(new Date(Date.now() - 1000));
+
+    const response = await sendPasswordUpdateRequest({ password: 'P4ssword', passwordResetToken: 'valid-reset-token' });
+    expect(response.status).toBe(403);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${'Password reset link has expired, please request a new one'}
+    ${'de'}  | ${'Der Link zum Zurücksetzen des Passworts ist abgelaufen, bitte fordern Sie einen neuen an'}
+  `('returns $message when password reset token is expired in $language language', async ({ language, message }) => {
+    await addUserWithResetToken(new Date(Date.now() - 1000));
+
+    const response = await sendPasswordUpdateRequest(
+      { password: 'P4ssword', passwordResetToken: 'valid-reset-token' },
+      { language }
+    );
+    expect(response.body.message).toBe(message);
+  });
+
+  it('does not update the password when password reset token is expired', async () => {
+    const user = await addUserWithResetToken(new Date(Date.now() - 1000));
+
+    await sendPasswordUpdateRequest({ password: 'P4ssword', passwordResetToken: 'valid-reset-token' });
+
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(userInDB.password).toBe(user.password);
+    expect(userInDB.passwordResetToken).toBeNull();
+  });
+
+  it('returns 403 when the password reset token is used a second time', async () => {
+    await addUserWithResetToken();
+
+    await sendPasswordUpdateRequest({ password: 'P4ssword', passwordResetToken: 'valid-reset-token' });
+    const response = await sendPasswordUpdateRequest({
+      password: 'N3wPassword',
+      passwordResetToken: 'valid-reset-token',
+    });
+    expect(response.status).toBe(403);
+  });
+
+  it('updates the password only once when the same token is used concurrently', async () => {
+    await addUserWithResetToken();
+
+    const responses = await Promise.all([
+      sendPasswordUpdateRequest({ password: 'P4ssword', passwordResetToken: 'valid-reset-token' }),
+      sendPasswordUpdateRequest({ password: 'N3wPassword', passwordResetToken: 'valid-reset-token' }),
+    ]);
+
+    const succeeded = responses.filter((response) => response.status === 200);
+    expect(succeeded.length).toBe(1);
+  });
+
+  it('clears the password reset token when user logs in', async () => {
+    const user = await addUserWithResetToken();
+
+    await request(app).post('/api/1.0/auth').send({ email: 'user1@xyz.com', password: 'test1234' });
+
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(userInDB.passwordResetToken).toBeNull();
+    expect(userInDB.passwordResetTokenExpiresAt).toBeNull();
+  });
+
+  it('invalidates the previous password reset token when a new one is requested', async () => {
+    await addUserWithResetToken();
+
+    await sendPasswordResetEmail('user1@xyz.com');
+
+    const response = await sendPasswordUpdateRequest({ password: 'P4ssword', passwordResetToken: 'valid-reset-token' });
+    expect(response.status).toBe(403);
+  });
+});
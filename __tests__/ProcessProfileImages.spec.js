@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('config');
+const User = require('../src/model/user');
+const sequelize = require('../src/config/database');
+const processProfileImages = require('../src/migration/processProfileImages');
+
+const { uploadDir, profileDir } = config;
+const profileDirectory = path.join('.', uploadDir, profileDir);
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true }, force: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+
+  const files = await fs.promises.readdir(profileDirectory);
+  for (const file of files) {
+    await fs.promises.unlink(path.join(profileDirectory, file));
+  }
+});
+
+const addUser = (user = {}) => {
+  return User.create({ username: 'user1', email: 'user1@xyz.com', inactive: false, ...user });
+};
+
+const addLegacyImage = async (fileName, content) => {
+  const image = content || (await fs.promises.readFile(path.join('.', '__tests__', 'resources', 'testImage.jpg')));
+  await fs.promises.writeFile(path.join(profileDirectory, fileName), image);
+};
+
+const exists = (fileName) => fs.existsSync(path.join(profileDirectory, fileName));
+
+describe('Process Profile Images', () => {
+  it('replaces unprocessed images with processed sizes', async () => {
+    await addLegacyImage('legacyimage');
+    const user = await addUser({ profileImage: 'legacyimage' });
+
+    await processProfileImages();
+    const inDb = await User.findOne({ where: { id: user.id } });
+    expect(inDb.profileImage).toMatch(/^[0-9a-f]{32}\.jpg$/);
+    for (const size of [64, 256, 512]) {
+      expect(exists(inDb.profileImage.replace('.', `-${size}.`))).toBe(true);
+    }
+  });
+
+  it('removes the unprocessed image file', async () => {
+    await addLegacyImage('legacyimage');
+    await addUser({ profileImage: 'legacyimage' });
+
+    await processProfileImages();
+    expect(exists('legacyimage')).toBe(false);
+  });
+
+  it('processes images of deleted accounts within their grace period', async () => {
+    await addLegacyImage('legacyimage');
+    const user = await addUser({ profileImage: 'legacyimage' });
+    await user.destroy();
+
+    await processProfileImages();
+    const inDb = await User.findOne({ where: { id: user.id }, paranoid: false });
+    expect(inDb.profileImage).toMatch(/\.jpg$/);
+  });
+
+  it('removes images whose file is gone or cannot be decoded from the profile', async () => {
+    await addLegacyImage('brokenimage', Buffer.from('not an image'));
+    const broken = await addUser({ profileImage: 'brokenimage' });
+    const missing = await addUser({ username: 'user2', email: 'user2@xyz.com', profileImage: 'missingimage' });
+
+    await processProfileImages();
+    expect((await User.findOne({ where: { id: broken.id } })).profileImage).toBeNull();
+    expect((await User.findOne({ where: { id: missing.id } })).profileImage).toBeNull();
+    expect(exists('brokenimage')).toBe(false);
+  });
+
+  it('keeps images which are already processed', async () => {
+    const user = await addUser({ profileImage: 'processed.jpg' });
+
+    await processProfileImages();
+    const inDb = await User.findOne({ where: { id: user.id } });
+    expect(inDb.profileImage).toBe('processed.jpg');
+  });
+
+  it('returns the number of processed and removed images', async () => {
+    await addLegacyImage('legacyimage');
+    await addUser({ profileImage: 'legacyimage' });
+    await addUser({ username: 'user2', email: 'user2@xyz.com', profileImage: 'missingimage' });
+    await addUser({ username: 'user3', email: 'user3@xyz.com' });
+
+    const result = await processProfileImages();
+    expect(result).toEqual({ processed: 1, removed: 1 });
+  });
+});
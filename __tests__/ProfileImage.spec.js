@@ -0,0 +1,300 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const sharp = require('sharp');
+const config = require('config');
+const app = require('../src/app');
+const User = require('../src/model/user');
+const sequelize = require('../src/config/database');
+const bcrypt = require('bcrypt');
+const en = require('../locales/en/translation.json');
+
+const { uploadDir, profileDir } = config;
+const profileDirectory = path.join('.', uploadDir, profileDir);
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true }, force: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+
+  const files = await fs.promises.readdir(profileDirectory);
+  for (const file of files) {
+    await fs.promises.unlink(path.join(profileDirectory, file));
+  }
+});
+
+const credentials = { email: 'user1@xyz.com', password: 'P4ssword' };
+
+const addUser = async () => {
+  const hash = await bcrypt.hash(credentials.password, 10);
+  return User.create({ username: 'user1', email: credentials.email, password: hash, inactive: false });
+};
+
+const uploadImage = async (image) => {
+  const user = await addUser();
+  const auth = await request(app).post('/api/1.0/auth').send(credentials);
+
+  const response = await request(app)
+    .patch(`/api/1.0/users/${user.id}`)
+    .set('Authorization', `Bearer ${auth.body.token}`)
+    .send({ image: image.toString('base64') });
+  const inDb = await User.findOne({ where: { id: user.id } });
+  return { response, user: inDb };
+};
+
+const readVariant = (profileImage, size = 512) => {
+  return fs.promises.readFile(path.join(profileDirectory, profileImage.replace('.', `-${size}.`)));
+};
+
+const solid = (width, height, background) => {
+  return { create: { width, height, channels: 3, background } };
+};
+
+// Stripes of the given colors from left to right
+const stripes = (colors, stripeWidth, height) => {
+  return sharp(solid(colors.length * stripeWidth, height, colors[0])).composite(
+    colors.slice(1).map((color, index) => ({
+      input: solid(stripeWidth, height, color),
+      left: (index + 1) * stripeWidth,
+      top: 0,
+    }))
+  );
+};
+
+const pixel = async (image, x, y) => {
+  const { data, info } = await sharp(image).raw().toBuffer({ resolveWithObject: true });
+  const offset = (y * info.width + x) * info.channels;
+  return [data[offset], data[offset + 1], data[offset + 2]];
+};
+
+const expectColor = (rgb, expected) => {
+  rgb.forEach((value, index) => {
+    expect(Math.abs(value - expected[index])).toBeLessThan(40);
+  });
+};
+
+// sharp cannot create animations from scratch, so the GIF is put together by hand. Each frame is filled with one
+// color of the palette red, blue, black, black. A clear code after every two pixels keeps the LZW codes 3 bits wide.
+const animatedGif = (size, frames) => {
+  const CLEAR = 4;
+  const END = 5;
+  const word = (value) => [value & 0xff, value >> 8];
+
+  const encodeFrame = (color) => {
+    const codes = [];
+    for (let i = 0; i < size * size; i += 2) {
+      codes.push(CLEAR, color, color);
+    }
+    codes.push(END);
+
+    const bytes = [];
+    let bits = 0;
+    let length = 0;
+    for (const code of codes) {
+      bits |= code << length;
+      length += 3;
+      while (length >= 8) {
+        bytes.push(bits & 0xff);
+        bits >>= 8;
+        length -= 8;
+      }
+    }
+    if (length) {
+      bytes.push(bits);
+    }
+
+    const blocks = [];
+    for (let i = 0; i < bytes.length; i += 255) {
+      const block = bytes.slice(i, i + 255);
+      blocks.push(block.length, ...block);
+    }
+    return [
+      ...[0x21, 0xf9, 0x04, 0x00, ...word(10), 0x00, 0x00],
+      ...[0x2c, ...word(0), ...word(0), ...word(size), ...word(size), 0x00],
+      0x02,
+      ...blocks,
+      0x00,
+    ];
+  };
+
+  return Buffer.from([
+    ...Buffer.from('GIF89a'),
+    ...word(size),
+    ...word(size),
+    0xf1,
+    0x00,
+    0x00,
+    ...[255, 0, 0, 0, 0, 255, 0, 0, 0, 0, 0, 0],
+    ...[0x21, 0xff, 0x0b, ...Buffer.from('NETSCAPE2.0'), 0x03, 0x01, 0x00, 0x00, 0x00],
+    ...frames.flatMap(encodeFrame),
+    0x3b,
+  ]);
+};
+
+describe('Profile Image Processing', () => {
+  it('saves the image in sizes 64, 256 and 512', async () => {
+    const image = await sharp(solid(800, 600, 'red')).jpeg().toBuffer();
+
+    const { user } = await uploadImage(image);
+    for (const size of [64, 256, 512]) {
+      const metadata = await sharp(await readVariant(user.profileImage, size)).metadata();
+      expect([metadata.width, metadata.height]).toEqual([size, size]);
+    }
+  });
+
+  it('removes EXIF metadata like the location', async () => {
+    const image = await sharp(solid(300, 300, 'red'))
+      .jpeg()
+      .withExif({ IFD0: { Make: 'Camera' }, IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '52/1 31/1 0/1' } })
+      .toBuffer();
+    expect((await sharp(image).metadata()).exif).toBeDefined();
+
+    const { user } = await uploadImage(image);
+    const metadata = await sharp(await readVariant(user.profileImage)).metadata();
+    expect(metadata.exif).toBeUndefined();
+  });
+
+  it('applies the EXIF orientation to the image', async () => {
+    // Orientation 6 shows the image rotated clockwise, so the red left half ends up on top
+    const image = await stripes(['red', 'blue'], 200, 400)
+      .jpeg()
+      .toBuffer()
+      .then((buffer) => sharp(buffer).withMetadata({ orientation: 6 }).jpeg().toBuffer());
+
+    const { user } = await uploadImage(image);
+    const variant = await readVariant(user.profileImage);
+    expectColor(await pixel(variant, 256, 20), [255, 0, 0]);
+    expectColor(await pixel(variant, 256, 490), [0, 0, 255]);
+    expect((await sharp(variant).metadata()).orientation).toBeUndefined();
+  });
+
+  it('crops the center of images which are not square', async () => {
+    const image = await stripes(['red', 'lime', 'blue'], 200, 200).jpeg().toBuffer();
+
+    const { user } = await uploadImage(image);
+    const variant = await readVariant(user.profileImage);
+    expectColor(await pixel(variant, 5, 5), [0, 255, 0]);
+    expectColor(await pixel(variant, 506, 506), [0, 255, 0]);
+  });
+
+  it('saves images with transparency as PNG', async () => {
+    const image = await sharp({ create: { width: 100, height: 100, channels: 4, background: 'transparent' } })
+      .png()
+      .toBuffer();
+
+    const { user } = await uploadImage(image);
+    const metadata = await sharp(await readVariant(user.profileImage)).metadata();
+    expect(user.profileImage).toMatch(/\.png$/);
+    expect(metadata.format).toBe('png');
+    expect(metadata.hasAlpha).toBe(true);
+  });
+
+  it('saves other images as JPEG', async () => {
+    const image = await sharp(solid(100, 100, 'red')).png().toBuffer();
+
+    const { user } = await uploadImage(image);
+    const metadata = await sharp(await readVariant(user.profileImage)).metadata();
+    expect(user.profileImage).toMatch(/\.jpg$/);
+    expect(metadata.format).toBe('jpeg');
+  });
+
+  it('returns 400 when the image cannot be decoded', async () => {
+    const image = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(200, 7)]);
+
+    const { response, user } = await uploadImage(image);
+    expect(response.status).toBe(400);
+    expect(response.body.validationErrors.image).toBe(en.UNSUPPORTED_FILE_TYPE);
+    expect(user.profileImage).toBeNull();
+  });
+});
+
+describe('Profile Image Formats', () => {
+  it.each`
+    format
+    ${'webp'}
+    ${'gif'}
+    ${'avif'}
+  `('saves $format images', async ({ format }) => {
+    const image = await sharp(solid(100, 100, 'red'))[format]().toBuffer();
+
+    const { response, user } = await uploadImage(image);
+    expect(response.status).toBe(200);
+    expectColor(await pixel(await readVariant(user.profileImage), 256, 256), [255, 0, 0]);
+  });
+
+  it('saves the first frame of animated GIF images', async () => {
+    const image = animatedGif(16, [0, 1]);
+    expect((await sharp(image, { animated: true }).metadata()).pages).toBe(2);
+    expectColor(await pixel(await sharp(image, { page: 1 }).png().toBuffer(), 0, 0), [0, 0, 255]);
+
+    const { user } = await uploadImage(image);
+    const variant = await readVariant(user.profileImage);
+    expect((await sharp(variant).metadata()).height).toBe(512);
+    expectColor(await pixel(variant, 256, 256), [255, 0, 0]);
+  });
+
+  it.each`
+    types                           | format    | accepted
+    ${['image/jpeg']}               | ${'jpeg'} | ${true}
+    ${['image/jpeg']}               | ${'webp'} | ${false}
+    ${['image/jpeg', 'image/webp']} | ${'webp'} | ${true}
+  `('accepts $format images when types are $types: $accepted', async ({ types, format, accepted }) => {
+    let isSupportedImage;
+    jest.isolateModules(() => {
+      process.env.NODE_CONFIG = JSON.stringify({ profileImage: { types } });
+      ({ isSupportedImage } = require('../src/shared/imageType'));
+      delete process.env.NODE_CONFIG;
+    });
+    const image = await sharp(solid(10, 10, 'red'))[format]().toBuffer();
+
+    expect(await isSupportedImage(image)).toBe(accepted);
+  });
+
+  it('takes the maximum size of images from the configuration', () => {
+    let maxSize;
+    jest.isolateModules(() => {
+      process.env.NODE_CONFIG = JSON.stringify({ profileImage: { maxSize: 512 * 1024 } });
+      ({ MAX_IMAGE_SIZE: maxSize } = require('../src/shared/imageType'));
+      delete process.env.NODE_CONFIG;
+    });
+
+    expect(maxSize).toBe(512 * 1024);
+  });
+});
+
+describe('Profile Image URLs', () => {
+  it('returns the urls of all sizes in profiles', async () => {
+    const image = await sharp(solid(100, 100, 'red')).jpeg().toBuffer();
+    const { user } = await uploadImage(image);
+    const name = path.basename(user.profileImage, '.jpg');
+    const expected = { 64: `/images/${name}-64.jpg`, 256: `/images/${name}-256.jpg`, 512: `/images/${name}-512.jpg` };
+
+    const profile = await request(app).get(`/api/1.0/users/${user.id}`);
+    const listing = await request(app).get('/api/1.0/users');
+    const login = await request(app).post('/api/1.0/auth').send(credentials);
+    expect(profile.body.profileImage).toEqual(expected);
+    expect(listing.body.users.content[0].profileImage).toEqual(expected);
+    expect(login.body.profileImage).toEqual(expected);
+  });
+
+  it('serves the images under the returned urls', async () => {
+    const image = await sharp(solid(100, 100, 'red')).jpeg().toBuffer();
+    const { response } = await uploadImage(image);
+
+    const served = await request(app).get(response.body.profileImage[256]);
+    expect(served.status).toBe(200);
+  });
+
+  it('returns null as profile image of users without one', async () => {
+    const user = await addUser();
+
+    const response = await request(app).get(`/api/1.0/users/${user.id}`);
+    expect(response.body.profileImage).toBeNull();
+  });
+});
@@ -0,0 +1,228 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/model/user');
+const sequelize = require('../src/config/database');
+const bcrypt = require('bcrypt');
+const en = require('../locales/en/translation.json');
+const de = require('../locales/de/translation.json');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true }, force: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+const credentials = { email: 'user1@xyz.com', password: 'P4ssword' };
+
+const addUser = async (user = {}) => {
+  const hash = await bcrypt.hash(credentials.password, 10);
+  return User.create({ username: 'user1', email: credentials.email, password: hash, inactive: false, ...user });
+};
+
+const addOther = (user = {}) => {
+  return User.create({ username: 'other', email: 'other@xyz.com', password: 'hash', inactive: false, ...user });
+};
+
+const login = async () => {
+  const response = await request(app).post('/api/1.0/auth').send(credentials);
+  return response.body.token;
+};
+
+const withToken = (agent, token) => {
+  if (token) {
+    agent.set('Authorization', `Bearer ${token}`);
+  }
+  return agent;
+};
+
+const getUsers = (token) => withToken(request(app).get('/api/1.0/users'), token);
+
+const getUser = (id, token) => withToken(request(app).get(`/api/1.0/users/${id}`), token);
+
+const putVisibility = (id, body, options = {}) => {
+  const agent = withToken(request(app).put(`/api/1.0/users/${id}/visibility`), options.token);
+  if (options.language) {
+    agent.set('accept-language', options.language);
+  }
+  return agent.send(body);
+};
+
+describe('Profile Visibility', () => {
+  it.each`
+    visibility   | authenticated | listed
+    ${'public'}  | ${false}      | ${true}
+    ${'public'}  | ${true}       | ${true}
+    ${'members'} | ${false}      | ${false}
+    ${'members'} | ${true}       | ${true}
+    ${'hidden'}  | ${false}      | ${false}
+    ${'hidden'}  | ${true}       | ${false}
+  `(
+    'lists a $visibility profile: $listed when requester is authenticated: $authenticated',
+    async ({ visibility, authenticated, listed }) => {
+      await addUser();
+      await addOther({ visibility });
+      const token = authenticated ? await login() : undefined;
+
+      const response = await getUsers(token);
+      const usernames = response.body.users.content.map((user) => user.username);
+      expect(usernames.includes('other')).toBe(listed);
+    }
+  );
+
+  it.each`
+    visibility   | authenticated | status
+    ${'public'}  | ${false}      | ${200}
+    ${'members'} | ${false}      | ${404}
+    ${'members'} | ${true}       | ${200}
+    ${'hidden'}  | ${true}       | ${404}
+  `(
+    'returns $status for a $visibility profile when requester is authenticated: $authenticated',
+    async ({ visibility, authenticated, status }) => {
+      await addUser();
+      const other = await addOther({ visibility });
+      const token = authenticated ? await login() : undefined;
+
+      const response = await getUser(other.id, token);
+      expect(response.status).toBe(status);
+    }
+  );
+
+  it('does not count profiles hidden from the requester in total pages', async () => {
+    for (let i = 0; i < 11; i++) {
+      await User.create({ username: `user${i}`, email: `user${i}@xyz.com`, inactive: false, visibility: 'members' });
+    }
+    await addOther();
+
+    const response = await getUsers();
+    expect(response.body.users.totalPages).toBe(1);
+  });
+
+  it('returns the own hidden profile with its settings to its owner', async () => {
+    const user = await addUser({ visibility: 'hidden' });
+    const token = await login();
+
+    const response = await getUser(user.id, token);
+    expect(response.body).toEqual({
+      id: user.id,
+      username: 'user1',
+      handle: null,
+      displayName: null,
+      email: credentials.email,
+      profileImage: null,
+      bio: null,
+      location: null,
+      website: null,
+      language: null,
+      timezone: null,
+      visibility: 'hidden',
+      showEmail: false,
+    });
+  });
+});
+
+describe('Email Visibility', () => {
+  it('does not return the email of users by default', async () => {
+    const other = await addOther();
+
+    const listing = await getUsers();
+    const profile = await getUser(other.id);
+    expect(Object.keys(listing.body.users.content[0])).toEqual([
+      'id',
+      'username',
+      'handle',
+      'displayName',
+      'profileImage',
+      'bio',
+      'location',
+      'website',
+    ]);
+    expect(Object.keys(profile.body)).toEqual([
+      'id',
+      'username',
+      'handle',
+      'displayName',
+      'profileImage',
+      'bio',
+      'location',
+      'website',
+    ]);
+  });
+
+  it('returns the email of users who chose to show it', async () => {
+    const other = await addOther({ showEmail: true });
+
+    const listing = await getUsers();
+    const profile = await getUser(other.id);
+    expect(listing.body.users.content[0].email).toBe('other@xyz.com');
+    expect(profile.body.email).toBe('other@xyz.com');
+  });
+
+  it('does not find users by their email when it is not shown', async () => {
+    await addOther();
+
+    const response = await request(app).get('/api/1.0/users').query({ q: 'other@' });
+    expect(response.body.users.content).toEqual([]);
+  });
+});
+
+describe('Updating Visibility', () => {
+  it('returns 403 when request is not authenticated', async () => {
+    const user = await addUser();
+
+    const response = await putVisibility(user.id, { visibility: 'hidden' });
+    expect(response.status).toBe(403);
+  });
+
+  it('returns 403 when updating the settings of another user', async () => {
+    await addUser();
+    const other = await addOther();
+    const token = await login();
+
+    const response = await putVisibility(other.id, { visibility: 'hidden' }, { token });
+    expect(response.status).toBe(403);
+  });
+
+  it('saves visibility and email setting of the user', async () => {
+    const user = await addUser();
+    const token = await login();
+
+    const response = await putVisibility(user.id, { visibility: 'members', showEmail: true }, { token });
+    const inDb = await User.findOne({ where: { id: user.id } });
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ visibility: 'members', showEmail: true });
+    expect(inDb.visibility).toBe('members');
+    expect(inDb.showEmail).toBe(true);
+  });
+
+  it('keeps settings which are not part of the request', async () => {
+    const user = await addUser({ visibility: 'hidden' });
+    const token = await login();
+
+    const response = await putVisibility(user.id, { showEmail: true }, { token });
+    expect(response.body).toEqual({ visibility: 'hidden', showEmail: true });
+  });
+
+  it.each`
+    language | field           | value        | message
+    ${'en'}  | ${'visibility'} | ${'friends'} | ${en.VISIBILITY_INVALID}
+    ${'en'}  | ${'showEmail'}  | ${'yes'}     | ${en.BOOLEAN_INVALID}
+    ${'de'}  | ${'visibility'} | ${'friends'} | ${de.VISIBILITY_INVALID}
+    ${'de'}  | ${'showEmail'}  | ${'yes'}     | ${de.BOOLEAN_INVALID}
+  `(
+    'returns "$message" for $field when it is $value and language is $language',
+    async ({ language, field, value, message }) => {
+      const user = await addUser();
+      const token = await login();
+
+      const response = await putVisibility(user.id, { [field]: value }, { token, language });
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors[field]).toBe(message);
+    }
+  );
+});
@@ -0,0 +1,189 @@
+const express = require('express');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/model/user');
+const sequelize = require('../src/config/database');
+const EmailService = require('../src/service/email');
+const RateLimitService = require('../src/service/rateLimit');
+const rateLimit = require('../src/middleware/rateLimit');
+const createMemoryStore = require('../src/store/memoryStore');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true }, force: true });
+  RateLimitService.useStore(createMemoryStore());
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+const postUser = (index, options = {}) => {
+  const agent = request(app).post('/api/1.0/users');
+  if (options.language) {
+    agent.set('accept-language', options.language);
+  }
+  return agent.send({ username: `user${index}`, email: `user${index}@xyz.com`, password: 'P4ssword' });
+};
+
+const registerUsers = async (count) => {
+  for (let i = 0; i < count; i++) {
+    await postUser(i);
+  }
+};
+
+describe('Rate Limiting Routes', () => {
+  beforeEach(() => {
+    jest.spyOn(EmailService, 'sendActivationToken').mockResolvedValue();
+  });
+
+  it('returns RateLimit headers', async () => {
+    const response = await postUser(1);
+
+    expect(response.headers['ratelimit-limit']).toBe('10');
+    expect(response.headers['ratelimit-remaining']).toBe('9');
+    expect(Number.parseInt(response.headers['ratelimit-reset'])).toBeGreaterThan(0);
+  });
+
+  it('returns 429 after 10 registrations from the same IP within an hour', async () => {
+    await registerUsers(10);
+
+    const response = await postUser(11);
+    expect(response.status).toBe(429);
+    expect(response.headers['ratelimit-remaining']).toBe('0');
+  });
+
+  it('returns Retry-After header when the limit is exceeded', async () => {
+    await registerUsers(10);
+
+    const response = await postUser(11);
+    const retryAfter = Number.parseInt(response.headers['retry-after']);
+    expect(retryAfter).toBeGreaterThan(59 * 60);
+    expect(retryAfter).toBeLessThanOrEqual(60 * 60);
+  });
+
+  it('does not save the user when the limit is exceeded', async () => {
+    await registerUsers(10);
+    await postUser(11);
+
+    const user = await User.findOne({ where: { email: 'user11@xyz.com' } });
+    expect(user).toBeNull();
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${'Too many requests, please try again later'}
+    ${'de'}  | ${'Zu viele Anfragen, bitte versuchen Sie es später erneut'}
+  `('returns $message when the limit is exceeded in $language language', async ({ language, message }) => {
+    await registerUsers(10);
+
+    const response = await postUser(11, { language });
+    expect(response.body.message).toBe(message);
+  });
+
+  it('applies the default limit to every route', async () => {
+    const response = await request(app).get('/api/1.0/users');
+
+    expect(response.headers['ratelimit-limit']).toBe('300');
+    expect(response.headers['ratelimit-remaining']).toBe('299');
+  });
+});
+
+describe('Rate Limit Algorithms', () => {
+  const limit = { limit: 2, window: 60 * 1000 };
+
+  it('allows requests up to the limit in a fixed window', async () => {
+    const results = [];
+    for (let i = 0; i < 3; i++) {
+      results.push(await RateLimitService.consume('test', 'ip:1', { ...limit, algorithm: 'fixedWindow' }));
+    }
+
+    expect(results.map((result) => result.allowed)).toEqual([true, true, false]);
+  });
+
+  it('starts a new fixed window after the previous one ends', async () => {
+    let now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    const fixedWindow = { ...limit, algorithm: 'fixedWindow' };
+
+    await RateLimitService.consume('test', 'ip:1', fixedWindow);
+    await RateLimitService.consume('test', 'ip:1', fixedWindow);
+    now += 60 * 1000;
+
+    const result = await RateLimitService.consume('test', 'ip:1', fixedWindow);
+    expect(result.allowed).toBe(true);
+  });
+
+  it('refills the token bucket gradually', async () => {
+    let now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    const tokenBucket = { ...limit, algorithm: 'tokenBucket' };
+
+    await RateLimitService.consume('test', 'ip:1', tokenBucket);
+    await RateLimitService.consume('test', 'ip:1', tokenBucket);
+    const rejected = await RateLimitService.consume('test', 'ip:1', tokenBucket);
+    now += 30 * 1000;
+    const refilled = await RateLimitService.consume('test', 'ip:1', tokenBucket);
+    const rejectedAgain = await RateLimitService.consume('test', 'ip:1', tokenBucket);
+
+    expect(rejected.allowed).toBe(false);
+    expect(rejected.retryAt.getTime()).toBe(now);
+    expect(refilled.allowed).toBe(true);
+    expect(rejectedAgain.allowed).toBe(false);
+  });
+
+  it('keeps separate counters per key', async () => {
+    const fixedWindow = { ...limit, algorithm: 'fixedWindow' };
+
+    await RateLimitService.consume('test', 'ip:1', fixedWindow);
+    await RateLimitService.consume('test', 'ip:1', fixedWindow);
+    const result = await RateLimitService.consume('test', 'ip:2', fixedWindow);
+
+    expect(result.allowed).toBe(true);
+  });
+});
+
+describe('Rate Limit Keys', () => {
+  const limitedApp = (authenticatedUserId) => {
+    const testApp = express();
+    testApp.use((req, res, next) => {
+      if (authenticatedUserId) {
+        req.authenticatedUser = { id: authenticatedUserId };
+      }
+      next();
+    });
+    testApp.use(rateLimit('test', { algorithm: 'fixedWindow', limit: 1, window: 60 * 1000, keyBy: 'user' }));
+    testApp.get('/', (req, res) => res.send());
+    // eslint-disable-next-line no-unused-vars
+    testApp.use((error, req, res, next) => res.status(error.status).send());
+    return testApp;
+  };
+
+  it('limits authenticated users separately from each other', async () => {
+    await request(limitedApp(1)).get('/');
+
+    const response = await request(limitedApp(2)).get('/');
+    expect(response.status).toBe(200);
+  });
+
+  it('limits the same authenticated user', async () => {
+    await request(limitedApp(1)).get('/');
+
+    const response = await request(limitedApp(1)).get('/');
+    expect(response.status).toBe(429);
+  });
+
+  it('falls back to the IP for unauthenticated requests', async () => {
+    await request(limitedApp()).get('/');
+
+    const response = await request(limitedApp()).get('/');
+    expect(response.status).toBe(429);
+  });
+});
@@ -0,0 +1,49 @@
+const { scheduleJob } = require('../src/shared/scheduler');
+
+describe('Scheduled Jobs', () => {
+  let scheduled;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    clearInterval(scheduled.timer);
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('runs the job once per interval', async () => {
+    const job = jest.fn().mockResolvedValue();
+    scheduled = scheduleJob('Cleanup', job, 1000);
+
+    jest.advanceTimersByTime(999);
+    expect(job).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+    await scheduled.lastRun;
+    expect(job).toHaveBeenCalledTimes(1);
+  });
+
+  it('logs a failed run with the name of the job', async () => {
+    const error = new Error('database is locked');
+    const job = jest.fn().mockRejectedValue(error);
+    scheduled = scheduleJob('Cleanup', job, 1000);
+
+    jest.advanceTimersByTime(1000);
+    await scheduled.lastRun;
+    expect(console.error).toHaveBeenCalledWith('Cleanup failed', error);
+  });
+
+  it('keeps running the job after a run fails', async () => {
+    const job = jest.fn().mockRejectedValueOnce(new Error('database is locked')).mockResolvedValue();
+    scheduled = scheduleJob('Cleanup', job, 1000);
+
+    jest.advanceTimersByTime(1000);
+    await scheduled.lastRun;
+    jest.advanceTimersByTime(1000);
+    await scheduled.lastRun;
+    expect(job).toHaveBeenCalledTimes(2);
+    expect(console.error).toHaveBeenCalledTimes(1);
+  });
+});
@@ -45,4 +45,17 @@ describe('Serve Profile Image', () => {
     const oneYearInSeconds = 365 * 24 * 60 * 60;
     expect(response.headers['cache-control']).toContain(`max-age=${oneYearInSeconds}`);
   });
+
+  it.each`
+    file               | contentType
+    ${'testImage.jpg'} | ${'image/jpeg'}
+    ${'test-gif.gif'}  | ${'image/gif'}
+  `('returns $contentType as type of images saved without extension', async ({ file, contentType }) => {
+    const filePath = path.join('.', '__tests__', 'resources', file);
+    const storedFileName = 'legacyimage';
+    await fs.promises.copyFile(filePath, path.join(profileFolder, storedFileName));
+
+    const response = await request(app).get('/images/' + storedFileName);
+    expect(response.headers['content-type']).toBe(contentType);
+  });
 });
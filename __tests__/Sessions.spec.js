@@ -0,0 +1,211 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/model/user');
+const Token = require('../src/model/token');
+const RefreshToken = require('../src/model/refreshToken');
+const Session = require('../src/model/session');
+const sequelize = require('../src/config/database');
+const bcrypt = require('bcrypt');
+const { hashToken } = require('../src/shared/hash');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true }, force: true });
+  await Token.destroy({ truncate: true });
+  await RefreshToken.destroy({ truncate: true });
+  await Session.destroy({ truncate: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+const credentials = { email: 'user1@xyz.com', password: 'test1234' };
+
+const addUser = async (user = { username: 'user1', email: credentials.email }) => {
+  const hash = await bcrypt.hash(credentials.password, 10);
+  return User.create({ ...user, password: hash, inactive: false });
+};
+
+const login = async (userAgent = 'test-agent', auth = credentials) => {
+  const response = await request(app).post('/api/1.0/auth').set('User-Agent', userAgent).send(auth);
+  return response.body;
+};
+
+const getSessions = (id, options = {}) => {
+  const agent = request(app).get(`/api/1.0/users/${id}/sessions`);
+  if (options.token) {
+    agent.set('Authorization', `Bearer ${options.token}`);
+  }
+  return agent.send();
+};
+
+const deleteSession = (id, sessionId, options = {}) => {
+  const agent = request(app).delete(`/api/1.0/users/${id}/sessions/${sessionId}`);
+  if (options.language) {
+    agent.set('accept-language', options.language);
+  }
+  if (options.token) {
+    agent.set('Authorization', `Bearer ${options.token}`);
+  }
+  return agent.send();
+};
+
+const deleteOtherSessions = (id, options = {}) => {
+  const agent = request(app).delete(`/api/1.0/users/${id}/sessions`);
+  if (options.token) {
+    agent.set('Authorization', `Bearer ${options.token}`);
+  }
+  return agent.send();
+};
+
+describe('Session Recording', () => {
+  it('records user agent, ip and creation time when user logs in', async () => {
+    const user = await addUser();
+    const timeBeforeLogin = Date.now();
+    await login('Firefox');
+
+    const session = await Session.findOne({ where: { userId: user.id } });
+    expect(session.userAgent).toBe('Firefox');
+    expect(session.ip).toBeTruthy();
+    expect(new Date(session.createdAt).getTime()).toBeGreaterThanOrEqual(timeBeforeLogin - 1000);
+  });
+
+  it('links access and refresh tokens to the session', async () => {
+    const user = await addUser();
+    const { token, refreshToken } = await login();
+
+    const session = await Session.findOne({ where: { userId: user.id } });
+    const tokenInDB = await Token.findOne({ where: { token: hashToken(token) } });
+    const refreshTokenInDB = await RefreshToken.findOne({ where: { token: hashToken(refreshToken) } });
+    expect(tokenInDB.sessionId).toBe(session.id);
+    expect(refreshTokenInDB.sessionId).toBe(session.id);
+  });
+
+  it('ends the session on logout', async () => {
+    await addUser();
+    const { token } = await login();
+
+    await request(app).post('/api/1.0/logout').set('Authorization', `Bearer ${token}`).send();
+
+    const sessions = await Session.count();
+    const refreshTokens = await RefreshToken.count();
+    expect(sessions).toBe(0);
+    expect(refreshTokens).toBe(0);
+  });
+});
+
+describe('Listing Sessions', () => {
+  it('returns 403 when request is sent without authorization', async () => {
+    const user = await addUser();
+    const response = await getSessions(user.id);
+    expect(response.status).toBe(403);
+  });
+
+  it('returns 403 when sessions of another user are requested', async () => {
+    const user = await addUser();
+    const { token } = await login();
+    const response = await getSessions(user.id + 1, { token });
+    expect(response.status).toBe(403);
+  });
+
+  it('returns active sessions of the user', async () => {
+    const user = await addUser();
+    await login('Firefox');
+    const { token } = await login('Chrome');
+
+    const response = await getSessions(user.id, { token });
+    expect(response.status).toBe(200);
+    expect(response.body.sessions.length).toBe(2);
+  });
+
+  it('returns only id, userAgent, ip, createdAt, lastUsedAt and current fields without token values', async () => {
+    const user = await addUser();
+    const { token, refreshToken } = await login();
+
+    const response = await getSessions(user.id, { token });
+    const [session] = response.body.sessions;
+    expect(Object.keys(session)).toEqual(['id', 'userAgent', 'ip', 'createdAt', 'lastUsedAt', 'current']);
+    expect(JSON.stringify(response.body)).not.toContain(token);
+    expect(JSON.stringify(response.body)).not.toContain(refreshToken);
+  });
+
+  it('marks the session of the requesting token as current', async () => {
+    const user = await addUser();
+    await login('Firefox');
+    const { token } = await login('Chrome');
+
+    const response = await getSessions(user.id, { token });
+    const current = response.body.sessions.filter((session) => session.current);
+    expect(current.length).toBe(1);
+    expect(current[0].userAgent).toBe('Chrome');
+  });
+});
+
+describe('Revoking Sessions', () => {
+  it('revokes the session and its tokens', async () => {
+    const user = await addUser();
+    const other = await login('Firefox');
+    const { token } = await login('Chrome');
+    const otherSession = await Session.findOne({ where: { userAgent: 'Firefox' } });
+
+    const response = await deleteSession(user.id, otherSession.id, { token });
+
+    const refreshResponse = await request(app).post('/api/1.0/auth/refresh').send({ refreshToken: other.refreshToken });
+    const otherTokenInDB = await Token.findOne({ where: { token: hashToken(other.token) } });
+    expect(response.status).toBe(200);
+    expect(refreshResponse.status).toBe(401);
+    expect(otherTokenInDB).toBeNull();
+  });
+
+  it('returns 404 when the session belongs to another user', async () => {
+    const user = await addUser();
+    await addUser({ username: 'user2', email: 'user2@xyz.com' });
+    await login('Firefox', { email: 'user2@xyz.com', password: credentials.password });
+    const { token } = await login();
+    const otherUsersSession = await Session.findOne({ where: { userAgent: 'Firefox' } });
+
+    const response = await deleteSession(user.id, otherUsersSession.id, { token });
+    expect(response.status).toBe(404);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${'Session not found'}
+    ${'de'}  | ${'Sitzung wurde nicht gefunden'}
+  `('returns $message when session does not exist in $language language', async ({ language, message }) => {
+    const user = await addUser();
+    const { token } = await login();
+
+    const response = await deleteSession(user.id, 'abc', { token, language });
+    expect(response.body.message).toBe(message);
+  });
+
+  it('revokes every session except the current one', async () => {
+    const user = await addUser();
+    await login('Firefox');
+    await login('Safari');
+    const { token } = await login('Chrome');
+
+    const response = await deleteOtherSessions(user.id, { token });
+
+    const sessions = await Session.findAll({ where: { userId: user.id } });
+    expect(response.status).toBe(200);
+    expect(sessions.length).toBe(1);
+    expect(sessions[0].userAgent).toBe('Chrome');
+  });
+
+  it('keeps the current access token valid after revoking other sessions', async () => {
+    const user = await addUser();
+    await login('Firefox');
+    const { token } = await login('Chrome');
+
+    await deleteOtherSessions(user.id, { token });
+
+    const response = await getSessions(user.id, { token });
+    expect(response.status).toBe(200);
+  });
+});
@@ -1,5 +1,6 @@
 const sequelize = require('../src/config/database');
 const Token = require('../src/model/token');
+const RefreshToken = require('../src/model/refreshToken');
 const TokenService = require('../src/service/token');
 
 beforeAll(async () => {
@@ -8,22 +9,30 @@ beforeAll(async () => {
 
 beforeEach(async () => {
   await Token.destroy({ truncate: true });
+  await RefreshToken.destroy({ truncate: true });
 });
 
 afterAll(async () => {
   await sequelize.close();
 });
 
+const ONE_HOUR_IN_MILLIS = 60 * 60 * 1000;
+
 describe('Scheduled Token Cleanup', () => {
-  it('clears the expired token with scheduled task', async () => {
-    // const token = 'test-token';
-    // const eightDaysAgo = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000);
-    // await Token.create({ token, lastUsedAt: eightDaysAgo });
-    // TokenService.scheduleCleanup();
-    // setInterval(async () => {
-    //   const tokenInDB = await Token.findOne({ where: { token } });
-    //   expect(tokenInDB).toBeNull();
-    //   done();
-    // }, 2000 + 60 * 60 * 1000);
+  it('clears expired access and refresh tokens', async () => {
+    const expired = new Date(Date.now() - 1000);
+    const valid = new Date(Date.now() + ONE_HOUR_IN_MILLIS);
+    await Token.bulkCreate([
+      { token: 'expired', expiresAt: expired },
+      { token: 'valid', expiresAt: valid },
+    ]);
+    await RefreshToken.bulkCreate([
+      { token: 'expired', expiresAt: expired },
+      { token: 'valid', expiresAt: valid },
+    ]);
+
+    await TokenService.cleanup();
+    expect((await Token.findAll()).map(({ token }) => token)).toEqual(['valid']);
+    expect((await RefreshToken.findAll()).map(({ token }) => token)).toEqual(['valid']);
   });
 });
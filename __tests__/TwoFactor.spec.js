@@ -0,0 +1,304 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/model/user');
+const RecoveryCode = require('../src/model/recoveryCode');
+const sequelize = require('../src/config/database');
+const bcrypt = require('bcrypt');
+const LoginAttemptService = require('../src/service/loginAttempt');
+const createMemoryStore = require('../src/store/memoryStore');
+const { base32Encode, generateCode, timeStep } = require('../src/shared/totp');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true }, force: true });
+  await RecoveryCode.destroy({ truncate: true });
+  LoginAttemptService.useStore(createMemoryStore());
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+const credentials = { email: 'user1@xyz.com', password: 'test1234' };
+
+const addUser = async () => {
+  const hash = await bcrypt.hash(credentials.password, 10);
+  return User.create({ username: 'user1', email: credentials.email, password: hash, inactive: false });
+};
+
+const login = async () => {
+  const response = await request(app).post('/api/1.0/auth').send(credentials);
+  return response.body;
+};
+
+const authorizedPost = (url, options = {}) => {
+  const agent = request(app).post(url);
+  if (options.language) {
+    agent.set('accept-language', options.language);
+  }
+  if (options.token) {
+    agent.set('Authorization', `Bearer ${options.token}`);
+  }
+  return agent.send(options.body);
+};
+
+// Both steps require the current password, which is sent unless the body overrides it
+const withPassword = (options = {}) => ({
+  ...options,
+  body: { currentPassword: credentials.password, ...options.body },
+});
+const enroll = (id, options) => authorizedPost(`/api/1.0/users/${id}/2fa`, withPassword(options));
+const confirm = (id, options) => authorizedPost(`/api/1.0/users/${id}/2fa/confirm`, withPassword(options));
+const completeLogin = (body, options = {}) => authorizedPost('/api/1.0/auth/2fa', { ...options, body });
+
+// Enrollment consumes the previous time step so the current one is still available for logging in
+const addUserWithTwoFactor = async () => {
+  const user = await addUser();
+  const { token } = await login();
+  const { body } = await enroll(user.id, { token });
+  const response = await confirm(user.id, { token, body: { code: generateCode(body.secret, timeStep() - 1) } });
+
+  return { user, secret: body.secret, recoveryCodes: response.body.recoveryCodes };
+};
+
+describe('TOTP', () => {
+  it('generates the codes of the RFC 6238 test vectors', () => {
+    const secret = base32Encode(Buffer.from('12345678901234567890'));
+
+    expect(generateCode(secret, timeStep(59 * 1000))).toBe('287082');
+    expect(generateCode(secret, timeStep(1111111109 * 1000))).toBe('081804');
+    expect(generateCode(secret, timeStep(2000000000 * 1000))).toBe('279037');
+  });
+});
+
+describe('Two-Factor Enrollment', () => {
+  it('returns 403 when request is sent without authorization', async () => {
+    const user = await addUser();
+    const response = await enroll(user.id);
+    expect(response.status).toBe(403);
+  });
+
+  it('returns 403 when enrolling another user', async () => {
+    const user = await addUser();
+    const { token } = await login();
+    const response = await enroll(user.id + 1, { token });
+    expect(response.status).toBe(403);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${'Current password is incorrect'}
+    ${'de'}  | ${'Das aktuelle Passwort ist falsch'}
+  `(
+    'returns $message when enrolling with a wrong current password in $language language',
+    async ({ language, message }) => {
+      const user = await addUser();
+      const { token } = await login();
+
+      const response = await enroll(user.id, { token, language, body: { currentPassword: 'Wr0ngpass' } });
+
+      const userInDB = await User.findOne({ where: { id: user.id } });
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe(message);
+      expect(userInDB.twoFactorSecret).toBeNull();
+    }
+  );
+
+  it('returns 403 when enrolling without the current password', async () => {
+    const user = await addUser();
+    const { token } = await login();
+
+    const response = await enroll(user.id, { token, body: { currentPassword: undefined } });
+    expect(response.status).toBe(403);
+  });
+
+  it('returns 403 and does not enable two-factor authentication when confirming with a wrong current password', async () => {
+    const user = await addUser();
+    const { token } = await login();
+    const { body } = await enroll(user.id, { token });
+
+    const response = await confirm(user.id, {
+      token,
+      body: { currentPassword: 'Wr0ngpass', code: generateCode(body.secret) },
+    });
+
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(response.status).toBe(403);
+    expect(userInDB.twoFactorEnabled).toBe(false);
+  });
+
+  it('returns a secret and an otpauth uri', async () => {
+    const user = await addUser();
+    const { token } = await login();
+
+    const response = await enroll(user.id, { token });
+    expect(response.status).toBe(200);
+    expect(response.body.secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(response.body.uri).toBe(
+      `otpauth://totp/tdd-express%3Auser1%40xyz.com?secret=${response.body.secret}&issuer=tdd-express&algorithm=SHA1&digits=6&period=30`
+    );
+  });
+
+  it('does not enable two-factor authentication before it is confirmed', async () => {
+    const user = await addUser();
+    const { token } = await login();
+    await enroll(user.id, { token });
+
+    const response = await request(app).post('/api/1.0/auth').send(credentials);
+    expect(response.body.token).toBeTruthy();
+  });
+
+  it('enables two-factor authentication when confirmed with a valid code', async () => {
+    const user = await addUser();
+    const { token } = await login();
+    const { body } = await enroll(user.id, { token });
+
+    const response = await confirm(user.id, { token, body: { code: generateCode(body.secret) } });
+
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(response.status).toBe(200);
+    expect(userInDB.twoFactorEnabled).toBe(true);
+  });
+
+  it('returns 10 recovery codes and stores only their digests', async () => {
+    const user = await addUser();
+    const { token } = await login();
+    const { body } = await enroll(user.id, { token });
+
+    const response = await confirm(user.id, { token, body: { code: generateCode(body.secret) } });
+
+    const recoveryCodes = await RecoveryCode.findAll({ where: { userId: user.id } });
+    expect(response.body.recoveryCodes.length).toBe(10);
+    expect(recoveryCodes.length).toBe(10);
+    expect(recoveryCodes.map((recoveryCode) => recoveryCode.code)).not.toContain(response.body.recoveryCodes[0]);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${'Authentication code is invalid'}
+    ${'de'}  | ${'Der Authentifizierungscode ist ungültig'}
+  `('returns $message when confirmed with a wrong code in $language language', async ({ language, message }) => {
+    const user = await addUser();
+    const { token } = await login();
+    const { body } = await enroll(user.id, { token });
+    const wrongCode = generateCode(body.secret, timeStep() + 10);
+
+    const response = await confirm(user.id, { token, language, body: { code: wrongCode } });
+
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(response.status).toBe(401);
+    expect(response.body.message).toBe(message);
+    expect(userInDB.twoFactorEnabled).toBe(false);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${'Two-factor authentication enrollment has not been started'}
+    ${'de'}  | ${'Die Einrichtung der Zwei-Faktor-Authentifizierung wurde nicht gestartet'}
+  `('returns $message when confirming without enrollment in $language language', async ({ language, message }) => {
+    const user = await addUser();
+    const { token } = await login();
+
+    const response = await confirm(user.id, { token, language, body: { code: '123456' } });
+    expect(response.status).toBe(403);
+    expect(response.body.message).toBe(message);
+  });
+});
+
+describe('Two-Factor Login', () => {
+  it('returns a challenge instead of tokens when two-factor authentication is enabled', async () => {
+    await addUserWithTwoFactor();
+
+    const response = await request(app).post('/api/1.0/auth').send(credentials);
+    expect(response.status).toBe(200);
+    expect(Object.keys(response.body)).toEqual(['twoFactorRequired', 'challenge']);
+    expect(response.body.twoFactorRequired).toBe(true);
+  });
+
+  it('returns tokens when the challenge is completed with a valid code', async () => {
+    const { user, secret } = await addUserWithTwoFactor();
+    const { challenge } = await login();
+
+    const response = await completeLogin({ challenge, code: generateCode(secret) });
+    expect(response.status).toBe(200);
+    expect(response.body.id).toBe(user.id);
+    expect(response.body.token).toBeTruthy();
+    expect(response.body.refreshToken).toBeTruthy();
+  });
+
+  it('returns 401 when the same code is used twice', async () => {
+    const { secret } = await addUserWithTwoFactor();
+    const code = generateCode(secret);
+    await completeLogin({ challenge: (await login()).challenge, code });
+
+    const response = await completeLogin({ challenge: (await login()).challenge, code });
+    expect(response.status).toBe(401);
+  });
+
+  it('returns 401 when the challenge was already completed', async () => {
+    const { secret } = await addUserWithTwoFactor();
+    const { challenge } = await login();
+    await completeLogin({ challenge, code: generateCode(secret) });
+
+    const response = await completeLogin({ challenge, code: generateCode(secret, timeStep() + 1) });
+    expect(response.status).toBe(401);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${'Login attempt is invalid or expired, please log in again'}
+    ${'de'}  | ${'Der Anmeldeversuch ist ungültig oder abgelaufen, bitte melden Sie sich erneut an'}
+  `('returns $message when the challenge is expired in $language language', async ({ language, message }) => {
+    const { user, secret } = await addUserWithTwoFactor();
+    const { challenge } = await login();
+    await User.update({ twoFactorChallengeExpiresAt: new Date(Date.now() - 1000) }, { where: { id: user.id } });
+
+    const response = await completeLogin({ challenge, code: generateCode(secret) }, { language });
+    expect(response.status).toBe(401);
+    expect(response.body.message).toBe(message);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${'Authentication code is invalid'}
+    ${'de'}  | ${'Der Authentifizierungscode ist ungültig'}
+  `('returns $message for a wrong code in $language language', async ({ language, message }) => {
+    await addUserWithTwoFactor();
+    const { challenge } = await login();
+
+    const response = await completeLogin({ challenge, code: '000000' }, { language });
+    expect(response.status).toBe(401);
+    expect(response.body.message).toBe(message);
+  });
+
+  it('locks the account after repeated wrong codes', async () => {
+    const { secret } = await addUserWithTwoFactor();
+    const { challenge } = await login();
+    for (let i = 0; i < 5; i++) {
+      await completeLogin({ challenge, code: '000000' });
+    }
+
+    const response = await completeLogin({ challenge, code: generateCode(secret) });
+    expect(response.status).toBe(429);
+  });
+
+  it('returns tokens when the challenge is completed with a recovery code', async () => {
+    const { recoveryCodes } = await addUserWithTwoFactor();
+    const { challenge } = await login();
+
+    const response = await completeLogin({ challenge, recoveryCode: recoveryCodes[0] });
+    expect(response.status).toBe(200);
+    expect(response.body.token).toBeTruthy();
+  });
+
+  it('accepts a recovery code only once', async () => {
+    const { recoveryCodes } = await addUserWithTwoFactor();
+    await completeLogin({ challenge: (await login()).challenge, recoveryCode: recoveryCodes[0] });
+
+    const response = await completeLogin({ challenge: (await login()).challenge, recoveryCode: recoveryCodes[0] });
+    expect(response.status).toBe(401);
+  });
+});
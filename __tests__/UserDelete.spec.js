@@ -4,14 +4,20 @@ const User = require('../src/model/user');
 const sequelize = require('../src/config/database');
 const bcrypt = require('bcrypt');
 const Token = require('../src/model/token');
+const EmailService = require('../src/service/email');
 
 beforeAll(async () => {
   await sequelize.sync({ force: true });
 });
 
 beforeEach(async () => {
-  await User.destroy({ truncate: { cascade: true } });
+  await User.destroy({ truncate: { cascade: true }, force: true });
   await Token.destroy({ truncate: true });
+  jest.spyOn(EmailService, 'sendAccountRestoreToken').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
 });
 
 afterAll(async () => {
@@ -0,0 +1,245 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/model/user');
+const sequelize = require('../src/config/database');
+const bcrypt = require('bcrypt');
+const EmailService = require('../src/service/email');
+const UserService = require('../src/service/user');
+const RateLimitService = require('../src/service/rateLimit');
+const createMemoryStore = require('../src/store/memoryStore');
+const en = require('../locales/en/translation.json');
+const de = require('../locales/de/translation.json');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true }, force: true });
+  RateLimitService.useStore(createMemoryStore());
+  jest.spyOn(EmailService, 'sendActivationToken').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+const credentials = { email: 'user1@xyz.com', password: 'P4ssword' };
+
+const addUser = async (user = {}) => {
+  const hash = await bcrypt.hash(credentials.password, 10);
+  return User.create({ username: 'user1', email: credentials.email, password: hash, inactive: false, ...user });
+};
+
+const login = async () => {
+  const response = await request(app).post('/api/1.0/auth').send(credentials);
+  return response.body.token;
+};
+
+const postUser = (user = {}, options = {}) => {
+  const agent = request(app).post('/api/1.0/users');
+  if (options.language) {
+    agent.set('accept-language', options.language);
+  }
+  return agent.send({ username: 'newuser', email: 'newuser@xyz.com', password: 'P4ssword', ...user });
+};
+
+const putUser = (id, body, options = {}) => {
+  const agent = request(app).put(`/api/1.0/users/${id}`);
+  if (options.token) {
+    agent.set('Authorization', `Bearer ${options.token}`);
+  }
+  if (options.language) {
+    agent.set('accept-language', options.language);
+  }
+  return agent.send(body);
+};
+
+const getByHandle = (handle, token) => {
+  const agent = request(app).get(`/api/1.0/users/by-handle/${handle}`);
+  if (token) {
+    agent.set('Authorization', `Bearer ${token}`);
+  }
+  return agent;
+};
+
+const checkAvailability = (handle, options = {}) => {
+  const agent = request(app).get(`/api/1.0/users/handles/${handle}/availability`);
+  if (options.language) {
+    agent.set('accept-language', options.language);
+  }
+  return agent;
+};
+
+describe('Handle at Registration', () => {
+  it('saves the handle in lower case', async () => {
+    await postUser({ handle: 'New_User' });
+
+    const user = await User.findOne({ where: { email: 'newuser@xyz.com' } });
+    expect(user.handle).toBe('new_user');
+  });
+
+  it('registers users without a handle', async () => {
+    const response = await postUser();
+
+    const user = await User.findOne({ where: { email: 'newuser@xyz.com' } });
+    expect(response.status).toBe(200);
+    expect(user.handle).toBeNull();
+  });
+
+  it('returns 400 when the handle is taken in a different case', async () => {
+    await addUser({ handle: 'taken' });
+
+    const response = await postUser({ handle: 'TAKEN' });
+    expect(response.status).toBe(400);
+    expect(response.body.validationErrors.handle).toBe(en.HANDLE_IN_USE);
+  });
+
+  it('returns 400 when the handle belongs to a deleted account', async () => {
+    const user = await addUser({ handle: 'taken' });
+    await user.destroy();
+
+    const response = await postUser({ handle: 'taken' });
+    expect(response.status).toBe(400);
+  });
+
+  it('returns HANDLE_IN_USE when the handle is taken after it was validated', async () => {
+    jest.spyOn(UserService, 'findByHandle').mockResolvedValue(null);
+    await addUser({ handle: 'taken' });
+
+    const response = await postUser({ handle: 'taken' });
+    expect(response.status).toBe(400);
+    expect(response.body.validationErrors.handle).toBe(en.HANDLE_IN_USE);
+  });
+
+  it.each`
+    language | handle            | message
+    ${'en'}  | ${'ab'}           | ${en.HANDLE_INVALID}
+    ${'en'}  | ${'a'.repeat(31)} | ${en.HANDLE_INVALID}
+    ${'en'}  | ${'with space'}   | ${en.HANDLE_INVALID}
+    ${'en'}  | ${'dash-ed'}      | ${en.HANDLE_INVALID}
+    ${'en'}  | ${42}             | ${en.HANDLE_INVALID}
+    ${'de'}  | ${'ab'}           | ${de.HANDLE_INVALID}
+  `('returns "$message" when handle is $handle and language is $language', async ({ language, handle, message }) => {
+    const response = await postUser({ handle }, { language });
+    expect(response.body.validationErrors.handle).toBe(message);
+  });
+});
+
+describe('Handle at Update', () => {
+  it('saves the handle of the user', async () => {
+    const user = await addUser();
+    const token = await login();
+
+    const response = await putUser(user.id, { username: 'user1', handle: 'MeMyself' }, { token });
+    expect(response.status).toBe(200);
+    expect(response.body.handle).toBe('memyself');
+  });
+
+  it('allows users to keep their own handle', async () => {
+    const user = await addUser({ handle: 'mine' });
+    const token = await login();
+
+    const response = await putUser(user.id, { username: 'user1', handle: 'MINE' }, { token });
+    expect(response.status).toBe(200);
+  });
+
+  it('keeps the handle when it is not part of the request', async () => {
+    const user = await addUser({ handle: 'mine' });
+    const token = await login();
+
+    await putUser(user.id, { username: 'user2' }, { token });
+    const inDb = await User.findOne({ where: { id: user.id } });
+    expect(inDb.handle).toBe('mine');
+  });
+
+  it('removes the handle when it is empty', async () => {
+    const user = await addUser({ handle: 'mine' });
+    const token = await login();
+
+    await putUser(user.id, { username: 'user1', handle: '' }, { token });
+    const inDb = await User.findOne({ where: { id: user.id } });
+    expect(inDb.handle).toBeNull();
+  });
+
+  it('returns 400 when the handle belongs to another user', async () => {
+    const user = await addUser();
+    await User.create({ username: 'other', email: 'other@xyz.com', handle: 'taken', inactive: false });
+    const token = await login();
+
+    const response = await putUser(user.id, { username: 'user1', handle: 'Taken' }, { token });
+    expect(response.status).toBe(400);
+    expect(response.body.validationErrors.handle).toBe(en.HANDLE_IN_USE);
+  });
+});
+
+describe('Lookup by Handle', () => {
+  it('returns the profile of the user regardless of case', async () => {
+    const user = await addUser({ handle: 'someone' });
+
+    const response = await getByHandle('SomeOne');
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ id: user.id, username: 'user1', handle: 'someone' });
+  });
+
+  it('returns 404 when no user has the handle', async () => {
+    const response = await getByHandle('nobody');
+    expect(response.status).toBe(404);
+    expect(response.body.message).toBe(en.USER_NOT_FOUND);
+  });
+
+  it('returns 404 for inactive users', async () => {
+    await addUser({ handle: 'someone', inactive: true });
+
+    const response = await getByHandle('someone');
+    expect(response.status).toBe(404);
+  });
+
+  it('honors the profile visibility', async () => {
+    await addUser({ handle: 'someone', visibility: 'members' });
+
+    const anonymous = await getByHandle('someone');
+    const token = await login();
+    const member = await getByHandle('someone', token);
+    expect(anonymous.status).toBe(404);
+    expect(member.status).toBe(200);
+  });
+});
+
+describe('Handle Availability', () => {
+  it('returns available true when nobody has the handle', async () => {
+    const response = await checkAvailability('Free_Handle');
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ handle: 'free_handle', available: true });
+  });
+
+  it('returns available false when the handle is taken in a different case', async () => {
+    await addUser({ handle: 'taken' });
+
+    const response = await checkAvailability('TaKeN');
+    expect(response.body.available).toBe(false);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${en.HANDLE_INVALID}
+    ${'de'}  | ${de.HANDLE_INVALID}
+  `('returns 400 with "$message" for invalid handles when language is $language', async ({ language, message }) => {
+    const response = await checkAvailability('no', { language });
+    expect(response.status).toBe(400);
+    expect(response.body.validationErrors.handle).toBe(message);
+  });
+
+  it('returns 429 when checking too many handles', async () => {
+    for (let i = 0; i < 30; i++) {
+      await checkAvailability(`handle${i}`);
+    }
+
+    const response = await checkAvailability('onemore');
+    expect(response.status).toBe(429);
+  });
+});
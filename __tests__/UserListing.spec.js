@@ -10,7 +10,7 @@ beforeAll(async () => {
 });
 
 beforeEach(async () => {
-  await User.destroy({ truncate: { cascade: true } });
+  await User.destroy({ truncate: { cascade: true }, force: true });
   await Token.destroy({ truncate: true });
 });
 
@@ -86,12 +86,23 @@ describe('Listing Users', () => {
     expect(users.content.length).toBe(5);
   });
 
-  it('returns only id, username, email and profileImage for each user in content array', async () => {
+  it('returns only the public profile fields for each user in content array', async () => {
     await addUsers(2);
+    await User.update({ showEmail: true }, { where: {} });
 
     const response = await getUsers();
     const user = response.body.users.content[0];
-    expect(Object.keys(user)).toEqual(['id', 'username', 'email', 'profileImage']);
+    expect(Object.keys(user)).toEqual([
+      'id',
+      'username',
+      'handle',
+      'displayName',
+      'email',
+      'profileImage',
+      'bio',
+      'location',
+      'website',
+    ]);
   });
 
   it('returns 2 total pages when there are 15 users in database', async () => {
@@ -245,11 +256,21 @@ describe('Listing Users', () => {
     expect(response.status).toBe(200);
   });
 
-  it('returns id, username, email and profileImage in response body when active user exists', async () => {
-    const user = await User.create({ ...validUser, inactive: false });
+  it('returns the public profile fields in response body when active user exists', async () => {
+    const user = await User.create({ ...validUser, inactive: false, showEmail: true });
 
     const response = await request(app).get(`/api/1.0/users/${user.id}`);
-    expect(Object.keys(response.body)).toEqual(['id', 'username', 'email', 'profileImage']);
+    expect(Object.keys(response.body)).toEqual([
+      'id',
+      'username',
+      'handle',
+      'displayName',
+      'email',
+      'profileImage',
+      'bio',
+      'location',
+      'website',
+    ]);
   });
 
   it('returns 404 error when inactive user id is passed in request parameter', async () => {
@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const config = require('config');
+const app = require('../src/app');
+const User = require('../src/model/user');
+const sequelize = require('../src/config/database');
+const bcrypt = require('bcrypt');
+const en = require('../locales/en/translation.json');
+const de = require('../locales/de/translation.json');
+
+const { uploadDir, profileDir } = config;
+const profileDirectory = path.join('.', uploadDir, profileDir);
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true }, force: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+
+  const files = await fs.promises.readdir(profileDirectory);
+  for (const file of files) {
+    await fs.promises.unlink(path.join(profileDirectory, file));
+  }
+});
+
+const credentials = { email: 'user1@xyz.com', password: 'P4ssword' };
+
+const addUser = async (user = {}) => {
+  const hash = await bcrypt.hash(credentials.password, 10);
+  return User.create({ username: 'user1', email: credentials.email, password: hash, inactive: false, ...user });
+};
+
+const login = async () => {
+  const response = await request(app).post('/api/1.0/auth').send(credentials);
+  return response.body.token;
+};
+
+const patchUser = (id, body, options = {}) => {
+  const agent = request(app).patch(`/api/1.0/users/${id}`);
+  if (options.token) {
+    agent.set('Authorization', `Bearer ${options.token}`);
+  }
+  if (options.language) {
+    agent.set('accept-language', options.language);
+  }
+  return agent.send(body);
+};
+
+const variantPath = (profileImage, size = 512) => {
+  return path.join(profileDirectory, profileImage.replace('.', `-${size}.`));
+};
+
+const readImage = () => {
+  return fs.readFileSync(path.join('.', '__tests__', 'resources', 'testImage.jpg'), { encoding: 'base64' });
+};
+
+const profile = {
+  displayName: 'User One',
+  bio: 'Writes tests first',
+  location: 'Berlin',
+  website: 'https://example.com/user1',
+  language: 'de',
+  timezone: 'Europe/Berlin',
+};
+
+describe('Patching User', () => {
+  it('returns 403 when request is not authenticated', async () => {
+    const user = await addUser();
+
+    const response = await patchUser(user.id, { bio: 'bio' });
+    expect(response.status).toBe(403);
+  });
+
+  it('returns 403 when patching another user', async () => {
+    await addUser();
+    const other = await User.create({ username: 'other', email: 'other@xyz.com', inactive: false });
+    const token = await login();
+
+    const response = await patchUser(other.id, { bio: 'bio' }, { token });
+    expect(response.status).toBe(403);
+  });
+
+  it('saves the profile fields without requiring username', async () => {
+    const user = await addUser();
+    const token = await login();
+
+    const response = await patchUser(user.id, profile, { token });
+    const inDb = await User.findOne({ where: { id: user.id } });
+    expect(response.status).toBe(200);
+    expect(inDb).toMatchObject({ ...profile, username: 'user1' });
+  });
+
+  it('returns the own profile with the saved fields', async () => {
+    const user = await addUser();
+    const token = await login();
+
+    const response = await patchUser(user.id, profile, { token });
+    expect(response.body).toMatchObject({ id: user.id, username: 'user1', email: credentials.email, ...profile });
+  });
+
+  it('changes only supplied fields', async () => {
+    const user = await addUser({ ...profile, handle: 'user_one' });
+    const token = await login();
+
+    await patchUser(user.id, { location: 'Hamburg' }, { token });
+    const inDb = await User.findOne({ where: { id: user.id } });
+    expect(inDb).toMatchObject({ ...profile, location: 'Hamburg', handle: 'user_one', username: 'user1' });
+  });
+
+  it.each`
+    value
+    ${null}
+    ${''}
+  `('clears a field when it is $value', async ({ value }) => {
+    const user = await addUser(profile);
+    const token = await login();
+
+    await patchUser(user.id, { bio: value, website: value }, { token });
+    const inDb = await User.findOne({ where: { id: user.id } });
+    expect(inDb.bio).toBeNull();
+    expect(inDb.website).toBeNull();
+  });
+
+  it('changes the username when supplied', async () => {
+    const user = await addUser();
+    const token = await login();
+
+    await patchUser(user.id, { username: 'renamed' }, { token });
+    const inDb = await User.findOne({ where: { id: user.id } });
+    expect(inDb.username).toBe('renamed');
+  });
+
+  it('shows public profile fields to other users', async () => {
+    const user = await addUser(profile);
+
+    const response = await request(app).get(`/api/1.0/users/${user.id}`);
+    expect(response.body).toMatchObject({ displayName: 'User One', bio: 'Writes tests first', location: 'Berlin' });
+    expect(response.body.language).toBeUndefined();
+    expect(response.body.timezone).toBeUndefined();
+  });
+});
+
+describe('Patching Profile Image', () => {
+  it('saves a new profile image', async () => {
+    const user = await addUser();
+    const token = await login();
+
+    const response = await patchUser(user.id, { image: readImage() }, { token });
+    const inDb = await User.findOne({ where: { id: user.id } });
+    expect(response.body.profileImage[512]).toBe(`/images/${inDb.profileImage.replace('.', '-512.')}`);
+    expect(fs.existsSync(variantPath(inDb.profileImage))).toBe(true);
+  });
+
+  it('removes the profile image and its file when image is null', async () => {
+    const user = await addUser();
+    const token = await login();
+    await patchUser(user.id, { image: readImage() }, { token });
+    const { profileImage } = await User.findOne({ where: { id: user.id } });
+
+    const response = await patchUser(user.id, { image: null }, { token });
+    const inDb = await User.findOne({ where: { id: user.id } });
+    expect(response.body.profileImage).toBeNull();
+    expect(inDb.profileImage).toBeNull();
+    expect(fs.existsSync(variantPath(profileImage))).toBe(false);
+  });
+
+  it('keeps the profile image when image is not supplied', async () => {
+    const user = await addUser();
+    const token = await login();
+    await patchUser(user.id, { image: readImage() }, { token });
+    const { profileImage } = await User.findOne({ where: { id: user.id } });
+
+    await patchUser(user.id, { bio: 'bio' }, { token });
+    const inDb = await User.findOne({ where: { id: user.id } });
+    expect(inDb.profileImage).toBe(profileImage);
+    expect(fs.existsSync(variantPath(profileImage))).toBe(true);
+  });
+
+  it('returns 400 when the image is not a supported file type', async () => {
+    const user = await addUser();
+    const token = await login();
+    const text = fs.readFileSync(path.join('.', '__tests__', 'resources', 'test-txt.txt'), { encoding: 'base64' });
+
+    const response = await patchUser(user.id, { image: text }, { token });
+    expect(response.status).toBe(400);
+    expect(response.body.validationErrors.image).toBe(en.UNSUPPORTED_FILE_TYPE);
+  });
+});
+
+describe('Patch Validation', () => {
+  it.each`
+    language | field            | value                    | message
+    ${'en'}  | ${'username'}    | ${null}                  | ${en.USERNAME_NULL}
+    ${'en'}  | ${'username'}    | ${'abc'}                 | ${en.USERNAME_LENGTH}
+    ${'en'}  | ${'displayName'} | ${'a'.repeat(65)}        | ${'Display name must have at most 64 characters'}
+    ${'en'}  | ${'bio'}         | ${'a'.repeat(501)}       | ${'Bio must have at most 500 characters'}
+    ${'en'}  | ${'location'}    | ${'a'.repeat(101)}       | ${'Location must have at most 100 characters'}
+    ${'en'}  | ${'location'}    | ${42}                    | ${'Location must have at most 100 characters'}
+    ${'en'}  | ${'website'}     | ${'example.com'}         | ${en.WEBSITE_INVALID}
+    ${'en'}  | ${'website'}     | ${'ftp://example.com'}   | ${en.WEBSITE_INVALID}
+    ${'en'}  | ${'website'}     | ${'javascript:alert(1)'} | ${en.WEBSITE_INVALID}
+    ${'en'}  | ${'language'}    | ${'fr'}                  | ${en.LANGUAGE_INVALID}
+    ${'en'}  | ${'timezone'}    | ${'Mars/Olympus_Mons'}   | ${en.TIMEZONE_INVALID}
+    ${'en'}  | ${'handle'}      | ${'no'}                  | ${en.HANDLE_INVALID}
+    ${'de'}  | ${'displayName'} | ${'a'.repeat(65)}        | ${'Der Anzeigename darf höchstens 64 Zeichen haben'}
+    ${'de'}  | ${'website'}     | ${'example.com'}         | ${de.WEBSITE_INVALID}
+    ${'de'}  | ${'language'}    | ${'fr'}                  | ${de.LANGUAGE_INVALID}
+    ${'de'}  | ${'timezone'}    | ${'Mars/Olympus_Mons'}   | ${de.TIMEZONE_INVALID}
+  `(
+    'returns "$message" for $field when it is $value and language is $language',
+    async ({ language, field, value, message }) => {
+      const user = await addUser();
+      const token = await login();
+
+      const response = await patchUser(user.id, { [field]: value }, { token, language });
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors[field]).toBe(message);
+    }
+  );
+
+  it('does not change any field when one of them is invalid', async () => {
+    const user = await addUser();
+    const token = await login();
+
+    await patchUser(user.id, { bio: 'valid', language: 'fr' }, { token });
+    const inDb = await User.findOne({ where: { id: user.id } });
+    expect(inDb.bio).toBeNull();
+  });
+});
@@ -4,6 +4,9 @@ const User = require('../src/model/user');
 const sequelize = require('../src/config/database');
 const EmailService = require('../src/service/email');
 const { SMTPServer } = require('smtp-server');
+const { hashToken } = require('../src/shared/hash');
+const RateLimitService = require('../src/service/rateLimit');
+const createMemoryStore = require('../src/store/memoryStore');
 
 const validUser = {
   username: 'user1',
@@ -21,6 +24,13 @@ const postUser = (user = validUser, options = {}) => {
   return agent.send(user);
 };
 
+// Only the digest of the activation token is stored, so the token is taken from the activation email
+const postUserAndGetActivationToken = async () => {
+  const sendActivationToken = jest.spyOn(EmailService, 'sendActivationToken');
+  await postUser();
+  return sendActivationToken.mock.calls[0][1];
+};
+
 // Create a test SMTP SERVER like sendgrid for testing purpose
 let lastMail, server;
 beforeAll(async () => {
@@ -44,7 +54,8 @@ beforeAll(async () => {
 });
 
 beforeEach(async () => {
-  await User.destroy({ truncate: { cascade: true } });
+  await User.destroy({ truncate: { cascade: true }, force: true });
+  RateLimitService.useStore(createMemoryStore());
 });
 
 afterEach(() => {
@@ -65,7 +76,9 @@ describe('User Registration', () => {
   const EMAIL_IN_USE = 'Email already in use';
   const PASSWORD_NULL = 'Password cannot be null';
   const PASSWORD_LENGTH = 'Password must be atleast 6 characters long';
-  const PASSWORD_PATTERN = 'Password must have atleast 1 uppercase, 1 lowercase and 1 number';
+  const PASSWORD_LOWERCASE = 'Password must have at least 1 lowercase letter';
+  const PASSWORD_UPPERCASE = 'Password must have at least 1 uppercase letter';
+  const PASSWORD_NUMBER = 'Password must have at least 1 number';
   const EMAIL_FAILURE = 'Failed to send email';
   const VALIDATION_FAILURE = 'Validation failure';
 
@@ -130,14 +143,20 @@ describe('User Registration', () => {
   });
 
   it('sends an account activation email with activation token when user registers', async () => {
-    await postUser();
+    const token = await postUserAndGetActivationToken();
 
     expect(lastMail).toContain('user1@gmail.com');
+    expect(lastMail).toContain(token);
+  });
+
+  it('stores only the SHA-256 digest of the activation token', async () => {
+    const token = await postUserAndGetActivationToken();
 
     const users = await User.findAll();
     const savedUser = users[0];
 
-    expect(lastMail).toContain(savedUser.activationToken);
+    expect(savedUser.activationToken).not.toBe(token);
+    expect(savedUser.activationToken).toBe(hashToken(token));
   });
 
   it('returns 400 when username is null', async () => {
@@ -161,12 +180,12 @@ describe('User Registration', () => {
     ${'email'}    | ${'axe.mail.com'} | ${EMAIL_INVALID}
     ${'password'} | ${null}           | ${PASSWORD_NULL}
     ${'password'} | ${'abc24'}        | ${PASSWORD_LENGTH}
-    ${'password'} | ${'abcdefgh'}     | ${PASSWORD_PATTERN}
-    ${'password'} | ${'ABCDEFG'}      | ${PASSWORD_PATTERN}
-    ${'password'} | ${'12334345'}     | ${PASSWORD_PATTERN}
-    ${'password'} | ${'1233acb'}      | ${PASSWORD_PATTERN}
-    ${'password'} | ${'123APCES'}     | ${PASSWORD_PATTERN}
-    ${'password'} | ${'xyysAPCES'}    | ${PASSWORD_PATTERN}
+    ${'password'} | ${'abcdefgh'}     | ${PASSWORD_UPPERCASE}
+    ${'password'} | ${'ABCDEFG'}      | ${PASSWORD_LOWERCASE}
+    ${'password'} | ${'12334345'}     | ${PASSWORD_LOWERCASE}
+    ${'password'} | ${'1233acb'}      | ${PASSWORD_UPPERCASE}
+    ${'password'} | ${'123APCES'}     | ${PASSWORD_LOWERCASE}
+    ${'password'} | ${'xyysAPCES'}    | ${PASSWORD_NUMBER}
   `('returns `$message` when $field is $value', async ({ field, value, message }) => {
     const user = { ...validUser };
     user[field] = value;
@@ -221,9 +240,7 @@ describe('User Activation', () => {
   const ACCOUNT_ACTIVATED = 'Account activated successfully';
 
   it('returns 200 OK when when correct token is sent to activate account', async () => {
-    await postUser();
-    let users = await User.findAll();
-    const token = users[0].activationToken;
+    const token = await postUserAndGetActivationToken();
 
     const response = await request(app)
       .post('/api/1.0/users/token/' + token)
@@ -233,38 +250,30 @@ describe('User Activation', () => {
   });
 
   it('activates the account when correct token is sent', async () => {
-    await postUser();
-    let users = await User.findAll();
-    const token = users[0].activationToken;
+    const token = await postUserAndGetActivationToken();
 
     await request(app)
       .post('/api/1.0/users/token/' + token)
       .send();
 
-    users = await User.findAll();
+    const users = await User.findAll();
     const userInactive = users[0].inactive;
     expect(userInactive).toBe(false);
   });
 
   it('removes activationToken from database after account is activated', async () => {
-    await postUser();
-
-    let user = await User.findOne({ where: { email: validUser.email } });
-    const token = user.activationToken;
+    const token = await postUserAndGetActivationToken();
 
     await request(app)
       .post('/api/1.0/users/token/' + token)
       .send();
 
-    user = await User.findOne({ where: { email: validUser.email } });
+    const user = await User.findOne({ where: { email: validUser.email } });
     expect(user.activationToken).toBeFalsy();
   });
 
   it('returns account activated message after account is activated', async () => {
-    await postUser();
-
-    const user = await User.findOne({ where: { email: validUser.email } });
-    const token = user.activationToken;
+    const token = await postUserAndGetActivationToken();
 
     const response = await request(app)
       .post('/api/1.0/users/token/' + token)
@@ -296,6 +305,41 @@ describe('User Activation', () => {
     expect(response.body.message).toBe(INVALID_TOKEN);
   });
 
+  it('sets the activation token to expire in 24 hours', async () => {
+    const timeBeforeRegistration = Date.now();
+    await postUser();
+
+    const user = await User.findOne({ where: { email: validUser.email } });
+    const expiresIn = new Date(user.activationTokenExpiresAt).getTime() - timeBeforeRegistration;
+    expect(expiresIn).toBeGreaterThanOrEqual(24 * 60 * 60 * 1000);
+    expect(expiresIn).toBeLessThan(24 * 60 * 60 * 1000 + 60 * 1000);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${'Activation link has expired, please request a new one'}
+    ${'de'}  | ${'Der Aktivierungslink ist abgelaufen, bitte fordern Sie einen neuen an'}
+  `(
+    'returns 400 with $message when activation token is expired in $language language',
+    async ({ language, message }) => {
+      const token = await postUserAndGetActivationToken();
+      await User.update(
+        { activationTokenExpiresAt: new Date(Date.now() - 1000) },
+        { where: { email: validUser.email } }
+      );
+
+      const response = await request(app)
+        .post('/api/1.0/users/token/' + token)
+        .set('accept-language', language)
+        .send();
+
+      const user = await User.findOne({ where: { email: validUser.email } });
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe(message);
+      expect(user.inactive).toBe(true);
+    }
+  );
+
   it('does not activate the account when the token is invalid', async () => {
     await postUser();
 
@@ -322,7 +366,9 @@ describe('Internationalization: User Registration - German', () => {
   const EMAIL_IN_USE = 'E-Mail wird bereits verwendet';
   const PASSWORD_NULL = 'Das Passwort darf nicht null sein';
   const PASSWORD_LENGTH = 'Das Passwort muss mindestens 6 Zeichen lang sein';
-  const PASSWORD_PATTERN = 'Das Passwort muss mindestens 1 Großbuchstaben, 1 Kleinbuchstaben und 1 Zahl enthalten';
+  const PASSWORD_LOWERCASE = 'Das Passwort muss mindestens 1 Kleinbuchstaben enthalten';
+  const PASSWORD_UPPERCASE = 'Das Passwort muss mindestens 1 Großbuchstaben enthalten';
+  const PASSWORD_NUMBER = 'Das Passwort muss mindestens 1 Zahl enthalten';
   const EMAIL_FAILURE = 'E-Mail konnte nicht gesendet werden';
   const INVALID_TOKEN = 'Token ist ungültig';
   const ACCOUNT_ACTIVATED = 'Konto erfolgreich aktiviert';
@@ -344,12 +390,12 @@ describe('Internationalization: User Registration - German', () => {
     ${'email'}    | ${'axe.mail.com'} | ${EMAIL_INVALID}
     ${'password'} | ${null}           | ${PASSWORD_NULL}
     ${'password'} | ${'abc24'}        | ${PASSWORD_LENGTH}
-    ${'password'} | ${'abcdefgh'}     | ${PASSWORD_PATTERN}
-    ${'password'} | ${'ABCDEFG'}      | ${PASSWORD_PATTERN}
-    ${'password'} | ${'12334345'}     | ${PASSWORD_PATTERN}
-    ${'password'} | ${'1233acb'}      | ${PASSWORD_PATTERN}
-    ${'password'} | ${'123APCES'}     | ${PASSWORD_PATTERN}
-    ${'password'} | ${'xyysAPCES'}    | ${PASSWORD_PATTERN}
+    ${'password'} | ${'abcdefgh'}     | ${PASSWORD_UPPERCASE}
+    ${'password'} | ${'ABCDEFG'}      | ${PASSWORD_LOWERCASE}
+    ${'password'} | ${'12334345'}     | ${PASSWORD_LOWERCASE}
+    ${'password'} | ${'1233acb'}      | ${PASSWORD_UPPERCASE}
+    ${'password'} | ${'123APCES'}     | ${PASSWORD_LOWERCASE}
+    ${'password'} | ${'xyysAPCES'}    | ${PASSWORD_NUMBER}
   `('returns `$message` when $field is $value', async ({ field, value, message }) => {
     const user = { ...validUser };
     user[field] = value;
@@ -391,10 +437,7 @@ describe('Internationalization: User Registration - German', () => {
   });
 
   it('returns account activated message after account is activated', async () => {
-    await postUser();
-
-    const user = await User.findOne({ where: { email: validUser.email } });
-    const token = user.activationToken;
+    const token = await postUserAndGetActivationToken();
 
     const response = await request(app)
       .post('/api/1.0/users/token/' + token)
@@ -0,0 +1,229 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/model/user');
+const sequelize = require('../src/config/database');
+const bcrypt = require('bcrypt');
+const en = require('../locales/en/translation.json');
+const de = require('../locales/de/translation.json');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true }, force: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+const getUsers = (query = {}, options = {}) => {
+  const agent = request(app).get('/api/1.0/users');
+  if (options.language) {
+    agent.set('accept-language', options.language);
+  }
+  if (options.token) {
+    agent.set('Authorization', `Bearer ${options.token}`);
+  }
+  return agent.query(query);
+};
+
+const loginAs = async (role) => {
+  const password = await bcrypt.hash('P4ssword', 10);
+  await User.create({ username: role, email: `${role}@xyz.com`, password, inactive: false, role });
+  const response = await request(app)
+    .post('/api/1.0/auth')
+    .send({ email: `${role}@xyz.com`, password: 'P4ssword' });
+  return response.body.token;
+};
+
+const addUser = (user) => {
+  return User.create({ email: `${user.username}@xyz.com`, password: 'hash', inactive: false, ...user });
+};
+
+const usernames = (response) => response.body.users.content.map((user) => user.username);
+
+describe('Searching Users', () => {
+  it('returns users whose username contains the search term', async () => {
+    await addUser({ username: 'alice' });
+    await addUser({ username: 'malik' });
+    await addUser({ username: 'bob' });
+
+    const response = await getUsers({ q: 'li' });
+    expect(usernames(response)).toEqual(['alice', 'malik']);
+  });
+
+  it('returns users whose email contains the search term', async () => {
+    await addUser({ username: 'alice', email: 'wonderland@xyz.com', showEmail: true });
+    await addUser({ username: 'bob' });
+
+    const response = await getUsers({ q: 'wonder' });
+    expect(usernames(response)).toEqual(['alice']);
+  });
+
+  it('ignores case when searching', async () => {
+    await addUser({ username: 'Alice' });
+
+    const response = await getUsers({ q: 'aLI' });
+    expect(usernames(response)).toEqual(['Alice']);
+  });
+
+  it('matches wildcard characters in the search term literally', async () => {
+    await addUser({ username: 'under_score' });
+    await addUser({ username: 'underscore' });
+    await addUser({ username: '100%' });
+    await addUser({ username: '1000' });
+
+    const underscore = await getUsers({ q: 'r_s' });
+    expect(usernames(underscore)).toEqual(['under_score']);
+    const percent = await getUsers({ q: '0%' });
+    expect(usernames(percent)).toEqual(['100%']);
+  });
+
+  it('returns total pages of the matching users', async () => {
+    for (let i = 0; i < 12; i++) {
+      await addUser({ username: `match${i}` });
+      await addUser({ username: `other${i}` });
+    }
+
+    const response = await getUsers({ q: 'match' });
+    expect(response.body.users.totalPages).toBe(2);
+  });
+
+  it('does not return inactive users matching the search term', async () => {
+    await addUser({ username: 'alice', inactive: true });
+
+    const response = await getUsers({ q: 'alice' });
+    expect(usernames(response)).toEqual([]);
+  });
+});
+
+describe('Sorting Users', () => {
+  it('returns users ordered by id by default', async () => {
+    await addUser({ username: 'charlie' });
+    await addUser({ username: 'alice' });
+    await addUser({ username: 'bob' });
+
+    const response = await getUsers();
+    expect(usernames(response)).toEqual(['charlie', 'alice', 'bob']);
+  });
+
+  it.each`
+    sort                | expected
+    ${'username'}       | ${['alice', 'bob', 'charlie']}
+    ${'username,asc'}   | ${['alice', 'bob', 'charlie']}
+    ${'username,desc'}  | ${['charlie', 'bob', 'alice']}
+    ${'createdAt,asc'}  | ${['bob', 'charlie', 'alice']}
+    ${'createdAt,desc'} | ${['alice', 'charlie', 'bob']}
+  `('returns users ordered as $expected when sort is $sort', async ({ sort, expected }) => {
+    await addUser({ username: 'charlie', createdAt: new Date('2021-02-01') });
+    await addUser({ username: 'alice', createdAt: new Date('2021-03-01') });
+    await addUser({ username: 'bob', createdAt: new Date('2021-01-01') });
+
+    const response = await getUsers({ sort });
+    expect(usernames(response)).toEqual(expected);
+  });
+
+  it('keeps users with the same sort value in a stable order across pages', async () => {
+    const createdAt = new Date('2021-01-01');
+    for (let i = 0; i < 15; i++) {
+      await addUser({ username: `user${i}`, createdAt });
+    }
+
+    const first = await getUsers({ sort: 'createdAt,desc', page: 1 });
+    const second = await getUsers({ sort: 'createdAt,desc', page: 2 });
+    const all = [...usernames(first), ...usernames(second)];
+    expect(new Set(all).size).toBe(15);
+    expect(usernames(first)[0]).toBe('user0');
+  });
+});
+
+describe('Filtering Users', () => {
+  it('returns users with the given role to admins', async () => {
+    const token = await loginAs('admin');
+    await addUser({ username: 'alice', role: 'moderator' });
+    await addUser({ username: 'bob' });
+
+    const response = await getUsers({ role: 'moderator' }, { token });
+    expect(usernames(response)).toEqual(['alice']);
+  });
+
+  it.each`
+    requester
+    ${'an anonymous user'}
+    ${'user'}
+    ${'moderator'}
+  `('returns 403 when $requester filters by role', async ({ requester }) => {
+    const token = requester === 'an anonymous user' ? null : await loginAs(requester);
+    await addUser({ username: 'alice', role: 'admin' });
+
+    const response = await getUsers({ role: 'admin' }, { token });
+    expect(response.status).toBe(403);
+  });
+
+  it('returns users created within the given range', async () => {
+    await addUser({ username: 'alice', createdAt: new Date('2021-01-01') });
+    await addUser({ username: 'bob', createdAt: new Date('2021-02-01') });
+    await addUser({ username: 'charlie', createdAt: new Date('2021-03-01') });
+
+    const response = await getUsers({ createdAfter: '2021-01-15', createdBefore: '2021-03-01' });
+    expect(usernames(response)).toEqual(['bob']);
+  });
+
+  it.each`
+    hasImage   | expected
+    ${'true'}  | ${['alice']}
+    ${'false'} | ${['bob']}
+  `('returns $expected when hasImage is $hasImage', async ({ hasImage, expected }) => {
+    await addUser({ username: 'alice', profileImage: 'image.png' });
+    await addUser({ username: 'bob' });
+
+    const response = await getUsers({ hasImage });
+    expect(usernames(response)).toEqual(expected);
+  });
+
+  it('combines filters with the search term', async () => {
+    const token = await loginAs('admin');
+    await addUser({ username: 'alice', role: 'moderator' });
+    await addUser({ username: 'alina' });
+    await addUser({ username: 'bob', role: 'moderator' });
+
+    const response = await getUsers({ q: 'ali', role: 'moderator' }, { token });
+    expect(usernames(response)).toEqual(['alice']);
+  });
+});
+
+describe('Invalid Listing Parameters', () => {
+  it('returns 400 when a parameter is invalid', async () => {
+    const response = await getUsers({ sort: 'password' });
+    expect(response.status).toBe(400);
+  });
+
+  it('returns validation errors of all invalid parameters', async () => {
+    const response = await getUsers({ sort: 'email', role: 'owner', hasImage: 'maybe' });
+    expect(Object.keys(response.body.validationErrors)).toEqual(['sort', 'role', 'hasImage']);
+  });
+
+  it.each`
+    language | field              | value             | message
+    ${'en'}  | ${'q'}             | ${'a'.repeat(65)} | ${en.SEARCH_INVALID}
+    ${'en'}  | ${'sort'}          | ${'username,up'}  | ${en.SORT_INVALID}
+    ${'en'}  | ${'sort'}          | ${'password'}     | ${en.SORT_INVALID}
+    ${'en'}  | ${'role'}          | ${'owner'}        | ${en.ROLE_INVALID}
+    ${'en'}  | ${'createdAfter'}  | ${'yesterday'}    | ${en.DATE_INVALID}
+    ${'en'}  | ${'createdBefore'} | ${'2021-13-01'}   | ${en.DATE_INVALID}
+    ${'en'}  | ${'hasImage'}      | ${'maybe'}        | ${en.BOOLEAN_INVALID}
+    ${'de'}  | ${'q'}             | ${'a'.repeat(65)} | ${de.SEARCH_INVALID}
+    ${'de'}  | ${'sort'}          | ${'username,up'}  | ${de.SORT_INVALID}
+    ${'de'}  | ${'role'}          | ${'owner'}        | ${de.ROLE_INVALID}
+    ${'de'}  | ${'createdAfter'}  | ${'yesterday'}    | ${de.DATE_INVALID}
+    ${'de'}  | ${'hasImage'}      | ${'maybe'}        | ${de.BOOLEAN_INVALID}
+  `(
+    'returns "$message" for $field when it is $value and language is $language',
+    async ({ language, field, value, message }) => {
+      const response = await getUsers({ [field]: value }, { language });
+      expect(response.body.validationErrors[field]).toBe(message);
+    }
+  );
+});
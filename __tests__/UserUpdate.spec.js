@@ -15,7 +15,7 @@ beforeAll(async () => {
 });
 
 beforeEach(async () => {
-  await User.destroy({ truncate: { cascade: true } });
+  await User.destroy({ truncate: { cascade: true }, force: true });
   await Token.destroy({ truncate: true });
 });
 
@@ -166,7 +166,7 @@ describe('User Update', () => {
     expect(inDBUser.profileImage).toBeTruthy();
   });
 
-  it('returns id, username, email and profileImage when update user request is successful', async () => {
+  it('returns the complete own profile when update user request is successful', async () => {
     const filePath = path.join('.', '__tests__', 'resources', 'testImage.jpg');
     const fileInBase64 = fs.readFileSync(filePath, { encoding: 'base64' });
 
@@ -177,7 +177,21 @@ describe('User Update', () => {
       auth: { email: savedUser.email, password: validUser.password },
     });
 
-    expect(Object.keys(response.body)).toEqual(['id', 'username', 'email', 'profileImage']);
+    expect(Object.keys(response.body)).toEqual([
+      'id',
+      'username',
+      'handle',
+      'displayName',
+      'email',
+      'profileImage',
+      'bio',
+      'location',
+      'website',
+      'language',
+      'timezone',
+      'visibility',
+      'showEmail',
+    ]);
   });
 
   it('saves the user image to upload folder and stores filename in db when update contains image', async () => {
@@ -193,8 +207,10 @@ describe('User Update', () => {
 
     const inDBUser = await User.findOne({ where: { id: savedUser.id } });
     const { uploadDir, profileDir } = config;
-    const profileImagePath = path.join('.', uploadDir, profileDir, inDBUser.profileImage);
-    expect(fs.existsSync(profileImagePath)).toBe(true);
+    for (const size of [64, 256, 512]) {
+      const profileImagePath = path.join('.', uploadDir, profileDir, inDBUser.profileImage.replace('.', `-${size}.`));
+      expect(fs.existsSync(profileImagePath)).toBe(true);
+    }
   });
 
   it('removes old image after the user uploads a new one', async () => {
@@ -204,18 +220,18 @@ describe('User Update', () => {
     const savedUser = await addUser();
     const validUpdate = { ...validUser, username: 'USER1-updated', image: fileInBase64 };
 
-    const response = await putUser(savedUser.id, validUpdate, {
+    await putUser(savedUser.id, validUpdate, {
       auth: { email: savedUser.email, password: validUser.password },
     });
 
-    const firstImage = response.body.profileImage;
+    const { profileImage: firstImage } = await User.findOne({ where: { id: savedUser.id } });
 
     await putUser(savedUser.id, validUpdate, {
       auth: { email: savedUser.email, password: validUser.password },
     });
 
     const { uploadDir, profileDir } = config;
-    const profileImagePath = path.join('.', uploadDir, profileDir, firstImage);
+    const profileImagePath = path.join('.', uploadDir, profileDir, firstImage.replace('.', '-512.'));
     expect(fs.existsSync(profileImagePath)).toBe(false);
   });
 
@@ -317,7 +333,7 @@ describe('User Update', () => {
   it.each`
     file               | type     | status
     ${'testImage.jpg'} | ${'jpg'} | ${200}
-    ${'test-gif.gif'}  | ${'gif'} | ${400}
+    ${'test-gif.gif'}  | ${'gif'} | ${200}
     ${'test-pdf.pdf'}  | ${'pdf'} | ${400}
     ${'test-txt.txt'}  | ${'txt'} | ${400}
   `('returns $status when uploading images that are of type $type', async ({ file, type, status }) => {
@@ -336,10 +352,8 @@ describe('User Update', () => {
 
   it.each`
     file              | language | message
-    ${'test-gif.gif'} | ${'en'}  | ${'Invalid file type'}
     ${'test-pdf.pdf'} | ${'en'}  | ${'Invalid file type'}
     ${'test-txt.txt'} | ${'en'}  | ${'Invalid file type'}
-    ${'test-gif.gif'} | ${'de'}  | ${'ungültiger Dateityp'}
     ${'test-pdf.pdf'} | ${'de'}  | ${'ungültiger Dateityp'}
     ${'test-txt.txt'} | ${'de'}  | ${'ungültiger Dateityp'}
   `('returns $status when uploading images that are of type $type', async ({ file, language, message }) => {
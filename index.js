@@ -1,8 +1,17 @@
 const app = require('./src/app');
 const sequelize = require('./src/config/database');
+const UserService = require('./src/service/user');
+const TokenService = require('./src/service/token');
+const DataExportService = require('./src/service/dataExport');
+const ImageReconciliationService = require('./src/service/imageReconciliation');
 
 sequelize.sync({ force: true });
 
+TokenService.scheduleCleanup();
+UserService.schedulePurge();
+DataExportService.scheduleCleanup();
+ImageReconciliationService.scheduleReconciliation();
+
 app.listen(4000, () => {
   console.log('Server is running on port 4000');
 });
@@ -4,14 +4,12 @@ const Backend = require('i18next-fs-backend');
 const middleware = require('i18next-http-middleware');
 const userRouter = require('./router/user');
 const authRouter = require('./router/auth');
+const adminRouter = require('./router/admin');
 const errorHandler = require('./errors/errorHandler');
 const tokenAuthentication = require('./middleware/tokenAuthentication');
+const rateLimit = require('./middleware/rateLimit');
 const FileService = require('./service/file');
-const config = require('config');
-const path = require('path');
-
-const { uploadDir, profileDir } = config;
-const profileFolder = path.join('.', uploadDir, profileDir);
+const { MAX_IMAGE_SIZE } = require('./shared/imageType');
 
 i18next
   .use(Backend)
@@ -34,15 +32,17 @@ FileService.createFolders();
 const app = express();
 
 app.use(middleware.handle(i18next));
-app.use(express.json({ limit: '3mb' }));
+// Base64 makes an image a third larger, the other fields of the body get some room on top
+app.use(express.json({ limit: Math.ceil((MAX_IMAGE_SIZE * 4) / 3) + 512 * 1024 }));
 
-const oneYearInMilliSeconds = 365 * 24 * 60 * 60 * 1000;
-app.use('/images/', express.static(profileFolder, { maxAge: oneYearInMilliSeconds }));
+app.use('/images/', FileService.serveProfileImages);
 
 app.use(tokenAuthentication);
+app.use(rateLimit('default'));
 
 app.use(userRouter);
 app.use(authRouter);
+app.use(adminRouter);
 app.use(errorHandler);
 
 module.exports = app;
@@ -1,4 +1,4 @@
-module.exports = function AuthenticationException() {
+module.exports = function AuthenticationException(message) {
   this.status = 401;
-  this.message = 'INCORRECT_CREDENTIALS';
+  this.message = message || 'INCORRECT_CREDENTIALS';
 };
@@ -1,16 +1,42 @@
+// Messages of validation rules may carry values to interpolate into their translation
+const translate = (req, message) => {
+  if (message && typeof message === 'object') {
+    return req.t(message.key, message.options);
+  }
+  return req.t(message);
+};
+
 // eslint-disable-next-line no-unused-vars
 module.exports = (error, req, res, next) => {
-  const { status, message, errors } = error;
+  const { status, message, errors, retryAfter } = error;
 
+  // Each field reports its first error, fields failing several rules also list all of them
   let validationErrors;
+  let validationMessages;
   if (errors) {
     validationErrors = {};
     errors.forEach((error) => {
-      validationErrors[error.param] = req.t(error.msg);
+      const translated = translate(req, error.msg);
+      if (!(error.param in validationErrors)) {
+        validationErrors[error.param] = translated;
+        return;
+      }
+
+      validationMessages = validationMessages || {};
+      validationMessages[error.param] = validationMessages[error.param] || [validationErrors[error.param]];
+      validationMessages[error.param].push(translated);
     });
   }
 
-  res
-    .status(status)
-    .json({ path: req.originalUrl, timestamp: new Date().getTime(), message: req.t(message), validationErrors });
+  if (retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+  }
+
+  res.status(status).json({
+    path: req.originalUrl,
+    timestamp: new Date().getTime(),
+    message: req.t(message),
+    validationErrors,
+    validationMessages,
+  });
 };
@@ -0,0 +1,4 @@
+module.exports = function InvalidRefreshTokenException() {
+  this.status = 401;
+  this.message = 'INVALID_REFRESH_TOKEN';
+};
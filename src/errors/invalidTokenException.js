@@ -1,4 +1,4 @@
-module.exports = function invalidTokenException() {
-  this.message = 'INVALID_TOKEN';
+module.exports = function invalidTokenException(message) {
+  this.message = message || 'INVALID_TOKEN';
   this.status = 400;
 };
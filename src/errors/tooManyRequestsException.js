@@ -0,0 +1,5 @@
+module.exports = function TooManyRequestsException(message, retryAfter) {
+  this.status = 429;
+  this.message = message || 'TOO_MANY_REQUESTS';
+  this.retryAfter = retryAfter;
+};
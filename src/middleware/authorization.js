@@ -0,0 +1,14 @@
+const ForbiddenException = require('../errors/forbiddenException');
+const { hasPermission } = require('../shared/roles');
+
+const requirePermission = (permission) => (req, res, next) => {
+  const authenticatedUser = req.authenticatedUser;
+
+  if (!authenticatedUser || !hasPermission(authenticatedUser.role, permission)) {
+    return next(new ForbiddenException());
+  }
+
+  next();
+};
+
+module.exports = requirePermission;
@@ -0,0 +1,71 @@
+const multer = require('multer');
+const FileService = require('../service/file');
+const ValidationException = require('../errors/validationException');
+const { MAX_IMAGE_SIZE } = require('../shared/imageType');
+
+// Room for the boundaries and part headers around the file in a multipart body
+const MULTIPART_OVERHEAD = 16 * 1024;
+
+const tooLarge = (field) => {
+  const max = Math.round((MAX_IMAGE_SIZE / 1024 / 1024) * 100) / 100;
+  return new ValidationException([{ param: field, msg: { key: 'FILE_TOO_LARGE', options: { max } } }]);
+};
+
+// The connection is closed after the error response, so the rest of an oversized body is never read
+const rejectUpload = (res, next, error) => {
+  res.set('Connection', 'close');
+  next(error);
+};
+
+// Streams a single file to the temporary upload folder, bodies announcing more than the limit are refused before
+// reading. multer only reports an exceeded limit once the whole body is drained, so the received bytes are counted
+// to answer as soon as a stream passes it.
+const imageUpload = (field) => {
+  const upload = multer({
+    dest: FileService.getTempFolder(),
+    limits: { fileSize: MAX_IMAGE_SIZE, files: 1, fields: 0 },
+  }).single(field);
+  const maxBodySize = MAX_IMAGE_SIZE + MULTIPART_OVERHEAD;
+
+  return (req, res, next) => {
+    const contentLength = Number.parseInt(req.get('content-length'));
+    if (contentLength > maxBodySize) {
+      return rejectUpload(res, next, tooLarge(field));
+    }
+
+    let finished = false;
+    let received = 0;
+    const countBytes = (chunk) => {
+      received += chunk.length;
+      if (received > maxBodySize) {
+        finish(tooLarge(field));
+      }
+    };
+    const finish = (error) => {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      req.off('data', countBytes);
+      error ? rejectUpload(res, next, error) : next();
+    };
+
+    upload(req, res, (error) => {
+      if (!error) {
+        return finish();
+      }
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return finish(tooLarge(field));
+      }
+      if (error instanceof multer.MulterError) {
+        return finish(new ValidationException([{ param: field, msg: 'UPLOAD_INVALID' }]));
+      }
+      finish(error);
+    });
+    if (!finished) {
+      req.on('data', countBytes);
+    }
+  };
+};
+
+module.exports = imageUpload;
@@ -1,3 +1,62 @@
+const ValidationException = require('../errors/validationException');
+const { getConfig } = require('../shared/config');
+const { parseCursor } = require('../shared/cursor');
+
+const { defaultSize, maxSize } = getConfig('pagination', { defaultSize: 10, maxSize: 10 });
+
+// Links keep every other query parameter of the request, so search terms, filters and sorting are preserved
+const pageUrl = (req, params) => {
+  const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+  Object.entries(params).forEach(([name, value]) => {
+    url.searchParams.set(name, value);
+  });
+  return url.toString();
+};
+
+const pageLinks = (req, { page, size, totalPages, nextCursor, prevCursor }) => {
+  const links = {};
+
+  if (totalPages === undefined) {
+    links.first = pageUrl(req, { cursor: '', pageSize: size });
+    if (prevCursor) {
+      links.prev = pageUrl(req, { cursor: prevCursor, pageSize: size });
+    }
+    if (nextCursor) {
+      links.next = pageUrl(req, { cursor: nextCursor, pageSize: size });
+    }
+    return links;
+  }
+
+  const lastPage = Math.max(totalPages, 1);
+  links.first = pageUrl(req, { page: 1, pageSize: size });
+  if (page > 1) {
+    links.prev = pageUrl(req, { page: Math.min(page - 1, lastPage), pageSize: size });
+  }
+  if (page < totalPages) {
+    links.next = pageUrl(req, { page: page + 1, pageSize: size });
+  }
+  links.last = pageUrl(req, { page: lastPage, pageSize: size });
+  return links;
+};
+
+// Cursor pages are not counted, so they come without a total
+const sendPage = (req, res, name, result) => {
+  const links = pageLinks(req, result);
+
+  res.set(
+    'Link',
+    Object.entries(links)
+      .map(([rel, url]) => `<${url}>; rel="${rel}"`)
+      .join(', ')
+  );
+  if (result.totalElements !== undefined) {
+    res.set('X-Total-Count', String(result.totalElements));
+  }
+
+  res.send({ [name]: { ...result, links } });
+};
+
+// Passing a cursor, even an empty one for the first page, switches the listing from offsets to cursors
 const pagination = (req, res, next) => {
   const pageNumber = Number.parseInt(req.query.page);
   const pageSize = Number.parseInt(req.query.pageSize);
@@ -7,12 +66,21 @@ const pagination = (req, res, next) => {
     page = 1;
   }
 
-  let size = Number.isNaN(pageSize) ? 10 : pageSize;
-  if (size < 1 || size > 10) {
-    size = 10;
+  let size = Number.isNaN(pageSize) ? defaultSize : pageSize;
+  if (size < 1 || size > maxSize) {
+    size = defaultSize;
+  }
+
+  let cursor;
+  if (req.query.cursor !== undefined) {
+    cursor = req.query.cursor === '' ? {} : typeof req.query.cursor === 'string' && parseCursor(req.query.cursor);
+    if (!cursor || typeof cursor !== 'object') {
+      return next(new ValidationException([{ param: 'cursor', msg: 'CURSOR_INVALID' }]));
+    }
   }
 
-  req.pagination = { page, size };
+  req.pagination = { page, size, cursor };
+  res.sendPage = (name, result) => sendPage(req, res, name, result);
   next();
 };
 
@@ -0,0 +1,40 @@
+const { check } = require('express-validator');
+const PasswordPolicyService = require('../service/passwordPolicy');
+
+// Rules comparing against the account get the user from findUser, it is looked up once per request.
+// Without it only the personal info of the body is known, anything else sent along must not be trusted.
+const registeringUser = async (req) => ({ username: req.body.username, email: req.body.email });
+
+const passwordPolicy = (field = 'password', { findUser = registeringUser } = {}) => {
+  const users = new WeakMap();
+  const getUser = (req) => {
+    if (!users.has(req)) {
+      users.set(req, findUser(req));
+    }
+    return users.get(req);
+  };
+
+  let chain = check(field)
+    .notEmpty()
+    .withMessage('PASSWORD_NULL')
+    .bail()
+    .isString()
+    .withMessage('PASSWORD_NULL')
+    .bail();
+
+  for (const rule of PasswordPolicyService.getRules()) {
+    chain = chain
+      .custom(async (password, { req }) => {
+        const valid = await rule.validate(password, await getUser(req));
+        if (!valid) {
+          throw new Error();
+        }
+        return true;
+      })
+      .withMessage(rule.message);
+  }
+
+  return chain;
+};
+
+module.exports = passwordPolicy;
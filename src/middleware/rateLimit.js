@@ -0,0 +1,48 @@
+const RateLimitService = require('../service/rateLimit');
+const TooManyRequestsException = require('../errors/tooManyRequestsException');
+
+const secondsUntil = (date) => {
+  return Math.max(Math.ceil((date.getTime() - Date.now()) / 1000), 0);
+};
+
+const clientKey = (req, keyBy) => {
+  if (keyBy === 'user' && req.authenticatedUser) {
+    return `user:${req.authenticatedUser.id}`;
+  }
+
+  return `ip:${req.ip}`;
+};
+
+const rateLimit = (name, options = {}) => {
+  const limit = { ...RateLimitService.getLimit(name), ...options };
+
+  return async (req, res, next) => {
+    if (!limit.enabled) {
+      return next();
+    }
+
+    try {
+      const { allowed, remaining, resetAt, retryAt } = await RateLimitService.consume(
+        name,
+        clientKey(req, limit.keyBy),
+        limit
+      );
+
+      res.set({
+        'RateLimit-Limit': String(limit.limit),
+        'RateLimit-Remaining': String(remaining),
+        'RateLimit-Reset': String(secondsUntil(resetAt)),
+      });
+
+      if (!allowed) {
+        return next(new TooManyRequestsException('TOO_MANY_REQUESTS', Math.max(secondsUntil(retryAt), 1)));
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = rateLimit;
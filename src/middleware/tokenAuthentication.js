@@ -1,4 +1,3 @@
-const jwt = require('jsonwebtoken');
 const TokenService = require('../service/token');
 
 const tokenAuthentication = async (req, res, next) => {
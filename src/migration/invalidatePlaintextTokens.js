@@ -0,0 +1,47 @@
+const Sequelize = require('sequelize');
+const sequelize = require('../config/database');
+const User = require('../model/user');
+const Token = require('../model/token');
+const RefreshToken = require('../model/refreshToken');
+const Session = require('../model/session');
+
+const SHA256_HEX_LENGTH = 64;
+
+const isPlaintext = (column) => {
+  return Sequelize.where(Sequelize.fn('length', Sequelize.col(column)), { [Sequelize.Op.ne]: SHA256_HEX_LENGTH });
+};
+
+// Tokens stored before they were hashed can never match a lookup by digest again, so they are removed instead of
+// being left behind. Run it once while deploying hashed tokens: every existing session is ended and users log in again.
+const invalidatePlaintextTokens = async () => {
+  return sequelize.transaction(async (transaction) => {
+    await Token.destroy({ where: {}, transaction });
+    await RefreshToken.destroy({ where: {}, transaction });
+    const sessions = await Session.destroy({ where: {}, transaction });
+
+    const [activationTokens] = await User.update(
+      { activationToken: null },
+      { where: isPlaintext('activationToken'), transaction }
+    );
+    const [passwordResetTokens] = await User.update(
+      { passwordResetToken: null },
+      { where: isPlaintext('passwordResetToken'), transaction }
+    );
+
+    return { sessions, activationTokens, passwordResetTokens };
+  });
+};
+
+if (require.main === module) {
+  invalidatePlaintextTokens()
+    .then((result) => {
+      console.log('Invalidated plaintext tokens', result);
+      return sequelize.close();
+    })
+    .catch((error) => {
+      console.error(error);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = invalidatePlaintextTokens;
@@ -0,0 +1,48 @@
+const Sequelize = require('sequelize');
+const sequelize = require('../config/database');
+const User = require('../model/user');
+const FileService = require('../service/file');
+
+// Images saved before the processing pipeline are a single unprocessed file without an extension. Each one is run
+// through the pipeline once, images whose file is gone or cannot be decoded are removed from the profile.
+const processProfileImages = async () => {
+  const users = await User.findAll({
+    where: { profileImage: { [Sequelize.Op.notLike]: '%.%' } },
+    paranoid: false,
+  });
+
+  const result = { processed: 0, removed: 0 };
+  for (const user of users) {
+    const legacyImage = user.profileImage;
+    const content = await FileService.readProfileImage(legacyImage);
+
+    let fileName = null;
+    if (content) {
+      try {
+        fileName = await FileService.saveProfileImage(content);
+      } catch (error) {
+        fileName = null;
+      }
+    }
+
+    await user.update({ profileImage: fileName });
+    await FileService.deleteProfileImage(legacyImage);
+    result[fileName ? 'processed' : 'removed']++;
+  }
+
+  return result;
+};
+
+if (require.main === module) {
+  processProfileImages()
+    .then((result) => {
+      console.log('Processed profile images', result);
+      return sequelize.close();
+    })
+    .catch((error) => {
+      console.error(error);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = processProfileImages;
@@ -0,0 +1,26 @@
+const Sequelize = require('sequelize');
+const sequelize = require('../config/database');
+
+const Model = Sequelize.Model;
+
+class DataExport extends Model {}
+DataExport.init(
+  {
+    token: {
+      type: Sequelize.STRING,
+    },
+    fileName: {
+      type: Sequelize.STRING,
+    },
+    status: {
+      type: Sequelize.STRING,
+      defaultValue: 'pending',
+    },
+    expiresAt: {
+      type: Sequelize.DATE,
+    },
+  },
+  { sequelize, modelName: 'dataExport', updatedAt: false }
+);
+
+module.exports = DataExport;
@@ -0,0 +1,16 @@
+const Sequelize = require('sequelize');
+const sequelize = require('../config/database');
+
+const Model = Sequelize.Model;
+
+class PasswordHistory extends Model {}
+PasswordHistory.init(
+  {
+    hash: {
+      type: Sequelize.STRING,
+    },
+  },
+  { sequelize, modelName: 'passwordHistory', updatedAt: false }
+);
+
+module.exports = PasswordHistory;
@@ -0,0 +1,16 @@
+const Sequelize = require('sequelize');
+const sequelize = require('../config/database');
+
+const Model = Sequelize.Model;
+
+class RecoveryCode extends Model {}
+RecoveryCode.init(
+  {
+    code: {
+      type: Sequelize.STRING,
+    },
+  },
+  { sequelize, modelName: 'recoveryCode', timestamps: false }
+);
+
+module.exports = RecoveryCode;
@@ -0,0 +1,23 @@
+const Sequelize = require('sequelize');
+const sequelize = require('../config/database');
+
+const Model = Sequelize.Model;
+
+class RefreshToken extends Model {}
+RefreshToken.init(
+  {
+    token: {
+      type: Sequelize.STRING,
+    },
+    used: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+    },
+    expiresAt: {
+      type: Sequelize.DATE,
+    },
+  },
+  { sequelize, modelName: 'refreshToken', timestamps: false }
+);
+
+module.exports = RefreshToken;
@@ -0,0 +1,29 @@
+const Sequelize = require('sequelize');
+const sequelize = require('../config/database');
+
+const Model = Sequelize.Model;
+
+// A revocation targets a single token by its jti, every token of a session, or every token of a user issued before revokedAt
+class RevokedToken extends Model {}
+RevokedToken.init(
+  {
+    jti: {
+      type: Sequelize.STRING,
+    },
+    sessionId: {
+      type: Sequelize.INTEGER,
+    },
+    userId: {
+      type: Sequelize.INTEGER,
+    },
+    revokedAt: {
+      type: Sequelize.DATE,
+    },
+    expiresAt: {
+      type: Sequelize.DATE,
+    },
+  },
+  { sequelize, modelName: 'revokedToken', timestamps: false }
+);
+
+module.exports = RevokedToken;
@@ -0,0 +1,27 @@
+const Sequelize = require('sequelize');
+const sequelize = require('../config/database');
+const Token = require('./token');
+const RefreshToken = require('./refreshToken');
+
+const Model = Sequelize.Model;
+
+class Session extends Model {}
+Session.init(
+  {
+    userAgent: {
+      type: Sequelize.STRING,
+    },
+    ip: {
+      type: Sequelize.STRING,
+    },
+    lastUsedAt: {
+      type: Sequelize.DATE,
+    },
+  },
+  { sequelize, modelName: 'session', updatedAt: false }
+);
+
+Session.hasMany(Token, { onDelete: 'cascade', foreignKey: 'sessionId' });
+Session.hasMany(RefreshToken, { onDelete: 'cascade', foreignKey: 'sessionId' });
+
+module.exports = Session;
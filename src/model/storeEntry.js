@@ -0,0 +1,23 @@
+const Sequelize = require('sequelize');
+const sequelize = require('../config/database');
+
+const Model = Sequelize.Model;
+
+class StoreEntry extends Model {}
+StoreEntry.init(
+  {
+    key: {
+      type: Sequelize.STRING,
+      unique: true,
+    },
+    count: {
+      type: Sequelize.INTEGER,
+    },
+    expiresAt: {
+      type: Sequelize.DATE,
+    },
+  },
+  { sequelize, modelName: 'storeEntry', timestamps: false }
+);
+
+module.exports = StoreEntry;
@@ -12,6 +12,9 @@ Token.init(
     lastUsedAt: {
       type: Sequelize.DATE,
     },
+    expiresAt: {
+      type: Sequelize.DATE,
+    },
   },
   { sequelize, modelName: 'token', timestamps: false }
 );
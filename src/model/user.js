@@ -1,6 +1,13 @@
 const Sequelize = require('sequelize');
 const sequelize = require('../config/database');
 const Token = require('./token');
+const RefreshToken = require('./refreshToken');
+const Session = require('./session');
+const RecoveryCode = require('./recoveryCode');
+const PasswordHistory = require('./passwordHistory');
+const DataExport = require('./dataExport');
+const { ROLES } = require('../shared/roles');
+const { VISIBILITY } = require('../shared/visibility');
 
 const Model = Sequelize.Model;
 
@@ -10,6 +17,14 @@ User.init(
     username: {
       type: Sequelize.STRING,
     },
+    // Handles are unique regardless of case, so they are stored in lower case
+    handle: {
+      type: Sequelize.STRING,
+      unique: true,
+      set(value) {
+        this.setDataValue('handle', typeof value === 'string' ? value.toLowerCase() : value);
+      },
+    },
     email: {
       type: Sequelize.STRING,
       unique: true,
@@ -24,16 +39,97 @@ User.init(
     activationToken: {
       type: Sequelize.STRING,
     },
+    activationTokenExpiresAt: {
+      type: Sequelize.DATE,
+    },
+    activationEmailSentAt: {
+      type: Sequelize.DATE,
+    },
     passwordResetToken: {
       type: Sequelize.STRING,
     },
+    passwordResetTokenExpiresAt: {
+      type: Sequelize.DATE,
+    },
+    pendingEmail: {
+      type: Sequelize.STRING,
+    },
+    emailChangeToken: {
+      type: Sequelize.STRING,
+    },
+    emailChangeTokenExpiresAt: {
+      type: Sequelize.DATE,
+    },
+    restoreToken: {
+      type: Sequelize.STRING,
+    },
+    displayName: {
+      type: Sequelize.STRING,
+    },
+    bio: {
+      type: Sequelize.TEXT,
+    },
+    location: {
+      type: Sequelize.STRING,
+    },
+    website: {
+      type: Sequelize.STRING,
+    },
+    language: {
+      type: Sequelize.STRING,
+    },
+    timezone: {
+      type: Sequelize.STRING,
+    },
     profileImage: {
       type: Sequelize.TEXT,
     },
+    visibility: {
+      type: Sequelize.STRING,
+      defaultValue: VISIBILITY.PUBLIC,
+      validate: {
+        isIn: [Object.values(VISIBILITY)],
+      },
+    },
+    showEmail: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+    },
+    twoFactorSecret: {
+      type: Sequelize.STRING,
+    },
+    twoFactorEnabled: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+    },
+    twoFactorLastUsedStep: {
+      type: Sequelize.INTEGER,
+    },
+    twoFactorChallenge: {
+      type: Sequelize.STRING,
+    },
+    twoFactorChallengeExpiresAt: {
+      type: Sequelize.DATE,
+    },
+    role: {
+      type: Sequelize.STRING,
+      defaultValue: ROLES.USER,
+      validate: {
+        isIn: [Object.values(ROLES)],
+      },
+    },
   },
-  { sequelize, modelName: 'user' }
+  { sequelize, modelName: 'user', paranoid: true }
 );
 
 User.hasMany(Token, { onDelete: 'cascade', foreignKey: 'userId' });
+Token.belongsTo(User, { foreignKey: 'userId' });
+User.hasMany(RefreshToken, { onDelete: 'cascade', foreignKey: 'userId' });
+RefreshToken.belongsTo(User, { foreignKey: 'userId' });
+User.hasMany(Session, { onDelete: 'cascade', foreignKey: 'userId' });
+User.hasMany(RecoveryCode, { onDelete: 'cascade', foreignKey: 'userId' });
+User.hasMany(PasswordHistory, { onDelete: 'cascade', foreignKey: 'userId' });
+User.hasMany(DataExport, { onDelete: 'cascade', foreignKey: 'userId' });
+DataExport.belongsTo(User, { foreignKey: 'userId' });
 
 module.exports = User;
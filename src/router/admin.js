@@ -0,0 +1,92 @@
+const express = require('express');
+const UserService = require('../service/user');
+const { check, validationResult } = require('express-validator');
+const ValidationException = require('../errors/validationException');
+const InvalidUserIdException = require('../errors/invalidUserIdException');
+const pagination = require('../middleware/pagination');
+const requirePermission = require('../middleware/authorization');
+const { ROLES, PERMISSIONS } = require('../shared/roles');
+
+const router = express.Router();
+
+const parseUserId = (req) => {
+  const id = Number.parseInt(req.params.id);
+
+  if (Number.isNaN(id)) {
+    throw new InvalidUserIdException();
+  }
+
+  return id;
+};
+
+router.get(
+  '/api/1.0/admin/users/inactive',
+  requirePermission(PERMISSIONS.LIST_INACTIVE_USERS),
+  pagination,
+  async (req, res, next) => {
+    try {
+      const { page, size } = req.pagination;
+
+      const users = await UserService.getInactiveUsers(page, size);
+      res.sendPage('users', users);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post(
+  '/api/1.0/admin/users/:id/activate',
+  requirePermission(PERMISSIONS.ACTIVATE_USERS),
+  async (req, res, next) => {
+    try {
+      await UserService.activateUser(parseUserId(req), req.authenticatedUser);
+      res.send({ message: req.t('ACCOUNT_ACTIVATED') });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post(
+  '/api/1.0/admin/users/:id/deactivate',
+  requirePermission(PERMISSIONS.DEACTIVATE_USERS),
+  async (req, res, next) => {
+    try {
+      await UserService.deactivateUser(parseUserId(req), req.authenticatedUser);
+      res.send({ message: req.t('ACCOUNT_DEACTIVATED') });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.put(
+  '/api/1.0/admin/users/:id/role',
+  requirePermission(PERMISSIONS.CHANGE_ROLES),
+  check('role').isIn(Object.values(ROLES)).withMessage('ROLE_INVALID'),
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ValidationException(errors.array()));
+    }
+
+    try {
+      const user = await UserService.changeRole(parseUserId(req), req.body.role);
+      res.send(user);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.delete('/api/1.0/admin/users/:id', requirePermission(PERMISSIONS.DELETE_USERS), async (req, res, next) => {
+  try {
+    await UserService.deleteUserAccount(parseUserId(req));
+    res.send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -5,9 +5,35 @@ const AuthenticationException = require('../errors/authenticationException');
 const ForbiddenException = require('../errors/forbiddenException');
 const bcrypt = require('bcrypt');
 const TokenService = require('../service/token');
+const FileService = require('../service/file');
+const LoginAttemptService = require('../service/loginAttempt');
+const TwoFactorService = require('../service/twoFactor');
+const InvalidRefreshTokenException = require('../errors/invalidRefreshTokenException');
 
 const router = express.Router();
 
+const startSession = async (req, res, user) => {
+  if (user.deletedAt) {
+    await UserService.restoreUser(user);
+  }
+
+  // Remembering the password makes a pending reset link unnecessary
+  await UserService.invalidatePasswordResetToken(user);
+
+  const { token, refreshToken } = await TokenService.createSession(user, {
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+  });
+
+  res.send({
+    id: user.id,
+    username: user.username,
+    token,
+    refreshToken,
+    profileImage: FileService.getProfileImageUrls(user.profileImage),
+  });
+};
+
 router.post('/api/1.0/auth', check('email').isEmail().bail(), check('password').notEmpty(), async (req, res, next) => {
   const { email, password } = req.body;
 
@@ -16,23 +42,70 @@ router.post('/api/1.0/auth', check('email').isEmail().bail(), check('password').
     return next(new AuthenticationException());
   }
 
-  const user = await UserService.findByEmail(email);
-  if (!user) {
-    return next(new AuthenticationException());
-  }
+  try {
+    await LoginAttemptService.assertNotLocked(email, req.ip);
 
-  const match = await bcrypt.compare(password, user.password);
-  if (!match) {
-    return next(new AuthenticationException());
+    // Deleted accounts can be logged into until their grace period ends, which restores them
+    const user = await UserService.findByEmail(email, { paranoid: false });
+    const available = user && (!user.deletedAt || UserService.isRestorable(user));
+    const match = available && (await bcrypt.compare(password, user.password));
+    if (!match) {
+      await LoginAttemptService.recordFailure(email, req.ip);
+      return next(new AuthenticationException());
+    }
+
+    // With a second factor enabled, failed attempts are only reset once it is verified as well
+    if (!user.twoFactorEnabled) {
+      await LoginAttemptService.recordSuccess(email);
+    }
+
+    if (user.inactive) {
+      return next(new ForbiddenException());
+    }
+
+    if (user.twoFactorEnabled) {
+      const challenge = await TwoFactorService.createChallenge(user);
+      return res.send({ twoFactorRequired: true, challenge });
+    }
+
+    await startSession(req, res, user);
+  } catch (error) {
+    next(error);
   }
+});
+
+router.post('/api/1.0/auth/2fa', async (req, res, next) => {
+  const { challenge, code, recoveryCode } = req.body;
+
+  try {
+    const user = await TwoFactorService.findChallengeUser(challenge);
+    await LoginAttemptService.assertNotLocked(user.email, req.ip);
 
-  if (user.inactive) {
-    return next(new ForbiddenException());
+    const verified = await TwoFactorService.verifySecondFactor(user, { code, recoveryCode });
+    if (!verified) {
+      await LoginAttemptService.recordFailure(user.email, req.ip);
+      return next(new AuthenticationException('TWO_FACTOR_CODE_INVALID'));
+    }
+
+    await LoginAttemptService.recordSuccess(user.email);
+    await startSession(req, res, user);
+  } catch (error) {
+    next(error);
   }
+});
 
-  const token = await TokenService.createToken(user);
+router.post('/api/1.0/auth/refresh', check('refreshToken').isString().notEmpty(), async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new InvalidRefreshTokenException());
+  }
 
-  res.send({ id: user.id, username: user.username, token, profileImage: user.profileImage });
+  try {
+    const tokens = await TokenService.refresh(req.body.refreshToken);
+    res.send(tokens);
+  } catch (error) {
+    next(error);
+  }
 });
 
 router.post('/api/1.0/logout', async (req, res, next) => {
@@ -41,6 +114,12 @@ router.post('/api/1.0/logout', async (req, res, next) => {
     const token = authorization.substring(7);
     await TokenService.deleteToken(token);
   }
+  if (req.authenticatedUser) {
+    await TokenService.endSession(req.authenticatedUser.sessionId);
+  }
+  if (typeof req.body.refreshToken === 'string') {
+    await TokenService.deleteRefreshToken(req.body.refreshToken);
+  }
   res.send();
 });
 
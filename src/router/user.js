@@ -1,22 +1,121 @@
 const express = require('express');
 const UserService = require('../service/user');
-const { check, validationResult } = require('express-validator');
+const { check, param, query, validationResult } = require('express-validator');
 const ValidationException = require('../errors/validationException');
 const InvalidUserIdException = require('../errors/invalidUserIdException');
 const ForbiddenException = require('../errors/forbiddenException');
+const NotFoundException = require('../errors/notFoundException');
+const TokenService = require('../service/token');
+const TwoFactorService = require('../service/twoFactor');
+const DataExportService = require('../service/dataExport');
 const pagination = require('../middleware/pagination');
-const { fromBuffer } = require('file-type');
+const rateLimit = require('../middleware/rateLimit');
+const passwordPolicy = require('../middleware/passwordPolicy');
+const FileService = require('../service/file');
+const imageUpload = require('../middleware/imageUpload');
+const { MAX_IMAGE_SIZE, isSupportedImage } = require('../shared/imageType');
+const { ROLES, PERMISSIONS, hasPermission } = require('../shared/roles');
+const { VISIBILITY } = require('../shared/visibility');
+const { LANGUAGES } = require('../shared/languages');
 
 const router = express.Router();
 
+const imageValidation = () => {
+  return check('image').custom(async (fileInBase64) => {
+    if (!fileInBase64) {
+      return true;
+    }
+    const buffer = Buffer.from(fileInBase64, 'base64');
+    if (buffer.length > MAX_IMAGE_SIZE) {
+      throw new Error();
+    }
+
+    if (!(await isSupportedImage(buffer))) {
+      throw new Error('UNSUPPORTED_FILE_TYPE');
+    }
+
+    return true;
+  });
+};
+
+const usernameValidation = () => {
+  return check('username')
+    .notEmpty()
+    .withMessage('USERNAME_NULL')
+    .bail()
+    .isLength({ min: 4, max: 32 })
+    .withMessage('USERNAME_LENGTH')
+    .bail();
+};
+
+const lengthValidation = (field, max, message) => {
+  return check(field)
+    .optional({ nullable: true })
+    .custom((value) => typeof value === 'string' && value.length <= max)
+    .withMessage({ key: message, options: { max } });
+};
+
+const isTimezone = (timezone) => {
+  try {
+    Intl.DateTimeFormat('en', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Profile fields may be sent as null or empty to clear them
+const profileValidation = () => {
+  return [
+    lengthValidation('displayName', 64, 'DISPLAY_NAME_LENGTH'),
+    lengthValidation('bio', 500, 'BIO_LENGTH'),
+    lengthValidation('location', 100, 'LOCATION_LENGTH'),
+    check('website')
+      .optional({ nullable: true, checkFalsy: true })
+      .isString()
+      .withMessage('WEBSITE_INVALID')
+      .bail()
+      .isLength({ max: 200 })
+      .withMessage('WEBSITE_INVALID')
+      .bail()
+      .isURL({ protocols: ['http', 'https'], require_protocol: true })
+      .withMessage('WEBSITE_INVALID'),
+    check('language').optional({ nullable: true, checkFalsy: true }).isIn(LANGUAGES).withMessage('LANGUAGE_INVALID'),
+    check('timezone')
+      .optional({ nullable: true, checkFalsy: true })
+      .custom((timezone) => typeof timezone === 'string' && isTimezone(timezone))
+      .withMessage('TIMEZONE_INVALID'),
+  ];
+};
+
+const HANDLE_PATTERN = /^[a-zA-Z0-9_]{3,30}$/;
+
+// A user keeps their own handle when updating, an empty handle removes it
+const handleValidation = () => {
+  return check('handle')
+    .optional({ nullable: true, checkFalsy: true })
+    .custom((handle) => typeof handle === 'string' && HANDLE_PATTERN.test(handle))
+    .withMessage('HANDLE_INVALID')
+    .bail()
+    .custom(async (handle, { req }) => {
+      const user = await UserService.findByHandle(handle, { paranoid: false });
+
+      if (user && user.id !== Number.parseInt(req.params.id)) {
+        throw new Error('HANDLE_IN_USE');
+      }
+    });
+};
+
 router.post(
   '/api/1.0/users',
+  rateLimit('registration'),
   check('username')
     .notEmpty()
     .withMessage('USERNAME_NULL')
     .bail()
     .isLength({ min: 4, max: 32 })
     .withMessage('USERNAME_LENGTH'),
+  handleValidation(),
   check('email')
     .notEmpty()
     .withMessage('EMAIL_NULL')
@@ -25,21 +124,13 @@ router.post(
     .withMessage('EMAIL_INVALID')
     .bail()
     .custom(async (email) => {
-      const user = await UserService.findByEmail(email);
+      const user = await UserService.findByEmail(email, { paranoid: false });
 
       if (user) {
         throw new Error('EMAIL_IN_USE');
       }
     }),
-  check('password')
-    .notEmpty()
-    .withMessage('PASSWORD_NULL')
-    .bail()
-    .isLength({ min: 6 })
-    .withMessage('PASSWORD_LENGTH')
-    .bail()
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).*$/)
-    .withMessage('PASSWORD_PATTERN'),
+  passwordPolicy(),
   async (req, res, next) => {
     const errors = validationResult(req);
 
@@ -56,7 +147,35 @@ router.post(
   }
 );
 
-router.post('/api/1.0/users/token/:token', async (req, res, next) => {
+router.get(
+  '/api/1.0/users/handles/:handle/availability',
+  rateLimit('handleAvailability'),
+  param('handle').matches(HANDLE_PATTERN).withMessage('HANDLE_INVALID'),
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ValidationException(errors.array()));
+    }
+
+    try {
+      const available = await UserService.isHandleAvailable(req.params.handle);
+      res.send({ handle: req.params.handle.toLowerCase(), available });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get('/api/1.0/users/by-handle/:handle', async (req, res, next) => {
+  try {
+    const user = await UserService.getUserByHandle(req.params.handle, req.authenticatedUser);
+    res.send(user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/api/1.0/users/token/:token', rateLimit('activation'), async (req, res, next) => {
   const { token } = req.params;
 
   try {
@@ -68,18 +187,85 @@ router.post('/api/1.0/users/token/:token', async (req, res, next) => {
   }
 });
 
-router.get('/api/1.0/users', pagination, async (req, res, next) => {
+router.post('/api/1.0/users/restore/:token', rateLimit('activation'), async (req, res, next) => {
   try {
-    const authenticatedUser = req.authenticatedUser;
-    const { page, size } = req.pagination;
-
-    const users = await UserService.getUsers(page, size, authenticatedUser);
-    res.send({ users });
+    await UserService.restoreByToken(req.params.token);
+    res.send({ message: req.t('ACCOUNT_RESTORED') });
   } catch (error) {
     next(error);
   }
 });
 
+router.post(
+  '/api/1.0/users/activation/resend',
+  rateLimit('activation'),
+  check('email').notEmpty().withMessage('EMAIL_NULL').bail().isEmail().withMessage('EMAIL_INVALID').bail(),
+  async (req, res, next) => {
+    const errors = validationResult(req);
+
+    if (!errors.isEmpty()) {
+      return next(new ValidationException(errors.array()));
+    }
+
+    try {
+      await UserService.resendActivationToken(req.body.email);
+      res.send({ message: req.t('ACTIVATION_EMAIL_SENT') });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get(
+  '/api/1.0/users',
+  pagination,
+  query('q')
+    .optional()
+    .isString()
+    .withMessage('SEARCH_INVALID')
+    .bail()
+    .isLength({ max: 64 })
+    .withMessage('SEARCH_INVALID'),
+  query('sort')
+    .optional()
+    .isString()
+    .withMessage('SORT_INVALID')
+    .bail()
+    .matches(/^(username|createdAt)(,(asc|desc))?$/)
+    .withMessage('SORT_INVALID'),
+  query('role').optional().isIn(Object.values(ROLES)).withMessage('ROLE_INVALID'),
+  query('createdAfter').optional().isISO8601().withMessage('DATE_INVALID'),
+  query('createdBefore').optional().isISO8601().withMessage('DATE_INVALID'),
+  query('hasImage').optional().isBoolean().withMessage('BOOLEAN_INVALID').bail().toBoolean(true),
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ValidationException(errors.array()));
+    }
+
+    // Roles are not part of the public profile, only those managing them may find users by role
+    const authenticatedUser = req.authenticatedUser;
+    if (req.query.role && !(authenticatedUser && hasPermission(authenticatedUser.role, PERMISSIONS.CHANGE_ROLES))) {
+      return next(new ForbiddenException());
+    }
+
+    try {
+      const { page, size, cursor } = req.pagination;
+      const { q, sort, role, createdAfter, createdBefore, hasImage } = req.query;
+
+      const users = await UserService.getUsers(page, size, authenticatedUser, {
+        q,
+        sort,
+        filters: { role, createdAfter, createdBefore, hasImage },
+        cursor,
+      });
+      res.sendPage('users', users);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 router.get('/api/1.0/users/:id', async (req, res, next) => {
   try {
     const id = Number.parseInt(req.params.id);
@@ -88,7 +274,7 @@ router.get('/api/1.0/users/:id', async (req, res, next) => {
     if (invalidId) {
       throw new InvalidUserIdException();
     }
-    const user = await UserService.getUser(id);
+    const user = await UserService.getUser(id, req.authenticatedUser);
 
     res.send(user);
   } catch (error) {
@@ -98,33 +284,38 @@ router.get('/api/1.0/users/:id', async (req, res, next) => {
 
 router.put(
   '/api/1.0/users/:id',
-  check('username')
-    .notEmpty()
-    .withMessage('USERNAME_NULL')
-    .bail()
-    .isLength({ min: 4, max: 32 })
-    .withMessage('USERNAME_LENGTH')
-    .bail(),
-  check('image').custom(async (fileInBase64) => {
-    if (!fileInBase64) {
-      return true;
-    }
-    const buffer = Buffer.from(fileInBase64, 'base64');
-    if (buffer.length > 1024 * 1024 * 2) {
-      throw new Error();
+  usernameValidation(),
+  handleValidation(),
+  imageValidation(),
+  async (req, res, next) => {
+    const authenticatedUser = req.authenticatedUser;
+
+    if (!authenticatedUser || authenticatedUser.id !== Number.parseInt(req.params.id)) {
+      return next(new ForbiddenException());
     }
 
-    const type = await fromBuffer(buffer);
-    if (!type) {
-      throw new Error('UNSUPPORTED_FILE_TYPE');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ValidationException(errors.array()));
     }
-    const validType = ['image/jpeg', 'image/png'].includes(type.mime);
-    if (!validType) {
-      throw new Error('UNSUPPORTED_FILE_TYPE');
+
+    try {
+      const user = await UserService.updateUser(req.params.id, req.body);
+      res.send(user);
+
+      res.status(400).send();
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
-    return true;
-  }),
+router.patch(
+  '/api/1.0/users/:id',
+  usernameValidation().optional(),
+  handleValidation(),
+  profileValidation(),
+  imageValidation(),
   async (req, res, next) => {
     const authenticatedUser = req.authenticatedUser;
 
@@ -138,10 +329,79 @@ router.put(
     }
 
     try {
-      const user = await UserService.updateUser(req.params.id, req.body);
+      const { username, handle, displayName, bio, location, website, language, timezone, image } = req.body;
+      const user = await UserService.patchUser(authenticatedUser.id, {
+        username,
+        handle,
+        displayName,
+        bio,
+        location,
+        website,
+        language,
+        timezone,
+        image,
+      });
       res.send(user);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
-      res.status(400).send();
+router.post(
+  '/api/1.0/users/:id/image',
+  (req, res, next) => {
+    const authenticatedUser = req.authenticatedUser;
+
+    if (!authenticatedUser || authenticatedUser.id !== Number.parseInt(req.params.id)) {
+      res.set('Connection', 'close');
+      return next(new ForbiddenException());
+    }
+    next();
+  },
+  imageUpload('image'),
+  async (req, res, next) => {
+    if (!req.file) {
+      return next(new ValidationException([{ param: 'image', msg: 'IMAGE_REQUIRED' }]));
+    }
+
+    try {
+      const image = await FileService.takeTempFile(req.file.path);
+      if (!(await isSupportedImage(image))) {
+        throw new ValidationException([{ param: 'image', msg: 'UNSUPPORTED_FILE_TYPE' }]);
+      }
+
+      const user = await UserService.patchUser(req.authenticatedUser.id, { image });
+      res.send(user);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.put(
+  '/api/1.0/users/:id/visibility',
+  check('visibility').optional().isIn(Object.values(VISIBILITY)).withMessage('VISIBILITY_INVALID'),
+  check('showEmail')
+    .optional()
+    .custom((showEmail) => typeof showEmail === 'boolean')
+    .withMessage('BOOLEAN_INVALID'),
+  async (req, res, next) => {
+    const authenticatedUser = req.authenticatedUser;
+
+    if (!authenticatedUser || authenticatedUser.id !== Number.parseInt(req.params.id)) {
+      return next(new ForbiddenException());
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ValidationException(errors.array()));
+    }
+
+    try {
+      const { visibility, showEmail } = req.body;
+      const settings = await UserService.updateVisibility(authenticatedUser.id, { visibility, showEmail });
+      res.send(settings);
     } catch (error) {
       next(error);
     }
@@ -163,8 +423,188 @@ router.delete('/api/1.0/users/:id', async (req, res, next) => {
   }
 });
 
+router.get('/api/1.0/users/:id/sessions', async (req, res, next) => {
+  const authenticatedUser = req.authenticatedUser;
+
+  if (!authenticatedUser || authenticatedUser.id !== Number.parseInt(req.params.id)) {
+    return next(new ForbiddenException());
+  }
+
+  try {
+    const sessions = await TokenService.getSessions(authenticatedUser.id, authenticatedUser.sessionId);
+    res.send({ sessions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/api/1.0/users/:id/sessions', async (req, res, next) => {
+  const authenticatedUser = req.authenticatedUser;
+
+  if (!authenticatedUser || authenticatedUser.id !== Number.parseInt(req.params.id)) {
+    return next(new ForbiddenException());
+  }
+
+  try {
+    await TokenService.deleteOtherSessions(authenticatedUser.id, authenticatedUser.sessionId);
+    res.send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/api/1.0/users/:id/sessions/:sessionId', async (req, res, next) => {
+  const authenticatedUser = req.authenticatedUser;
+
+  if (!authenticatedUser || authenticatedUser.id !== Number.parseInt(req.params.id)) {
+    return next(new ForbiddenException());
+  }
+
+  try {
+    const sessionId = Number.parseInt(req.params.sessionId);
+    if (Number.isNaN(sessionId)) {
+      throw new NotFoundException('SESSION_NOT_FOUND');
+    }
+
+    await TokenService.deleteSession(authenticatedUser.id, sessionId);
+    res.send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put(
+  '/api/1.0/users/:id/password',
+  passwordPolicy('password', {
+    findUser: (req) => req.authenticatedUser && UserService.findUserById(req.authenticatedUser.id),
+  }),
+  async (req, res, next) => {
+    const authenticatedUser = req.authenticatedUser;
+
+    if (!authenticatedUser || authenticatedUser.id !== Number.parseInt(req.params.id)) {
+      return next(new ForbiddenException());
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ValidationException(errors.array()));
+    }
+
+    try {
+      await UserService.changePassword(authenticatedUser.id, req.body, {
+        sessionId: authenticatedUser.sessionId,
+        ip: req.ip,
+      });
+      res.send({ message: req.t('PASSWORD_CHANGED') });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post(
+  '/api/1.0/users/:id/email',
+  check('email')
+    .notEmpty()
+    .withMessage('EMAIL_NULL')
+    .bail()
+    .isEmail()
+    .withMessage('EMAIL_INVALID')
+    .bail()
+    .custom(async (email) => {
+      const user = await UserService.findByEmail(email, { paranoid: false });
+
+      if (user) {
+        throw new Error('EMAIL_IN_USE');
+      }
+    }),
+  async (req, res, next) => {
+    const authenticatedUser = req.authenticatedUser;
+
+    if (!authenticatedUser || authenticatedUser.id !== Number.parseInt(req.params.id)) {
+      return next(new ForbiddenException());
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ValidationException(errors.array()));
+    }
+
+    try {
+      await UserService.requestEmailChange(authenticatedUser.id, req.body, { ip: req.ip });
+      res.send({ message: req.t('EMAIL_CHANGE_REQUESTED') });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post('/api/1.0/users/email/:token', rateLimit('activation'), async (req, res, next) => {
+  try {
+    await UserService.confirmEmailChange(req.params.token);
+    res.send({ message: req.t('EMAIL_CHANGED') });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/api/1.0/users/:id/export', async (req, res, next) => {
+  const authenticatedUser = req.authenticatedUser;
+
+  if (!authenticatedUser || authenticatedUser.id !== Number.parseInt(req.params.id)) {
+    return next(new ForbiddenException());
+  }
+
+  try {
+    await DataExportService.requestExport(authenticatedUser.id);
+    res.status(202).send({ message: req.t('EXPORT_STARTED') });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/api/1.0/users/exports/:token', async (req, res, next) => {
+  try {
+    const { path, fileName } = await DataExportService.findExport(req.params.token);
+    res.download(path, fileName);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/api/1.0/users/:id/2fa', async (req, res, next) => {
+  const authenticatedUser = req.authenticatedUser;
+
+  if (!authenticatedUser || authenticatedUser.id !== Number.parseInt(req.params.id)) {
+    return next(new ForbiddenException());
+  }
+
+  try {
+    const { secret, uri } = await TwoFactorService.enroll(authenticatedUser.id, req.body, { ip: req.ip });
+    res.send({ secret, uri });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/api/1.0/users/:id/2fa/confirm', async (req, res, next) => {
+  const authenticatedUser = req.authenticatedUser;
+
+  if (!authenticatedUser || authenticatedUser.id !== Number.parseInt(req.params.id)) {
+    return next(new ForbiddenException());
+  }
+
+  try {
+    const recoveryCodes = await TwoFactorService.confirm(authenticatedUser.id, req.body, { ip: req.ip });
+    res.send({ message: req.t('TWO_FACTOR_ENABLED'), recoveryCodes });
+  } catch (error) {
+    next(error);
+  }
+});
+
 router.post(
   '/api/1.0/user/password-reset',
+  rateLimit('passwordReset'),
   check('email').notEmpty().withMessage('EMAIL_NULL').bail().isEmail().withMessage('EMAIL_INVALID').bail(),
   async (req, res, next) => {
     const errors = validationResult(req);
@@ -186,15 +626,8 @@ router.post(
 
 router.put(
   '/api/1.0/user/password',
-  check('password')
-    .notEmpty()
-    .withMessage('PASSWORD_NULL')
-    .bail()
-    .isLength({ min: 6 })
-    .withMessage('PASSWORD_LENGTH')
-    .bail()
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).*$/)
-    .withMessage('PASSWORD_PATTERN'),
+  rateLimit('passwordReset'),
+  passwordPolicy('password', { findUser: (req) => UserService.findByPasswordResetToken(req.body.passwordResetToken) }),
   async (req, res, next) => {
     try {
       const user = await UserService.validatePasswordResetToken(req.body.passwordResetToken);
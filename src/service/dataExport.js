@@ -0,0 +1,174 @@
+const Sequelize = require('sequelize');
+const User = require('../model/user');
+const Token = require('../model/token');
+const DataExport = require('../model/dataExport');
+const EmailService = require('./email');
+const FileService = require('./file');
+const TokenService = require('./token');
+const NotFoundException = require('../errors/notFoundException');
+const { randomString } = require('../shared/generator');
+const { hashToken } = require('../shared/hash');
+const { getConfig } = require('../shared/config');
+const { createTarGz } = require('../shared/tar');
+const { scheduleJob } = require('../shared/scheduler');
+
+const ONE_HOUR_IN_MILLIS = 60 * 60 * 1000;
+const ONE_DAY_IN_MILLIS = 24 * ONE_HOUR_IN_MILLIS;
+
+const dataExportConfig = getConfig('dataExport', {
+  linkTtl: ONE_DAY_IN_MILLIS,
+  pendingTimeout: ONE_HOUR_IN_MILLIS,
+  cleanupInterval: ONE_HOUR_IN_MILLIS,
+});
+
+const PROFILE_FIELDS = [
+  'id',
+  'username',
+  'handle',
+  'email',
+  'displayName',
+  'bio',
+  'location',
+  'website',
+  'language',
+  'timezone',
+  'role',
+  'inactive',
+  'profileImage',
+  'visibility',
+  'showEmail',
+  'pendingEmail',
+  'twoFactorEnabled',
+  'createdAt',
+  'updatedAt',
+];
+
+const toJson = (value) => {
+  return Buffer.from(JSON.stringify(value, null, 2));
+};
+
+// Token digests are credentials, only the metadata of sessions and their tokens is exported
+const collectEntries = async (user) => {
+  const profile = {};
+  PROFILE_FIELDS.forEach((field) => {
+    profile[field] = user[field];
+  });
+
+  const sessions = await TokenService.getSessions(user.id);
+  const tokens = await Token.findAll({
+    where: { userId: user.id },
+    attributes: ['sessionId', 'lastUsedAt', 'expiresAt'],
+  });
+
+  const entries = [
+    { name: 'profile.json', content: toJson(profile) },
+    {
+      name: 'sessions.json',
+      content: toJson({
+        sessions: sessions.map(({ id, userAgent, ip, createdAt, lastUsedAt }) => ({
+          id,
+          userAgent,
+          ip,
+          createdAt,
+          lastUsedAt,
+        })),
+        tokens: tokens.map((token) => token.get({ plain: true })),
+      }),
+    },
+  ];
+
+  if (user.profileImage) {
+    const image = await FileService.readProfileImage(user.profileImage);
+    if (image) {
+      entries.push({ name: `images/${user.profileImage}`, content: image });
+    }
+  }
+
+  return entries;
+};
+
+// Failed exports are removed, so the user can simply request a new one
+const runExport = async (dataExport) => {
+  try {
+    const user = await User.findOne({ where: { id: dataExport.userId } });
+    const archive = await createTarGz(await collectEntries(user));
+    const fileName = await FileService.saveExport(archive);
+
+    const token = await randomString(32);
+    await dataExport.update({
+      token: hashToken(token),
+      fileName,
+      status: 'ready',
+      expiresAt: new Date(Date.now() + dataExportConfig.linkTtl),
+    });
+
+    await EmailService.sendDataExportLink(user.email, token);
+  } catch (error) {
+    console.error(`Exporting the data of user ${dataExport.userId} failed`, error);
+    // Nobody awaits the job, so a failing cleanup must not escape it either
+    try {
+      if (dataExport.fileName) {
+        await FileService.deleteExport(dataExport.fileName);
+      }
+      await dataExport.destroy();
+    } catch (cleanupError) {
+      console.error(`Removing the failed data export of user ${dataExport.userId} failed`, cleanupError);
+    }
+  }
+};
+
+// The archive is built in the background, an existing export is reused instead of starting another one.
+// Pending exports only count until their job must have been lost, ready ones until their link expires.
+const requestExport = async (userId) => {
+  const existing = await DataExport.findOne({
+    where: {
+      userId,
+      [Sequelize.Op.or]: [
+        { status: 'pending', createdAt: { [Sequelize.Op.gt]: new Date(Date.now() - dataExportConfig.pendingTimeout) } },
+        { status: 'ready', expiresAt: { [Sequelize.Op.gt]: new Date() } },
+      ],
+    },
+  });
+  if (existing) {
+    return { dataExport: existing, job: Promise.resolve() };
+  }
+
+  const dataExport = await DataExport.create({ userId });
+  return { dataExport, job: runExport(dataExport) };
+};
+
+const findExport = async (token) => {
+  const dataExport = await DataExport.findOne({
+    where: { token: hashToken(token), status: 'ready', expiresAt: { [Sequelize.Op.gt]: new Date() } },
+  });
+  if (!dataExport) {
+    throw new NotFoundException('EXPORT_NOT_FOUND');
+  }
+
+  return { path: FileService.getExportPath(dataExport.fileName), fileName: `data-export-${dataExport.userId}.tar.gz` };
+};
+
+const removeExports = async (where) => {
+  const dataExports = await DataExport.findAll({ where });
+
+  for (const dataExport of dataExports) {
+    if (dataExport.fileName) {
+      await FileService.deleteExport(dataExport.fileName);
+    }
+    await dataExport.destroy();
+  }
+};
+
+const removeExpiredExports = async () => {
+  await removeExports({ expiresAt: { [Sequelize.Op.lt]: new Date() } });
+};
+
+const removeUserExports = async (userId) => {
+  await removeExports({ userId });
+};
+
+const scheduleCleanup = () => {
+  return scheduleJob('Removing expired data exports', removeExpiredExports, dataExportConfig.cleanupInterval);
+};
+
+module.exports = { requestExport, findExport, removeExpiredExports, removeUserExports, scheduleCleanup };
@@ -41,4 +41,91 @@ const sendPasswordResetToken = async (email, token) => {
   }
 };
 
-module.exports = { sendActivationToken, sendPasswordResetToken };
+const sendEmailChangeToken = async (email, token) => {
+  const info = await transporter.sendMail({
+    from: 'My App <info@myapp.com>',
+    to: email,
+    subject: 'Confirm Email Change',
+    html: `
+      <div>
+      <b>Please click on the link below to confirm your new email address</b>
+      </div>
+      <div>
+        <a href='http://localhost:8080/#/email-change?token=${token}'>Confirm Email</a>
+      </div>
+    `,
+  });
+
+  if (process.env.NODE_ENV === 'development') {
+    console.log('URL: ' + nodemailer.getTestMessageUrl(info));
+  }
+};
+
+const sendEmailChangeNotice = async (email, newEmail) => {
+  const info = await transporter.sendMail({
+    from: 'My App <info@myapp.com>',
+    to: email,
+    subject: 'Email Change Requested',
+    html: `
+      <div>
+      <b>A change of your account email address to ${newEmail} was requested</b>
+      </div>
+      <div>
+        If you did not request this change, please reset your password.
+      </div>
+    `,
+  });
+
+  if (process.env.NODE_ENV === 'development') {
+    console.log('URL: ' + nodemailer.getTestMessageUrl(info));
+  }
+};
+
+const sendAccountRestoreToken = async (email, token) => {
+  const info = await transporter.sendMail({
+    from: 'My App <info@myapp.com>',
+    to: email,
+    subject: 'Account Deleted',
+    html: `
+      <div>
+      <b>Your account was deleted, please click on the link below if you want to restore it</b>
+      </div>
+      <div>
+        <a href='http://localhost:8080/#/restore?token=${token}'>Restore Account</a>
+      </div>
+    `,
+  });
+
+  if (process.env.NODE_ENV === 'development') {
+    console.log('URL: ' + nodemailer.getTestMessageUrl(info));
+  }
+};
+
+const sendDataExportLink = async (email, token) => {
+  const info = await transporter.sendMail({
+    from: 'My App <info@myapp.com>',
+    to: email,
+    subject: 'Your Data Export',
+    html: `
+      <div>
+      <b>Your data export is ready, please click on the link below to download it</b>
+      </div>
+      <div>
+        <a href='http://localhost:8080/#/export?token=${token}'>Download</a>
+      </div>
+    `,
+  });
+
+  if (process.env.NODE_ENV === 'development') {
+    console.log('URL: ' + nodemailer.getTestMessageUrl(info));
+  }
+};
+
+module.exports = {
+  sendActivationToken,
+  sendPasswordResetToken,
+  sendEmailChangeToken,
+  sendEmailChangeNotice,
+  sendAccountRestoreToken,
+  sendDataExportLink,
+};
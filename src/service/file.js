@@ -2,9 +2,37 @@ const fs = require('fs');
 const path = require('path');
 const config = require('config');
 const { randomString } = require('../shared/generator');
+const { getConfig } = require('../shared/config');
+const { createVariants } = require('../shared/image');
+const createStorage = require('../storage/createStorage');
+const ValidationException = require('../errors/validationException');
 
 const { uploadDir, profileDir } = config;
+const { exportDir } = getConfig('dataExport', { exportDir: 'export' });
 const profileFolder = path.join('.', uploadDir, profileDir);
+const exportFolder = path.join('.', uploadDir, exportDir);
+const tempFolder = path.join('.', uploadDir, 'tmp');
+const { sizes: profileImageSizes } = getConfig('profileImage', { sizes: [64, 256, 512] });
+const storageConfig = getConfig('storage', { type: 'local', s3: {} });
+
+// Profile images go through the configured storage, exports and uploads in progress always stay on this machine
+let storage = createStorage(storageConfig.type, {
+  folder: profileFolder,
+  urlPath: '/images/',
+  s3: { prefix: `${profileDir}/`, ...storageConfig.s3 },
+});
+
+const useStorage = (customStorage) => {
+  storage = customStorage;
+};
+
+// Resolved on every request, so the storage can be swapped after the application is created
+const serveProfileImages = (req, res, next) => {
+  if (!storage.serve) {
+    return next();
+  }
+  storage.serve(req, res, next);
+};
 
 const createFolders = () => {
   if (!fs.existsSync(uploadDir)) {
@@ -14,30 +42,148 @@ const createFolders = () => {
   if (!fs.existsSync(profileFolder)) {
     fs.mkdirSync(profileFolder);
   }
+
+  if (!fs.existsSync(exportFolder)) {
+    fs.mkdirSync(exportFolder);
+  }
+
+  if (!fs.existsSync(tempFolder)) {
+    fs.mkdirSync(tempFolder);
+  }
+};
+
+const getTempFolder = () => {
+  return tempFolder;
+};
+
+// The upload is removed as soon as it is read, so nothing is left behind whatever happens to its content
+const takeTempFile = async (filePath) => {
+  try {
+    return await fs.promises.readFile(filePath);
+  } finally {
+    await fs.promises.rm(filePath, { force: true });
+  }
+};
+
+const listTempFiles = async () => {
+  const names = await fs.promises.readdir(tempFolder);
+  const files = [];
+  for (const name of names) {
+    const { mtime } = await fs.promises.stat(path.join(tempFolder, name));
+    files.push({ name, modifiedAt: mtime });
+  }
+  return files;
 };
 
-const saveProfileImage = async (base64File) => {
-  const fileName = await randomString(32);
-  const filePath = path.join(profileFolder, fileName);
+const deleteTempFile = async (name) => {
+  await fs.promises.rm(path.join(tempFolder, name), { force: true });
+};
+
+// Every size is stored next to the others, named after the value kept in the profileImage column
+const variantFileName = (fileName, size) => {
+  const extension = path.extname(fileName);
+  return `${path.basename(fileName, extension)}-${size}${extension}`;
+};
 
-  // return new Promise((resolve, reject) => {
-  //   fs.writeFile(filePath, base64File, { encoding: 'base64' }, (error) => {
-  //     if (!error) {
-  //       resolve(fileName);
-  //     }
+// Accepts the decoded image or its base64 encoding, a file only looking like an image fails to decode
+const saveProfileImage = async (file) => {
+  const buffer = Buffer.isBuffer(file) ? file : Buffer.from(file, 'base64');
 
-  //     reject(error);
-  //   });
-  // });
+  let processed;
+  try {
+    processed = await createVariants(buffer, profileImageSizes);
+  } catch (error) {
+    throw new ValidationException([{ param: 'image', msg: 'UNSUPPORTED_FILE_TYPE' }]);
+  }
 
-  await fs.promises.writeFile(filePath, base64File, { encoding: 'base64' });
+  const fileName = `${await randomString(32)}.${processed.extension}`;
+  for (const { size, content } of processed.variants) {
+    await storage.save(variantFileName(fileName, size), content, processed.contentType);
+  }
   return fileName;
 };
 
+// Images saved before they were processed are a single file named like the column value
 const deleteProfileImage = async (fileName) => {
-  const filePath = path.join(profileFolder, fileName);
+  const fileNames = [fileName, ...profileImageSizes.map((size) => variantFileName(fileName, size))];
 
-  await fs.promises.unlink(filePath);
+  for (const name of fileNames) {
+    await storage.remove(name);
+  }
 };
 
-module.exports = { createFolders, saveProfileImage, deleteProfileImage };
+// Maps a stored variant back to the value kept in the profileImage column, other files are taken as they are
+const profileImageOf = (name) => {
+  const match = name.match(/^(.+)-(\d+)(\.\w+)$/);
+  if (match && profileImageSizes.includes(Number.parseInt(match[2]))) {
+    return `${match[1]}${match[3]}`;
+  }
+  return name;
+};
+
+const listProfileImageFiles = async () => {
+  const files = await storage.list();
+  return files.map(({ key, modifiedAt }) => ({ name: key, profileImage: profileImageOf(key), modifiedAt }));
+};
+
+const deleteProfileImageFile = async (name) => {
+  await storage.remove(name);
+};
+
+const readProfileImage = async (fileName) => {
+  const largest = variantFileName(fileName, Math.max(...profileImageSizes));
+
+  for (const name of [largest, fileName]) {
+    const content = await storage.read(name);
+    if (content) {
+      return content;
+    }
+  }
+  return null;
+};
+
+// Private buckets hand out signed urls, so these are generated for every response instead of being stored
+const getProfileImageUrls = (fileName) => {
+  if (!fileName) {
+    return null;
+  }
+
+  const urls = {};
+  profileImageSizes.forEach((size) => {
+    urls[size] = storage.getUrl(variantFileName(fileName, size));
+  });
+  return urls;
+};
+
+const saveExport = async (buffer) => {
+  const fileName = `${await randomString(32)}.tar.gz`;
+  await fs.promises.writeFile(path.join(exportFolder, fileName), buffer);
+  return fileName;
+};
+
+const getExportPath = (fileName) => {
+  return path.resolve(exportFolder, fileName);
+};
+
+const deleteExport = async (fileName) => {
+  await fs.promises.rm(path.join(exportFolder, fileName), { force: true });
+};
+
+module.exports = {
+  createFolders,
+  useStorage,
+  serveProfileImages,
+  getTempFolder,
+  takeTempFile,
+  listTempFiles,
+  deleteTempFile,
+  saveProfileImage,
+  deleteProfileImage,
+  listProfileImageFiles,
+  deleteProfileImageFile,
+  readProfileImage,
+  getProfileImageUrls,
+  saveExport,
+  getExportPath,
+  deleteExport,
+};
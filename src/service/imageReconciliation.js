@@ -0,0 +1,85 @@
+const Sequelize = require('sequelize');
+const sequelize = require('../config/database');
+const User = require('../model/user');
+const FileService = require('./file');
+const { getConfig } = require('../shared/config');
+const { scheduleJob } = require('../shared/scheduler');
+
+const ONE_DAY_IN_MILLIS = 24 * 60 * 60 * 1000;
+
+const reconciliationConfig = getConfig('imageReconciliation', {
+  gracePeriod: ONE_DAY_IN_MILLIS,
+  interval: ONE_DAY_IN_MILLIS,
+});
+
+// Deleted accounts can be restored until they are purged, so their images are still referenced
+const referencedImages = async () => {
+  const users = await User.findAll({
+    where: { profileImage: { [Sequelize.Op.ne]: null } },
+    attributes: ['profileImage'],
+    paranoid: false,
+  });
+  return new Set(users.map((user) => user.profileImage));
+};
+
+const removeFile = async (remove, name, report, dryRun) => {
+  if (dryRun) {
+    return true;
+  }
+
+  try {
+    await remove(name);
+    return true;
+  } catch (error) {
+    report.failed.push(name);
+    return false;
+  }
+};
+
+// Files are listed before the references are read and only removed once they are older than the grace period, so an
+// image saved by a request still updating its user is never taken for an orphan. Temporary uploads are left behind
+// by requests that never finished.
+const reconcileImages = async ({ dryRun = false, gracePeriod = reconciliationConfig.gracePeriod } = {}) => {
+  const cutoff = new Date(Date.now() - gracePeriod);
+  const files = await FileService.listProfileImageFiles();
+  const temporaryFiles = await FileService.listTempFiles();
+  const referenced = await referencedImages();
+
+  const report = { dryRun, checked: files.length, deleted: [], retained: [], temporary: [], failed: [] };
+
+  for (const file of files.filter(({ profileImage }) => !referenced.has(profileImage))) {
+    if (file.modifiedAt > cutoff) {
+      report.retained.push(file.name);
+    } else if (await removeFile(FileService.deleteProfileImageFile, file.name, report, dryRun)) {
+      report.deleted.push(file.name);
+    }
+  }
+
+  for (const file of temporaryFiles.filter(({ modifiedAt }) => modifiedAt <= cutoff)) {
+    if (await removeFile(FileService.deleteTempFile, file.name, report, dryRun)) {
+      report.temporary.push(file.name);
+    }
+  }
+
+  return report;
+};
+
+const scheduleReconciliation = () => {
+  return scheduleJob('Reconciling profile images', reconcileImages, reconciliationConfig.interval);
+};
+
+// npm run reconcile-images [-- --dry-run]
+if (require.main === module) {
+  FileService.createFolders();
+  reconcileImages({ dryRun: process.argv.includes('--dry-run') })
+    .then((report) => {
+      console.log('Reconciled profile images', report);
+      return sequelize.close();
+    })
+    .catch((error) => {
+      console.error(error);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { reconcileImages, scheduleReconciliation };
@@ -0,0 +1,73 @@
+const { getConfig } = require('../shared/config');
+const createStore = require('../store/createStore');
+const TooManyRequestsException = require('../errors/tooManyRequestsException');
+
+const ONE_MINUTE_IN_MILLIS = 60 * 1000;
+const ONE_DAY_IN_MILLIS = 24 * 60 * ONE_MINUTE_IN_MILLIS;
+
+const loginProtectionConfig = getConfig('loginProtection', {
+  store: 'memory',
+  maxAttempts: 5,
+  maxAttemptsPerIp: 50,
+  attemptWindow: 15 * ONE_MINUTE_IN_MILLIS,
+  lockDuration: 5 * ONE_MINUTE_IN_MILLIS,
+  maxLockDuration: ONE_DAY_IN_MILLIS,
+});
+
+let store = createStore(loginProtectionConfig.store);
+
+const useStore = (customStore) => {
+  store = customStore;
+};
+
+const accountKey = (email) => `login:account:${String(email).toLowerCase()}`;
+const ipKey = (ip) => `login:ip:${ip}`;
+const lockKey = (key) => `${key}:lock`;
+const lockoutsKey = (key) => `${key}:lockouts`;
+
+const secondsUntil = (date) => {
+  return Math.max(Math.ceil((date.getTime() - Date.now()) / 1000), 1);
+};
+
+const assertNotLocked = async (email, ip) => {
+  const locks = await Promise.all([store.get(lockKey(accountKey(email))), store.get(lockKey(ipKey(ip)))]);
+  const activeLocks = locks.filter((lock) => lock);
+
+  if (activeLocks.length) {
+    const expiresAt = new Date(Math.max(...activeLocks.map((lock) => lock.expiresAt.getTime())));
+    throw new TooManyRequestsException('ACCOUNT_LOCKED', secondsUntil(expiresAt));
+  }
+};
+
+// Each lockout within a day doubles the lock duration of the next one, up to maxLockDuration
+const lock = async (key) => {
+  const { lockDuration, maxLockDuration } = loginProtectionConfig;
+
+  const lockouts = await store.increment(lockoutsKey(key), ONE_DAY_IN_MILLIS);
+  const duration = Math.min(lockDuration * 2 ** (lockouts.count - 1), maxLockDuration);
+
+  await store.set(lockKey(key), lockouts.count, duration);
+  await store.remove(key);
+};
+
+const recordFailure = async (email, ip) => {
+  const { attemptWindow, maxAttempts, maxAttemptsPerIp } = loginProtectionConfig;
+
+  const accountFailures = await store.increment(accountKey(email), attemptWindow);
+  if (accountFailures.count >= maxAttempts) {
+    await lock(accountKey(email));
+  }
+
+  const ipFailures = await store.increment(ipKey(ip), attemptWindow);
+  if (ipFailures.count >= maxAttemptsPerIp) {
+    await lock(ipKey(ip));
+  }
+};
+
+// Failures of the IP are kept, otherwise logging into one's own account would reset them
+const recordSuccess = async (email) => {
+  await store.remove(accountKey(email));
+  await store.remove(lockoutsKey(accountKey(email)));
+};
+
+module.exports = { useStore, assertNotLocked, recordFailure, recordSuccess };
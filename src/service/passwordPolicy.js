@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcrypt');
+const Sequelize = require('sequelize');
+const User = require('../model/user');
+const PasswordHistory = require('../model/passwordHistory');
+const { getConfig } = require('../shared/config');
+
+// bcrypt ignores everything after the 72nd byte, so longer passwords would only give a false sense of security
+const policyConfig = getConfig('passwordPolicy', {
+  minLength: 6,
+  maxLength: 72,
+  requireLowercase: true,
+  requireUppercase: true,
+  requireNumber: true,
+  requireSymbol: false,
+  disallowPersonalInfo: true,
+  denylistPath: 'resources/common-passwords.txt',
+  historySize: 5,
+});
+
+const loadDenylist = (denylistPath) => {
+  if (!denylistPath) {
+    return new Set();
+  }
+
+  const lines = fs.readFileSync(path.resolve(denylistPath), 'utf8').split(/\r?\n/);
+  return new Set(lines.map((line) => line.trim().toLowerCase()).filter((line) => line && !line.startsWith('#')));
+};
+
+const denylist = loadDenylist(policyConfig.denylistPath);
+
+const containsPersonalInfo = (password, { username, email } = {}) => {
+  const lowerCasePassword = password.toLowerCase();
+  const [localPart] = typeof email === 'string' ? email.split('@') : [];
+
+  return [username, localPart]
+    .filter((value) => typeof value === 'string' && value.length >= 3)
+    .some((value) => lowerCasePassword.includes(value.toLowerCase()));
+};
+
+// The current password of the user is checked too, accounts created before the history existed have no entries yet.
+// Only users loaded from the database have a history, otherwise the rule would reveal the passwords of any account.
+const isReused = async (password, user) => {
+  if (!(user instanceof User)) {
+    return false;
+  }
+
+  const history = await PasswordHistory.findAll({
+    where: { userId: user.id },
+    order: [
+      ['createdAt', 'DESC'],
+      ['id', 'DESC'],
+    ],
+    limit: policyConfig.historySize,
+  });
+  const hashes = new Set([user.password, ...history.map((entry) => entry.hash)].filter((hash) => hash));
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Rules are checked independently of each other, a message may carry values to interpolate into its translation
+const getRules = () => {
+  const {
+    minLength,
+    maxLength,
+    requireLowercase,
+    requireUppercase,
+    requireNumber,
+    requireSymbol,
+    disallowPersonalInfo,
+    historySize,
+  } = policyConfig;
+  const rules = [
+    {
+      message: { key: 'PASSWORD_LENGTH', options: { min: minLength } },
+      validate: (password) => password.length >= minLength,
+    },
+  ];
+
+  if (maxLength) {
+    rules.push({
+      message: { key: 'PASSWORD_MAX_LENGTH', options: { max: maxLength } },
+      validate: (password) => Buffer.byteLength(password, 'utf8') <= maxLength,
+    });
+  }
+  if (requireLowercase) {
+    rules.push({ message: 'PASSWORD_LOWERCASE', validate: (password) => /[a-z]/.test(password) });
+  }
+  if (requireUppercase) {
+    rules.push({ message: 'PASSWORD_UPPERCASE', validate: (password) => /[A-Z]/.test(password) });
+  }
+  if (requireNumber) {
+    rules.push({ message: 'PASSWORD_NUMBER', validate: (password) => /\d/.test(password) });
+  }
+  if (requireSymbol) {
+    rules.push({ message: 'PASSWORD_SYMBOL', validate: (password) => /[^a-zA-Z\d]/.test(password) });
+  }
+  if (disallowPersonalInfo) {
+    rules.push({
+      message: 'PASSWORD_PERSONAL_INFO',
+      validate: (password, user) => !containsPersonalInfo(password, user),
+    });
+  }
+  if (denylist.size) {
+    rules.push({ message: 'PASSWORD_COMMON', validate: (password) => !denylist.has(password.toLowerCase()) });
+  }
+  if (historySize) {
+    rules.push({
+      message: { key: 'PASSWORD_REUSED', options: { count: historySize } },
+      validate: async (password, user) => !(await isReused(password, user)),
+    });
+  }
+
+  return rules;
+};
+
+const recordPassword = async (userId, hash, transaction) => {
+  const { historySize } = policyConfig;
+  if (!historySize) {
+    return;
+  }
+
+  await PasswordHistory.create({ userId, hash }, { transaction });
+
+  const kept = await PasswordHistory.findAll({
+    where: { userId },
+    attributes: ['id'],
+    order: [
+      ['createdAt', 'DESC'],
+      ['id', 'DESC'],
+    ],
+    limit: historySize,
+    transaction,
+  });
+  await PasswordHistory.destroy({
+    where: { userId, id: { [Sequelize.Op.notIn]: kept.map((entry) => entry.id) } },
+    transaction,
+  });
+};
+
+module.exports = { getRules, recordPassword };
@@ -0,0 +1,78 @@
+const { getConfig } = require('../shared/config');
+const createStore = require('../store/createStore');
+
+const ONE_MINUTE_IN_MILLIS = 60 * 1000;
+
+// Login is left out, it is protected by the account lockout in LoginAttemptService
+const DEFAULT_LIMITS = {
+  default: { algorithm: 'tokenBucket', limit: 300, window: ONE_MINUTE_IN_MILLIS, keyBy: 'user' },
+  registration: { algorithm: 'fixedWindow', limit: 10, window: 60 * ONE_MINUTE_IN_MILLIS, keyBy: 'ip' },
+  activation: { algorithm: 'fixedWindow', limit: 20, window: 15 * ONE_MINUTE_IN_MILLIS, keyBy: 'ip' },
+  passwordReset: { algorithm: 'fixedWindow', limit: 10, window: 15 * ONE_MINUTE_IN_MILLIS, keyBy: 'ip' },
+  handleAvailability: { algorithm: 'tokenBucket', limit: 30, window: ONE_MINUTE_IN_MILLIS, keyBy: 'ip' },
+};
+
+const rateLimitConfig = getConfig('rateLimit', { store: 'memory', routes: {} });
+
+let store = createStore(rateLimitConfig.store);
+
+const useStore = (customStore) => {
+  store = customStore;
+};
+
+const getLimit = (name) => {
+  return { enabled: true, ...DEFAULT_LIMITS.default, ...DEFAULT_LIMITS[name], ...rateLimitConfig.routes[name] };
+};
+
+const fixedWindow = async (key, { limit, window }) => {
+  const entry = await store.increment(key, window);
+
+  return {
+    allowed: entry.count <= limit,
+    remaining: Math.max(limit - entry.count, 0),
+    resetAt: entry.expiresAt,
+    retryAt: entry.expiresAt,
+  };
+};
+
+// The bucket is stored as the time it will be full again, every request pushes that time by one refill interval
+const tokenBucket = async (key, { limit, window }) => {
+  const now = Date.now();
+  const refillInterval = window / limit;
+
+  const entry = await store.get(key);
+  const fullAt = entry ? Math.max(entry.expiresAt.getTime(), now) : now;
+  const used = (fullAt - now) / refillInterval;
+
+  if (used + 1 > limit) {
+    return {
+      allowed: false,
+      remaining: 0,
+      resetAt: new Date(fullAt),
+      retryAt: new Date(now + (used + 1 - limit) * refillInterval),
+    };
+  }
+
+  const nextFullAt = fullAt + refillInterval;
+  await store.set(key, Math.ceil(used + 1), nextFullAt - now);
+
+  return {
+    allowed: true,
+    remaining: Math.floor(limit - used - 1),
+    resetAt: new Date(nextFullAt),
+    retryAt: new Date(now),
+  };
+};
+
+const algorithms = { fixedWindow, tokenBucket };
+
+const consume = async (name, key, limit = getLimit(name)) => {
+  const algorithm = algorithms[limit.algorithm];
+  if (!algorithm) {
+    throw new Error(`Unknown rate limit algorithm ${limit.algorithm}`);
+  }
+
+  return algorithm(`ratelimit:${name}:${key}`, limit);
+};
+
+module.exports = { useStore, getLimit, consume };
@@ -0,0 +1,77 @@
+const jwt = require('jsonwebtoken');
+const Sequelize = require('sequelize');
+const { randomString } = require('../../shared/generator');
+const RevokedToken = require('../../model/revokedToken');
+const InvalidTokenException = require('../../errors/invalidTokenException');
+
+const SUPPORTED_ALGORITHMS = ['HS256', 'RS256'];
+
+const createJwtTokenStrategy = ({ accessTokenTtl, algorithm = 'HS256', secret, privateKey, publicKey }) => {
+  if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unsupported JWT algorithm ${algorithm}`);
+  }
+
+  const signingKey = algorithm === 'RS256' ? privateKey : secret;
+  const verificationKey = algorithm === 'RS256' ? publicKey : secret;
+  if (!signingKey || !verificationKey) {
+    throw new Error(`Missing key configuration for ${algorithm} tokens`);
+  }
+
+  const createToken = async (user, sessionId) => {
+    const jti = await randomString(32);
+
+    // iat only has second precision, clearTokens is compared against the millisecond the token was issued at
+    return jwt.sign({ role: user.role, sid: sessionId, iat_ms: Date.now() }, signingKey, {
+      algorithm,
+      subject: String(user.id),
+      jwtid: jti,
+      expiresIn: Math.floor(accessTokenTtl / 1000),
+    });
+  };
+
+  const verify = async (token) => {
+    const payload = jwt.verify(token, verificationKey, { algorithms: [algorithm] });
+    const userId = Number.parseInt(payload.sub);
+
+    // Tokens issued before iat_ms was added fall back to the whole second of iat
+    const issuedAt = payload.iat_ms || payload.iat * 1000;
+    const revocations = [{ jti: payload.jti }, { userId, revokedAt: { [Sequelize.Op.gte]: new Date(issuedAt) } }];
+    if (payload.sid) {
+      revocations.push({ sessionId: payload.sid });
+    }
+    const revoked = await RevokedToken.findOne({ where: { [Sequelize.Op.or]: revocations } });
+    if (revoked) {
+      throw new InvalidTokenException();
+    }
+
+    return { id: userId, role: payload.role, sessionId: payload.sid };
+  };
+
+  const deleteToken = async (token) => {
+    let payload;
+    try {
+      payload = jwt.verify(token, verificationKey, { algorithms: [algorithm] });
+    } catch (error) {
+      return;
+    }
+
+    await RevokedToken.create({ jti: payload.jti, revokedAt: new Date(), expiresAt: new Date(payload.exp * 1000) });
+  };
+
+  const revokeSession = async (sessionId) => {
+    await RevokedToken.create({ sessionId, revokedAt: new Date(), expiresAt: new Date(Date.now() + accessTokenTtl) });
+  };
+
+  const clearTokens = async (userId) => {
+    const now = Date.now();
+    await RevokedToken.create({ userId, revokedAt: new Date(now), expiresAt: new Date(now + accessTokenTtl) });
+  };
+
+  const cleanup = async () => {
+    await RevokedToken.destroy({ where: { expiresAt: { [Sequelize.Op.lt]: new Date() } } });
+  };
+
+  return { createToken, verify, deleteToken, revokeSession, clearTokens, cleanup };
+};
+
+module.exports = createJwtTokenStrategy;
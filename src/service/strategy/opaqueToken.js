@@ -0,0 +1,53 @@
+const Sequelize = require('sequelize');
+const { randomString } = require('../../shared/generator');
+const { hashToken } = require('../../shared/hash');
+const Token = require('../../model/token');
+const User = require('../../model/user');
+
+const createOpaqueTokenStrategy = ({ accessTokenTtl }) => {
+  const createToken = async (user, sessionId) => {
+    const token = await randomString(32);
+    const now = Date.now();
+    await Token.create({
+      token: hashToken(token),
+      userId: user.id,
+      sessionId,
+      lastUsedAt: new Date(now),
+      expiresAt: new Date(now + accessTokenTtl),
+    });
+    return token;
+  };
+
+  const verify = async (token) => {
+    const tokenInDb = await Token.findOne({
+      where: { token: hashToken(token), expiresAt: { [Sequelize.Op.gt]: new Date() } },
+      include: { model: User, attributes: ['role'] },
+    });
+    tokenInDb.lastUsedAt = new Date();
+    await tokenInDb.save();
+
+    const userId = tokenInDb.userId;
+
+    return { id: userId, role: tokenInDb.user.role, sessionId: tokenInDb.sessionId };
+  };
+
+  const deleteToken = async (token) => {
+    await Token.destroy({ where: { token: hashToken(token) } });
+  };
+
+  const revokeSession = async (sessionId) => {
+    await Token.destroy({ where: { sessionId } });
+  };
+
+  const clearTokens = async (userId) => {
+    await Token.destroy({ where: { userId } });
+  };
+
+  const cleanup = async () => {
+    await Token.destroy({ where: { expiresAt: { [Sequelize.Op.lt]: new Date() } } });
+  };
+
+  return { createToken, verify, deleteToken, revokeSession, clearTokens, cleanup };
+};
+
+module.exports = createOpaqueTokenStrategy;
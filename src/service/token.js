@@ -1,39 +1,192 @@
+const fs = require('fs');
 const Sequelize = require('sequelize');
 const { randomString } = require('../shared/generator');
-const Token = require('../model/token');
+const { hashToken } = require('../shared/hash');
+const { getConfig } = require('../shared/config');
+const { scheduleJob } = require('../shared/scheduler');
+const RefreshToken = require('../model/refreshToken');
+const User = require('../model/user');
+const Session = require('../model/session');
+const InvalidRefreshTokenException = require('../errors/invalidRefreshTokenException');
+const NotFoundException = require('../errors/notFoundException');
+const createOpaqueTokenStrategy = require('./strategy/opaqueToken');
+const createJwtTokenStrategy = require('./strategy/jwtToken');
 
-const ONE_WEEK_AGO_IN_MILLIS = 7 * 24 * 60 * 60 * 1000;
+const FIFTEEN_MINUTES_IN_MILLIS = 15 * 60 * 1000;
+const THIRTY_DAYS_IN_MILLIS = 30 * 24 * 60 * 60 * 1000;
 
-const createToken = async (user) => {
-  const token = await randomString(32);
-  await Token.create({ token, userId: user.id, lastUsedAt: new Date() });
-  return token;
+const {
+  strategy,
+  accessTokenTtl,
+  refreshTokenTtl,
+  jwt: jwtConfig,
+} = getConfig('token', {
+  strategy: 'opaque',
+  accessTokenTtl: FIFTEEN_MINUTES_IN_MILLIS,
+  refreshTokenTtl: THIRTY_DAYS_IN_MILLIS,
+  jwt: {},
+});
+
+const createStrategy = () => {
+  if (strategy === 'jwt') {
+    const { algorithm, secret, privateKeyPath, publicKeyPath } = jwtConfig;
+
+    return createJwtTokenStrategy({
+      accessTokenTtl,
+      algorithm,
+      secret,
+      privateKey: privateKeyPath && fs.readFileSync(privateKeyPath),
+      publicKey: publicKeyPath && fs.readFileSync(publicKeyPath),
+    });
+  }
+
+  return createOpaqueTokenStrategy({ accessTokenTtl });
 };
 
-const verify = async (token) => {
-  const oneWeekAgo = new Date(Date.now() - ONE_WEEK_AGO_IN_MILLIS);
-  const tokenInDb = await Token.findOne({ where: { token: token, lastUsedAt: { [Sequelize.Op.gt]: oneWeekAgo } } });
-  tokenInDb.lastUsedAt = new Date();
-  await tokenInDb.save();
+const accessTokens = createStrategy();
 
-  const userId = tokenInDb.userId;
+// A session groups the access and refresh tokens issued from one login, refresh tokens are rotated within it
+const createSession = async (user, { userAgent, ip } = {}) => {
+  const session = await Session.create({ userId: user.id, userAgent, ip, lastUsedAt: new Date() });
+
+  const token = await createToken(user, session.id);
+  const refreshToken = await createRefreshToken(user, session.id);
+
+  return { token, refreshToken };
+};
+
+const createToken = async (user, sessionId) => {
+  return accessTokens.createToken(user, sessionId);
+};
 
-  return { id: userId };
+const verify = async (token) => {
+  return accessTokens.verify(token);
 };
 
 const deleteToken = async (token) => {
-  await Token.destroy({ where: { token: token } });
+  await accessTokens.deleteToken(token);
+};
+
+const createRefreshToken = async (user, sessionId) => {
+  const token = await randomString(64);
+  await RefreshToken.create({
+    token: hashToken(token),
+    sessionId,
+    userId: user.id,
+    expiresAt: new Date(Date.now() + refreshTokenTtl),
+  });
+  return token;
+};
+
+const endSession = async (sessionId) => {
+  if (!sessionId) {
+    return;
+  }
+
+  await RefreshToken.destroy({ where: { sessionId } });
+  await accessTokens.revokeSession(sessionId);
+  await Session.destroy({ where: { id: sessionId } });
+};
+
+const refresh = async (refreshToken) => {
+  const refreshTokenInDb = await RefreshToken.findOne({
+    where: { token: hashToken(refreshToken) },
+    include: { model: User, attributes: ['id', 'role', 'inactive'] },
+  });
+
+  if (!refreshTokenInDb) {
+    throw new InvalidRefreshTokenException();
+  }
+
+  // Only one request can mark the token as used, so replaying it, even concurrently, is always detected
+  const [updated] = await RefreshToken.update({ used: true }, { where: { id: refreshTokenInDb.id, used: false } });
+  if (!updated) {
+    await endSession(refreshTokenInDb.sessionId);
+    throw new InvalidRefreshTokenException();
+  }
+
+  const user = refreshTokenInDb.user;
+  if (refreshTokenInDb.expiresAt < new Date() || !user || user.inactive) {
+    await endSession(refreshTokenInDb.sessionId);
+    throw new InvalidRefreshTokenException();
+  }
+
+  const { sessionId } = refreshTokenInDb;
+  await Session.update({ lastUsedAt: new Date() }, { where: { id: sessionId } });
+
+  const token = await createToken(user, sessionId);
+  const nextRefreshToken = await createRefreshToken(user, sessionId);
+
+  return { token, refreshToken: nextRefreshToken };
+};
+
+const deleteRefreshToken = async (refreshToken) => {
+  const refreshTokenInDb = await RefreshToken.findOne({ where: { token: hashToken(refreshToken) } });
+  if (refreshTokenInDb) {
+    await endSession(refreshTokenInDb.sessionId);
+  }
+};
+
+const getSessions = async (userId, currentSessionId) => {
+  const sessions = await Session.findAll({
+    where: { userId, lastUsedAt: { [Sequelize.Op.gt]: new Date(Date.now() - refreshTokenTtl) } },
+    attributes: ['id', 'userAgent', 'ip', 'createdAt', 'lastUsedAt'],
+    order: [['lastUsedAt', 'DESC']],
+  });
+
+  return sessions.map((session) => ({ ...session.get({ plain: true }), current: session.id === currentSessionId }));
+};
+
+const deleteSession = async (userId, sessionId) => {
+  const session = await Session.findOne({ where: { id: sessionId, userId } });
+  if (!session) {
+    throw new NotFoundException('SESSION_NOT_FOUND');
+  }
+
+  await endSession(session.id);
+};
+
+const deleteOtherSessions = async (userId, currentSessionId) => {
+  const sessions = await Session.findAll({
+    where: { userId, id: { [Sequelize.Op.not]: currentSessionId || 0 } },
+    attributes: ['id'],
+  });
+
+  for (const session of sessions) {
+    await endSession(session.id);
+  }
+};
+
+const cleanup = async () => {
+  const now = Date.now();
+  await accessTokens.cleanup();
+  await RefreshToken.destroy({ where: { expiresAt: { [Sequelize.Op.lt]: new Date(now) } } });
+  await Session.destroy({ where: { lastUsedAt: { [Sequelize.Op.lt]: new Date(now - refreshTokenTtl) } } });
 };
 
 const scheduleCleanup = () => {
-  setInterval(async () => {
-    const oneWeekAgo = new Date(Date.now() - ONE_WEEK_AGO_IN_MILLIS);
-    await Token.destroy({ where: { lastUsedAt: { [Sequelize.Op.lt]: oneWeekAgo } } });
-  }, 60 * 60 * 1000);
+  return scheduleJob('Token cleanup', cleanup, 60 * 60 * 1000);
 };
 
 const clearTokens = async (userId) => {
-  await Token.destroy({ where: { userId } });
+  await accessTokens.clearTokens(userId);
+  await RefreshToken.destroy({ where: { userId } });
+  await Session.destroy({ where: { userId } });
 };
 
-module.exports = { createToken, verify, deleteToken, scheduleCleanup, clearTokens };
+module.exports = {
+  createSession,
+  createToken,
+  verify,
+  deleteToken,
+  createRefreshToken,
+  refresh,
+  deleteRefreshToken,
+  endSession,
+  getSessions,
+  deleteSession,
+  deleteOtherSessions,
+  cleanup,
+  scheduleCleanup,
+  clearTokens,
+};
@@ -0,0 +1,134 @@
+const Sequelize = require('sequelize');
+const sequelize = require('../config/database');
+const User = require('../model/user');
+const RecoveryCode = require('../model/recoveryCode');
+const AuthenticationException = require('../errors/authenticationException');
+const ForbiddenException = require('../errors/forbiddenException');
+const UserService = require('./user');
+const { randomString } = require('../shared/generator');
+const { hashToken } = require('../shared/hash');
+const { getConfig } = require('../shared/config');
+const { generateSecret, keyUri, verifyCode } = require('../shared/totp');
+
+const FIVE_MINUTES_IN_MILLIS = 5 * 60 * 1000;
+
+const twoFactorConfig = getConfig('twoFactor', {
+  issuer: 'tdd-express',
+  challengeTtl: FIVE_MINUTES_IN_MILLIS,
+  recoveryCodes: 10,
+});
+
+// Recovery codes are typed by hand, so dashes, spaces and case are ignored
+const normalizeRecoveryCode = (code) => {
+  return code.replace(/[\s-]/g, '').toLowerCase();
+};
+
+// A stolen session alone must not be able to turn on two-factor authentication and lock the owner out
+const enroll = async (id, { currentPassword } = {}, { ip } = {}) => {
+  const user = await User.findOne({ where: { id } });
+  await UserService.verifyCurrentPassword(user, currentPassword, ip);
+  if (user.twoFactorEnabled) {
+    throw new ForbiddenException('TWO_FACTOR_ALREADY_ENABLED');
+  }
+
+  const secret = generateSecret();
+  user.twoFactorSecret = secret;
+  await user.save();
+
+  return { secret, uri: keyUri(secret, user.email, twoFactorConfig.issuer) };
+};
+
+const confirm = async (id, { currentPassword, code } = {}, { ip } = {}) => {
+  const user = await User.findOne({ where: { id } });
+  await UserService.verifyCurrentPassword(user, currentPassword, ip);
+  if (user.twoFactorEnabled) {
+    throw new ForbiddenException('TWO_FACTOR_ALREADY_ENABLED');
+  }
+  if (!user.twoFactorSecret) {
+    throw new ForbiddenException('TWO_FACTOR_NOT_ENROLLED');
+  }
+
+  const step = verifyCode(user.twoFactorSecret, code);
+  if (step === null) {
+    throw new AuthenticationException('TWO_FACTOR_CODE_INVALID');
+  }
+
+  const recoveryCodes = [];
+  for (let i = 0; i < twoFactorConfig.recoveryCodes; i++) {
+    recoveryCodes.push(await randomString(10));
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    await RecoveryCode.destroy({ where: { userId: user.id }, transaction });
+    await RecoveryCode.bulkCreate(
+      recoveryCodes.map((recoveryCode) => ({ userId: user.id, code: hashToken(recoveryCode) })),
+      { transaction }
+    );
+    await user.update({ twoFactorEnabled: true, twoFactorLastUsedStep: step }, { transaction });
+  });
+
+  return recoveryCodes;
+};
+
+const createChallenge = async (user) => {
+  const challenge = await randomString(32);
+  await user.update({
+    twoFactorChallenge: hashToken(challenge),
+    twoFactorChallengeExpiresAt: new Date(Date.now() + twoFactorConfig.challengeTtl),
+  });
+
+  return challenge;
+};
+
+const findChallengeUser = async (challenge) => {
+  if (typeof challenge !== 'string') {
+    throw new AuthenticationException('TWO_FACTOR_CHALLENGE_INVALID');
+  }
+
+  const user = await User.findOne({
+    where: { twoFactorChallenge: hashToken(challenge), twoFactorEnabled: true, inactive: false },
+    paranoid: false,
+  });
+  if (!user || user.twoFactorChallengeExpiresAt < new Date()) {
+    throw new AuthenticationException('TWO_FACTOR_CHALLENGE_INVALID');
+  }
+
+  return user;
+};
+
+// Codes of an already used time step and used recovery codes are refused, even for concurrent requests
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  let verified = false;
+
+  if (typeof code === 'string') {
+    const step = verifyCode(user.twoFactorSecret, code);
+    if (step !== null) {
+      const [updated] = await User.update(
+        { twoFactorLastUsedStep: step },
+        {
+          where: {
+            id: user.id,
+            [Sequelize.Op.or]: [
+              { twoFactorLastUsedStep: null },
+              { twoFactorLastUsedStep: { [Sequelize.Op.lt]: step } },
+            ],
+          },
+        }
+      );
+      verified = updated > 0;
+    }
+  } else if (typeof recoveryCode === 'string') {
+    const removed = await RecoveryCode.destroy({
+      where: { userId: user.id, code: hashToken(normalizeRecoveryCode(recoveryCode)) },
+    });
+    verified = removed > 0;
+  }
+
+  if (verified) {
+    await user.update({ twoFactorChallenge: null, twoFactorChallengeExpiresAt: null });
+  }
+
+  return verified;
+};
+
+module.exports = { enroll, confirm, createChallenge, findChallengeUser, verifySecondFactor };
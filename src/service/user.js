@@ -6,25 +6,80 @@ const EmailException = require('../errors/emailException');
 const InvalidTokenException = require('../errors/invalidTokenException');
 const NotFoundException = require('../errors/notFoundException');
 const ForbiddenException = require('../errors/forbiddenException');
+const ValidationException = require('../errors/validationException');
+const TooManyRequestsException = require('../errors/tooManyRequestsException');
 const Sequelize = require('sequelize');
 const TokenService = require('./token');
 const FileService = require('./file');
+const LoginAttemptService = require('./loginAttempt');
+const PasswordPolicyService = require('./passwordPolicy');
+const DataExportService = require('./dataExport');
 
 const { randomString } = require('../shared/generator');
+const { hashToken } = require('../shared/hash');
+const { getConfig } = require('../shared/config');
+const { createCursor } = require('../shared/cursor');
+const { visibleLevels } = require('../shared/visibility');
+const { ROLES, outranks } = require('../shared/roles');
+const { scheduleJob } = require('../shared/scheduler');
+
+const FIVE_MINUTES_IN_MILLIS = 5 * 60 * 1000;
+const ONE_HOUR_IN_MILLIS = 60 * 60 * 1000;
+const ONE_DAY_IN_MILLIS = 24 * 60 * 60 * 1000;
+const THIRTY_DAYS_IN_MILLIS = 30 * ONE_DAY_IN_MILLIS;
+
+const passwordResetConfig = getConfig('passwordReset', { tokenTtl: ONE_HOUR_IN_MILLIS });
+const accountDeletionConfig = getConfig('accountDeletion', {
+  gracePeriod: THIRTY_DAYS_IN_MILLIS,
+  purgeInterval: ONE_HOUR_IN_MILLIS,
+});
+const emailChangeConfig = getConfig('emailChange', { tokenTtl: ONE_DAY_IN_MILLIS });
+const activationConfig = getConfig('activation', {
+  tokenTtl: ONE_DAY_IN_MILLIS,
+  resendInterval: FIVE_MINUTES_IN_MILLIS,
+});
+
+const createActivationToken = async () => {
+  const activationToken = await randomString(16);
+  const now = Date.now();
+
+  return {
+    activationToken,
+    fields: {
+      activationToken: hashToken(activationToken),
+      activationTokenExpiresAt: new Date(now + activationConfig.tokenTtl),
+      activationEmailSentAt: new Date(now),
+    },
+  };
+};
+
+// The availability check in the validation can race with another request taking the same handle
+const uniqueHandleError = (error) => {
+  if (error instanceof Sequelize.UniqueConstraintError && error.errors.some((item) => item.path === 'handle')) {
+    return new ValidationException([{ param: 'handle', msg: 'HANDLE_IN_USE' }]);
+  }
+  return error;
+};
 
 const saveUser = async (body) => {
-  const { username, email, password } = body;
+  const { username, handle, email, password } = body;
 
   const hash = await bcrypt.hash(password, 10);
-  const activationToken = await randomString(16);
-  const user = { username, email, password: hash, activationToken };
+  const { activationToken, fields } = await createActivationToken();
+  const user = { username, handle: handle || null, email, password: hash, ...fields };
 
   // Create transaction
   // Either it will send email and commit user successfully
   // Or rollback and remove user
   const transaction = await sequelize.transaction();
 
-  await User.create(user, { transaction });
+  try {
+    const savedUser = await User.create(user, { transaction });
+    await PasswordPolicyService.recordPassword(savedUser.id, hash, transaction);
+  } catch (error) {
+    await transaction.rollback();
+    throw uniqueHandleError(error);
+  }
 
   try {
     await EmailService.sendActivationToken(email, activationToken);
@@ -36,73 +91,484 @@ const saveUser = async (body) => {
 };
 
 const activate = async (token) => {
-  const user = await User.findOne({ where: { activationToken: token } });
+  const user = await User.findOne({ where: { activationToken: hashToken(token) } });
 
   if (!user) {
     throw new InvalidTokenException();
   }
+  if (!user.activationTokenExpiresAt || user.activationTokenExpiresAt < new Date()) {
+    throw new InvalidTokenException('ACTIVATION_TOKEN_EXPIRED');
+  }
   user.inactive = false;
   user.activationToken = null;
+  user.activationTokenExpiresAt = null;
   await user.save();
 };
 
-const findByEmail = async (email) => {
-  const user = await User.findOne({ where: { email } });
+const resendActivationToken = async (email) => {
+  const user = await findByEmail(email);
+  if (!user) {
+    throw new NotFoundException('EMAIL_NOT_FOUND');
+  }
+  if (!user.inactive) {
+    throw new ForbiddenException('ACCOUNT_ALREADY_ACTIVE');
+  }
+
+  const { activationToken, fields } = await createActivationToken();
+  const transaction = await sequelize.transaction();
+
+  // Only sent if no other activation email went out for this account within the resend interval
+  const [updated] = await User.update(fields, {
+    where: {
+      id: user.id,
+      [Sequelize.Op.or]: [
+        { activationEmailSentAt: null },
+        { activationEmailSentAt: { [Sequelize.Op.lte]: new Date(Date.now() - activationConfig.resendInterval) } },
+      ],
+    },
+    transaction,
+  });
+  if (!updated) {
+    await transaction.rollback();
+    const retryAfter = Math.ceil(
+      (user.activationEmailSentAt.getTime() + activationConfig.resendInterval - Date.now()) / 1000
+    );
+    throw new TooManyRequestsException('ACTIVATION_RESEND_LIMIT', Math.max(retryAfter, 1));
+  }
+
+  try {
+    await EmailService.sendActivationToken(email, activationToken);
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw new EmailException();
+  }
+};
+
+const findByEmail = async (email, options = {}) => {
+  const user = await User.findOne({ where: { email }, ...options });
   return user;
 };
 
-const getUsers = async (page, pageSize, authenticatedUser) => {
+// LIKE has no default escape character in every dialect, so one is given explicitly and the term is matched literally.
+// Emails are only searched when they are shown, otherwise the search would reveal them
+const searchCondition = (q) => {
+  const pattern = sequelize.escape(`%${q.toLowerCase().replace(/[!%_]/g, (character) => `!${character}`)}%`);
+  const matches = (column) => {
+    return Sequelize.literal(
+      `lower(${sequelize.getQueryInterface().quoteIdentifier(column)}) LIKE ${pattern} ESCAPE '!'`
+    );
+  };
+
+  return {
+    [Sequelize.Op.or]: [
+      matches('username'),
+      matches('handle'),
+      { [Sequelize.Op.and]: [{ showEmail: true }, matches('email')] },
+    ],
+  };
+};
+
+const listingFilters = ({ role, createdAfter, createdBefore, hasImage } = {}) => {
+  const where = [];
+
+  if (role) {
+    where.push({ role });
+  }
+  if (createdAfter) {
+    where.push({ createdAt: { [Sequelize.Op.gte]: new Date(createdAfter) } });
+  }
+  if (createdBefore) {
+    where.push({ createdAt: { [Sequelize.Op.lt]: new Date(createdBefore) } });
+  }
+  if (hasImage !== undefined) {
+    where.push({ profileImage: { [hasImage ? Sequelize.Op.ne : Sequelize.Op.eq]: null } });
+  }
+
+  return where;
+};
+
+// Rows are always ordered by id last, so rows with equal sort values keep their position across pages
+const listingOrder = (sort) => {
+  if (!sort) {
+    return [['id', 'ASC']];
+  }
+
+  const [field, direction = 'asc'] = sort.split(',');
+  return [
+    [field, direction.toUpperCase()],
+    ['id', 'ASC'],
+  ];
+};
+
+const PROFILE_ATTRIBUTES = [
+  'id',
+  'username',
+  'handle',
+  'displayName',
+  'email',
+  'profileImage',
+  'bio',
+  'location',
+  'website',
+  'language',
+  'timezone',
+  'showEmail',
+  'visibility',
+];
+
+// Owners see their complete profile including preferences and settings, everyone else the email only when it is shown
+const toProfile = (user, authenticatedUser) => {
+  const own = Boolean(authenticatedUser) && authenticatedUser.id === user.id;
+
+  const profile = { id: user.id, username: user.username, handle: user.handle, displayName: user.displayName };
+  if (own || user.showEmail) {
+    profile.email = user.email;
+  }
+  profile.profileImage = FileService.getProfileImageUrls(user.profileImage);
+  profile.bio = user.bio;
+  profile.location = user.location;
+  profile.website = user.website;
+  if (own) {
+    profile.language = user.language;
+    profile.timezone = user.timezone;
+    profile.visibility = user.visibility;
+    profile.showEmail = user.showEmail;
+  }
+  return profile;
+};
+
+const reverseOrder = (order) => {
+  return order.map(([field, direction]) => [field, direction === 'ASC' ? 'DESC' : 'ASC']);
+};
+
+// Rows after a position are those greater in the first sort field, or equal in it and greater in the next one
+const keysetCondition = (order, position, forward) => {
+  const values = position.map((value, index) => (order[index][0] === 'createdAt' ? new Date(value) : value));
+
+  return {
+    [Sequelize.Op.or]: order.map(([field, direction], index) => {
+      const condition = {};
+      order.slice(0, index).forEach(([equalField], equalIndex) => {
+        condition[equalField] = values[equalIndex];
+      });
+      condition[field] = { [(direction === 'ASC') === forward ? Sequelize.Op.gt : Sequelize.Op.lt]: values[index] };
+      return condition;
+    }),
+  };
+};
+
+// A cursor keeps the sort it was issued for, so following it cannot skip or repeat rows when users register meanwhile
+const getUsersByCursor = async (where, pageSize, authenticatedUser, { cursor, sort }) => {
+  const listingSort = 'sort' in cursor ? cursor.sort : sort || null;
+  const order = listingOrder(listingSort);
+  const forward = !cursor.before;
+  const position = cursor.after || cursor.before;
+
+  const conditions = position ? [...where, keysetCondition(order, position, forward)] : where;
+  const rows = await User.findAll({
+    where: { [Sequelize.Op.and]: conditions },
+    limit: pageSize + 1,
+    attributes: [...new Set([...PROFILE_ATTRIBUTES, ...order.map(([field]) => field)])],
+    order: forward ? order : reverseOrder(order),
+  });
+
+  const hasMore = rows.length > pageSize;
+  const content = rows.slice(0, pageSize);
+  if (!forward) {
+    content.reverse();
+  }
+
+  const positionOf = (row) => order.map(([field]) => row.get(field));
+  const hasNext = content.length > 0 && (forward ? hasMore : true);
+  const hasPrev = content.length > 0 && (forward ? Boolean(position) : hasMore);
+
+  return {
+    content: content.map((row) => toProfile(row, authenticatedUser)),
+    size: pageSize,
+    nextCursor: hasNext ? createCursor({ sort: listingSort, after: positionOf(content[content.length - 1]) }) : null,
+    prevCursor: hasPrev ? createCursor({ sort: listingSort, before: positionOf(content[0]) }) : null,
+  };
+};
+
+const getUsers = async (page, pageSize, authenticatedUser, { q, sort, filters, cursor } = {}) => {
+  const where = [
+    {
+      inactive: false,
+      id: { [Sequelize.Op.not]: authenticatedUser ? authenticatedUser.id : 0 },
+      visibility: visibleLevels(authenticatedUser),
+    },
+    ...listingFilters(filters),
+  ];
+  if (q) {
+    where.push(searchCondition(q));
+  }
+
+  if (cursor) {
+    return getUsersByCursor(where, pageSize, authenticatedUser, { cursor, sort });
+  }
+
   const users = await User.findAndCountAll({
-    where: { inactive: false, id: { [Sequelize.Op.not]: authenticatedUser ? authenticatedUser.id : 0 } },
+    where: { [Sequelize.Op.and]: where },
     limit: pageSize,
-    attributes: ['id', 'username', 'email', 'profileImage'],
+    attributes: PROFILE_ATTRIBUTES,
     offset: (page - 1) * pageSize,
+    order: listingOrder(sort),
   });
 
   const totalPages = Math.ceil(users.count / pageSize);
 
-  return { content: users.rows, page, size: pageSize, totalPages };
+  return {
+    content: users.rows.map((user) => toProfile(user, authenticatedUser)),
+    page,
+    size: pageSize,
+    totalPages,
+    totalElements: users.count,
+  };
 };
 
-const getUser = async (id) => {
-  const user = await User.findOne({
-    where: { id, inactive: false },
-    attributes: ['id', 'username', 'email', 'profileImage'],
-  });
-  if (!user) {
+// Profiles the requester may not see are reported as not found, so their existence is not revealed either
+const findProfile = async (where, authenticatedUser) => {
+  const user = await User.findOne({ where: { ...where, inactive: false }, attributes: PROFILE_ATTRIBUTES });
+  const own = Boolean(user) && Boolean(authenticatedUser) && authenticatedUser.id === user.id;
+  if (!user || (!own && !visibleLevels(authenticatedUser).includes(user.visibility))) {
     throw new NotFoundException('USER_NOT_FOUND');
   }
 
-  return user;
+  return toProfile(user, authenticatedUser);
 };
 
-const updateUser = async (id, body) => {
+const getUser = async (id, authenticatedUser) => {
+  return findProfile({ id }, authenticatedUser);
+};
+
+const getUserByHandle = async (handle, authenticatedUser) => {
+  return findProfile({ handle: handle.toLowerCase() }, authenticatedUser);
+};
+
+// Handles of deleted accounts stay taken during the grace period, so restoring the account cannot fail
+const findByHandle = async (handle, options = {}) => {
+  return User.findOne({ where: { handle: handle.toLowerCase() }, ...options });
+};
+
+const isHandleAvailable = async (handle) => {
+  const user = await findByHandle(handle, { paranoid: false });
+  return !user;
+};
+
+const updateVisibility = async (id, { visibility, showEmail }) => {
+  const user = await findUserById(id);
+  if (visibility !== undefined) {
+    user.visibility = visibility;
+  }
+  if (showEmail !== undefined) {
+    user.showEmail = showEmail;
+  }
+  await user.save();
+
+  return { visibility: user.visibility, showEmail: user.showEmail };
+};
+
+const EDITABLE_FIELDS = ['username', 'handle', 'displayName', 'bio', 'location', 'website', 'language', 'timezone'];
+
+// Only supplied fields are changed, empty values clear a field and a null image removes the profile image
+const patchUser = async (id, changes) => {
   const user = await User.findOne({ where: { id } });
-  user.username = body.username;
+  EDITABLE_FIELDS.forEach((field) => {
+    if (changes[field] !== undefined) {
+      user[field] = changes[field] === '' ? null : changes[field];
+    }
+  });
 
   const oldImage = user.profileImage;
 
-  if (body.image) {
-    const fileName = await FileService.saveProfileImage(body.image);
+  if (changes.image) {
+    const fileName = await FileService.saveProfileImage(changes.image);
     user.profileImage = fileName;
+  } else if (changes.image === null) {
+    user.profileImage = null;
+  }
 
-    if (oldImage) {
-      await FileService.deleteProfileImage(oldImage);
+  // The old image is only removed once the user refers to the new one, a failed update keeps it
+  try {
+    await user.save();
+  } catch (error) {
+    if (user.profileImage && user.profileImage !== oldImage) {
+      await FileService.deleteProfileImage(user.profileImage);
     }
+    throw uniqueHandleError(error);
   }
 
-  await user.save();
+  if (user.profileImage !== oldImage && oldImage) {
+    await FileService.deleteProfileImage(oldImage);
+  }
 
-  return {
-    id,
-    username: user.username,
-    email: user.email,
-    profileImage: user.profileImage,
-  };
+  return toProfile(user, user);
 };
 
+// Replacing the profile keeps the current image unless a new one is sent
+const updateUser = async (id, body) => {
+  const { username, handle, image } = body;
+  return patchUser(id, { username, handle, image: image || undefined });
+};
+
+// Deleted accounts are kept for the grace period, logging in or the emailed link restores them until they are purged
 const deleteUser = async (id) => {
-  await User.destroy({ where: { id } });
+  const user = await findUserById(id);
+  await ensureNotLastAdmin(user);
+
+  const restoreToken = await randomString(16);
+  user.restoreToken = hashToken(restoreToken);
+  await user.save();
+  await user.destroy();
+  await TokenService.clearTokens(user.id);
+
+  try {
+    await EmailService.sendAccountRestoreToken(user.email, restoreToken);
+  } catch (error) {
+    // Not being able to send the link does not undo the deletion, the account can still be restored by logging in
+  }
+};
+
+const isRestorable = (user) => {
+  return !!user.deletedAt && user.deletedAt.getTime() + accountDeletionConfig.gracePeriod > Date.now();
+};
+
+const restoreUser = async (user) => {
+  await user.restore();
+  user.restoreToken = null;
+  await user.save();
+};
+
+const restoreByToken = async (token) => {
+  const user = await User.findOne({ where: { restoreToken: hashToken(token) }, paranoid: false });
+  if (!user || !user.deletedAt) {
+    throw new InvalidTokenException();
+  }
+  if (!isRestorable(user)) {
+    throw new InvalidTokenException('ACCOUNT_RESTORE_EXPIRED');
+  }
+
+  await restoreUser(user);
+};
+
+// JWTs outlive the row of their user, so they are revoked explicitly before it is removed
+const purgeUser = async (user) => {
+  await TokenService.clearTokens(user.id);
+  if (user.profileImage) {
+    await FileService.deleteProfileImage(user.profileImage);
+  }
+
+  await DataExportService.removeUserExports(user.id);
+  await user.destroy({ force: true });
+};
+
+// An account that cannot be purged is logged and retried with the next run, it does not hold up the others
+const purgeDeletedUsers = async () => {
+  const users = await User.findAll({
+    where: { deletedAt: { [Sequelize.Op.lte]: new Date(Date.now() - accountDeletionConfig.gracePeriod) } },
+    paranoid: false,
+  });
+
+  let purged = 0;
+  for (const user of users) {
+    try {
+      await purgeUser(user);
+      purged++;
+    } catch (error) {
+      console.error(`Purging user ${user.id} failed`, error);
+    }
+  }
+
+  return purged;
+};
+
+const schedulePurge = () => {
+  return scheduleJob('Purging deleted users', purgeDeletedUsers, accountDeletionConfig.purgeInterval);
+};
+
+const findUserById = async (id) => {
+  const user = await User.findOne({ where: { id } });
+  if (!user) {
+    throw new NotFoundException('USER_NOT_FOUND');
+  }
+
+  return user;
+};
+
+const getInactiveUsers = async (page, pageSize) => {
+  const users = await User.findAndCountAll({
+    where: { inactive: true },
+    limit: pageSize,
+    attributes: ['id', 'username', 'email', 'role', 'createdAt'],
+    offset: (page - 1) * pageSize,
+  });
+
+  const totalPages = Math.ceil(users.count / pageSize);
+
+  return { content: users.rows, page, size: pageSize, totalPages, totalElements: users.count };
+};
+
+const ensureOutranks = (actingUser, user) => {
+  if (!outranks(actingUser.role, user.role)) {
+    throw new ForbiddenException('MODERATION_NOT_ALLOWED');
+  }
+};
+
+// Deactivated admins cannot act, so only active ones are left to count on
+const ensureNotLastAdmin = async (user) => {
+  if (user.role !== ROLES.ADMIN) {
+    return;
+  }
+
+  const otherAdmins = await User.count({
+    where: { role: ROLES.ADMIN, inactive: false, id: { [Sequelize.Op.ne]: user.id } },
+  });
+  if (otherAdmins === 0) {
+    throw new ForbiddenException('LAST_ADMIN');
+  }
+};
+
+const activateUser = async (id, actingUser) => {
+  const user = await findUserById(id);
+  ensureOutranks(actingUser, user);
+  user.inactive = false;
+  user.activationToken = null;
+  user.activationTokenExpiresAt = null;
+  await user.save();
+};
+
+const deactivateUser = async (id, actingUser) => {
+  const user = await findUserById(id);
+  ensureOutranks(actingUser, user);
+  user.inactive = true;
+  await user.save();
+
+  await TokenService.clearTokens(user.id);
+};
+
+// JWTs carry the role they were issued with, so a changed role only takes effect once the user logs in again
+const changeRole = async (id, role) => {
+  const user = await findUserById(id);
+  const changed = user.role !== role;
+  if (changed) {
+    await ensureNotLastAdmin(user);
+  }
+  user.role = role;
+  await user.save();
+
+  if (changed) {
+    await TokenService.clearTokens(user.id);
+  }
+
+  return { id: user.id, username: user.username, role: user.role };
+};
+
+// Accounts removed by an admin are not meant to be restored by their owner, so they skip the grace period
+const deleteUserAccount = async (id) => {
+  const user = await findUserById(id);
+  await ensureNotLastAdmin(user);
+  await purgeUser(user);
 };
 
 const passwordResetRequest = async (email) => {
@@ -111,31 +577,149 @@ const passwordResetRequest = async (email) => {
     throw new NotFoundException('EMAIL_NOT_FOUND');
   }
 
+  // Overwriting the digest invalidates any reset link sent earlier
   const passwordResetToken = await randomString(16);
-  user.passwordResetToken = passwordResetToken;
+  user.passwordResetToken = hashToken(passwordResetToken);
+  user.passwordResetTokenExpiresAt = new Date(Date.now() + passwordResetConfig.tokenTtl);
   await user.save();
 
   try {
-    await EmailService.sendPasswordResetToken(user.email, user.passwordResetToken);
+    await EmailService.sendPasswordResetToken(user.email, passwordResetToken);
   } catch (error) {
     throw new EmailException();
   }
 };
 
 const validatePasswordResetToken = async (token) => {
-  const user = await User.findOne({ where: { passwordResetToken: token } });
+  if (typeof token !== 'string') {
+    throw new ForbiddenException('UNAUTHORIZED_PASSWORD_RESET');
+  }
+
+  const user = await User.findOne({ where: { passwordResetToken: hashToken(token) } });
   if (!user) {
     throw new ForbiddenException('UNAUTHORIZED_PASSWORD_RESET');
   }
 
+  if (!user.passwordResetTokenExpiresAt || user.passwordResetTokenExpiresAt < new Date()) {
+    await invalidatePasswordResetToken(user);
+    throw new ForbiddenException('PASSWORD_RESET_TOKEN_EXPIRED');
+  }
+
   return user;
 };
 
+const findByPasswordResetToken = async (token) => {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  return User.findOne({ where: { passwordResetToken: hashToken(token) } });
+};
+
+const invalidatePasswordResetToken = async (user) => {
+  if (!user.passwordResetToken) {
+    return;
+  }
+
+  user.passwordResetToken = null;
+  user.passwordResetTokenExpiresAt = null;
+  await user.save();
+};
+
 const updatePassword = async (passwordResetToken, password) => {
-  const user = await User.findOne({ where: { passwordResetToken } });
+  const where = {
+    passwordResetToken: hashToken(passwordResetToken),
+    passwordResetTokenExpiresAt: { [Sequelize.Op.gt]: new Date() },
+  };
+  const user = await User.findOne({ where });
+  if (!user) {
+    throw new ForbiddenException('UNAUTHORIZED_PASSWORD_RESET');
+  }
+
+  // The token is consumed by a conditional update, so a concurrent request reusing it changes nothing
   const hash = await bcrypt.hash(password, 10);
-  user.password = hash;
+  const [updated] = await User.update(
+    { password: hash, passwordResetToken: null, passwordResetTokenExpiresAt: null },
+    { where: { id: user.id, ...where } }
+  );
+  if (!updated) {
+    throw new ForbiddenException('UNAUTHORIZED_PASSWORD_RESET');
+  }
+
+  await PasswordPolicyService.recordPassword(user.id, hash);
+  await TokenService.clearTokens(user.id);
+};
+
+// Wrong current passwords count as failed logins, so a stolen session cannot be used to guess the password
+const verifyCurrentPassword = async (user, currentPassword, ip) => {
+  await LoginAttemptService.assertNotLocked(user.email, ip);
+
+  const match = typeof currentPassword === 'string' && (await bcrypt.compare(currentPassword, user.password));
+  if (!match) {
+    await LoginAttemptService.recordFailure(user.email, ip);
+    throw new ForbiddenException('CURRENT_PASSWORD_INCORRECT');
+  }
+};
+
+const changePassword = async (id, { currentPassword, password }, { sessionId, ip } = {}) => {
+  const user = await findUserById(id);
+  await verifyCurrentPassword(user, currentPassword, ip);
+
+  user.password = await bcrypt.hash(password, 10);
   user.passwordResetToken = null;
+  user.passwordResetTokenExpiresAt = null;
+  await user.save();
+  await PasswordPolicyService.recordPassword(user.id, user.password);
+
+  await TokenService.deleteOtherSessions(user.id, sessionId);
+};
+
+const requestEmailChange = async (id, { currentPassword, email }, { ip } = {}) => {
+  const user = await findUserById(id);
+  await verifyCurrentPassword(user, currentPassword, ip);
+
+  // Overwriting the digest invalidates any confirmation link sent earlier
+  const emailChangeToken = await randomString(16);
+  const transaction = await sequelize.transaction();
+
+  await user.update(
+    {
+      pendingEmail: email,
+      emailChangeToken: hashToken(emailChangeToken),
+      emailChangeTokenExpiresAt: new Date(Date.now() + emailChangeConfig.tokenTtl),
+    },
+    { transaction }
+  );
+
+  try {
+    await EmailService.sendEmailChangeToken(email, emailChangeToken);
+    await EmailService.sendEmailChangeNotice(user.email, email);
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw new EmailException();
+  }
+};
+
+const confirmEmailChange = async (token) => {
+  const user = await User.findOne({ where: { emailChangeToken: hashToken(token) } });
+  if (!user) {
+    throw new InvalidTokenException();
+  }
+  if (!user.emailChangeTokenExpiresAt || user.emailChangeTokenExpiresAt < new Date()) {
+    throw new InvalidTokenException('EMAIL_CHANGE_TOKEN_EXPIRED');
+  }
+
+  // The address may have been registered by someone else since the change was requested
+  const owner = await findByEmail(user.pendingEmail, { paranoid: false });
+  if (owner) {
+    throw new ForbiddenException('EMAIL_IN_USE');
+  }
+
+  user.email = user.pendingEmail;
+  user.pendingEmail = null;
+  user.emailChangeToken = null;
+  user.emailChangeTokenExpiresAt = null;
   await user.save();
 
   await TokenService.clearTokens(user.id);
@@ -144,12 +728,35 @@ const updatePassword = async (passwordResetToken, password) => {
 module.exports = {
   saveUser,
   activate,
+  resendActivationToken,
   findByEmail,
   getUsers,
   getUser,
+  getUserByHandle,
+  findByHandle,
+  isHandleAvailable,
+  updateVisibility,
   updateUser,
+  patchUser,
   deleteUser,
+  isRestorable,
+  restoreUser,
+  restoreByToken,
+  purgeDeletedUsers,
+  schedulePurge,
+  findUserById,
+  getInactiveUsers,
+  activateUser,
+  deactivateUser,
+  changeRole,
+  deleteUserAccount,
   passwordResetRequest,
   validatePasswordResetToken,
+  findByPasswordResetToken,
+  invalidatePasswordResetToken,
   updatePassword,
+  verifyCurrentPassword,
+  changePassword,
+  requestEmailChange,
+  confirmEmailChange,
 };
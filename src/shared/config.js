@@ -0,0 +1,8 @@
+const config = require('config');
+
+// Optional sections may be left out of the environment config files, the module reading them provides defaults
+const getConfig = (section, defaults = {}) => {
+  return { ...defaults, ...(config.has(section) ? config.get(section) : {}) };
+};
+
+module.exports = { getConfig };
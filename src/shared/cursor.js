@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const { getConfig } = require('./config');
+
+// Without a configured secret cursors are only valid for the lifetime of the process that issued them
+const { cursorSecret } = getConfig('pagination', { cursorSecret: null });
+const secret = cursorSecret || crypto.randomBytes(32);
+
+const sign = (data) => {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+};
+
+// Cursors are opaque to clients, the signature keeps them from crafting positions or conditions of their own
+const createCursor = (payload) => {
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${data}.${sign(data)}`;
+};
+
+const parseCursor = (cursor) => {
+  const [data, signature, ...rest] = cursor.split('.');
+  if (!data || !signature || rest.length) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(data));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(data, 'base64url').toString());
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = { createCursor, parseCursor };
@@ -0,0 +1,8 @@
+const crypto = require('crypto');
+
+// Tokens are random and long enough that a fast unsalted digest is sufficient to keep them unusable if leaked
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+module.exports = { hashToken };
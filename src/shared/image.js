@@ -0,0 +1,19 @@
+const sharp = require('sharp');
+
+// Re-encoding drops all metadata including EXIF locations, so the orientation is applied to the pixels first.
+// Images with transparency stay PNG, everything else becomes JPEG. Animated images keep their first frame only.
+const createVariants = async (buffer, sizes) => {
+  const image = sharp(buffer, { pages: 1 }).rotate();
+  const { hasAlpha } = await image.metadata();
+  const format = hasAlpha ? 'png' : 'jpeg';
+
+  const variants = [];
+  for (const size of sizes) {
+    const content = await image.clone().resize(size, size, { fit: 'cover', position: 'centre' })[format]().toBuffer();
+    variants.push({ size, content });
+  }
+
+  return { extension: format === 'jpeg' ? 'jpg' : 'png', contentType: `image/${format}`, variants };
+};
+
+module.exports = { createVariants };
@@ -0,0 +1,21 @@
+const { fromBuffer, fromFile } = require('file-type');
+const { getConfig } = require('./config');
+
+// Every type sharp decodes in the processing pipeline, the configuration may narrow it down
+const { maxSize: MAX_IMAGE_SIZE, types: IMAGE_TYPES } = getConfig('profileImage', {
+  maxSize: 2 * 1024 * 1024,
+  types: ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif'],
+});
+
+// The type is detected from the magic bytes, neither the name nor the declared type of an upload can be trusted
+const isSupportedImage = async (buffer) => {
+  const type = await fromBuffer(buffer);
+  return Boolean(type) && IMAGE_TYPES.includes(type.mime);
+};
+
+const detectContentType = async (filePath) => {
+  const type = await fromFile(filePath);
+  return type ? type.mime : null;
+};
+
+module.exports = { MAX_IMAGE_SIZE, IMAGE_TYPES, isSupportedImage, detectContentType };
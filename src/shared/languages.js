@@ -0,0 +1,4 @@
+// Languages which have translations in the locales folder
+const LANGUAGES = ['en', 'de'];
+
+module.exports = { LANGUAGES };
@@ -0,0 +1,34 @@
+const ROLES = {
+  USER: 'user',
+  MODERATOR: 'moderator',
+  ADMIN: 'admin',
+};
+
+const PERMISSIONS = {
+  LIST_INACTIVE_USERS: 'users:list-inactive',
+  ACTIVATE_USERS: 'users:activate',
+  DEACTIVATE_USERS: 'users:deactivate',
+  CHANGE_ROLES: 'users:change-role',
+  DELETE_USERS: 'users:delete',
+};
+
+// Moderators can handle account moderation, only admins can change roles and delete accounts
+const rolePermissions = {
+  [ROLES.USER]: [],
+  [ROLES.MODERATOR]: [PERMISSIONS.LIST_INACTIVE_USERS, PERMISSIONS.ACTIVATE_USERS, PERMISSIONS.DEACTIVATE_USERS],
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+};
+
+// Roles from lowest to highest, moderation only reaches users ranked below the acting one
+const ROLE_ORDER = [ROLES.USER, ROLES.MODERATOR, ROLES.ADMIN];
+
+const outranks = (role, otherRole) => {
+  return ROLE_ORDER.indexOf(role) > ROLE_ORDER.indexOf(otherRole);
+};
+
+const hasPermission = (role, permission) => {
+  const permissions = rolePermissions[role] || [];
+  return permissions.includes(permission);
+};
+
+module.exports = { ROLES, PERMISSIONS, outranks, hasPermission };
@@ -0,0 +1,21 @@
+// A failed run is logged and retried with the next one instead of taking the server down.
+// The promise of the latest run is kept, so callers can wait for it to settle.
+const scheduleJob = (name, job, interval) => {
+  const scheduled = { lastRun: Promise.resolve() };
+
+  const run = async () => {
+    try {
+      await job();
+    } catch (error) {
+      console.error(`${name} failed`, error);
+    }
+  };
+
+  scheduled.timer = setInterval(() => {
+    scheduled.lastRun = run();
+  }, interval);
+
+  return scheduled;
+};
+
+module.exports = { scheduleJob };
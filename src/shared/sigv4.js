@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+const sha256 = (content) => {
+  return crypto.createHash('sha256').update(content).digest('hex');
+};
+
+const hmac = (key, content) => {
+  return crypto.createHmac('sha256', key).update(content).digest();
+};
+
+// encodeURIComponent leaves !'()* as they are, AWS expects every character except unreserved ones to be escaped
+const uriEncode = (value) => {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+};
+
+const amzDate = (time) => {
+  return new Date(time)
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+};
+
+const canonicalQuery = (searchParams) => {
+  return [...searchParams.entries()]
+    .map(([name, value]) => [uriEncode(name), uriEncode(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+};
+
+// The path of the url is used as it is, keys must already be encoded with uriEncode
+const signature = ({ method, url, headers, payloadHash, credentials, scope, date }) => {
+  const names = Object.keys(headers).sort();
+  const canonicalHeaders = names.map((name) => `${name}:${String(headers[name]).trim().replace(/\s+/g, ' ')}\n`);
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery(url.searchParams),
+    canonicalHeaders.join(''),
+    names.join(';'),
+    payloadHash,
+  ].join('\n');
+  const stringToSign = [ALGORITHM, date, scope.join('/'), sha256(canonicalRequest)].join('\n');
+
+  const signingKey = scope.reduce((key, part) => hmac(key, part), `AWS4${credentials.secretAccessKey}`);
+  return { signedHeaders: names.join(';'), signature: hmac(signingKey, stringToSign).toString('hex') };
+};
+
+const createScope = (time, region, service) => {
+  const date = amzDate(time);
+  return { date, scope: [date.substring(0, 8), region, service, 'aws4_request'] };
+};
+
+// Signature Version 4 in the Authorization header, header names are expected in lower case
+const signRequest = ({
+  method,
+  url,
+  headers = {},
+  body = '',
+  credentials,
+  region,
+  service = 's3',
+  time = Date.now(),
+}) => {
+  const target = new URL(url);
+  const { date, scope } = createScope(time, region, service);
+  const payloadHash = sha256(body);
+  const signedHeaders = { ...headers, host: target.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': date };
+
+  const result = signature({ method, url: target, headers: signedHeaders, payloadHash, credentials, scope, date });
+  const authorization =
+    `${ALGORITHM} Credential=${credentials.accessKeyId}/${scope.join('/')}, ` +
+    `SignedHeaders=${result.signedHeaders}, Signature=${result.signature}`;
+
+  return { ...signedHeaders, authorization };
+};
+
+// A url anyone holding it can GET until it expires, expiresIn is given in seconds
+const presignUrl = ({ url, credentials, region, service = 's3', expiresIn, time = Date.now() }) => {
+  const target = new URL(url);
+  const { date, scope } = createScope(time, region, service);
+
+  target.searchParams.set('X-Amz-Algorithm', ALGORITHM);
+  target.searchParams.set('X-Amz-Credential', `${credentials.accessKeyId}/${scope.join('/')}`);
+  target.searchParams.set('X-Amz-Date', date);
+  target.searchParams.set('X-Amz-Expires', String(expiresIn));
+  target.searchParams.set('X-Amz-SignedHeaders', 'host');
+
+  const result = signature({
+    method: 'GET',
+    url: target,
+    headers: { host: target.host },
+    payloadHash: UNSIGNED_PAYLOAD,
+    credentials,
+    scope,
+    date,
+  });
+  target.searchParams.set('X-Amz-Signature', result.signature);
+
+  return target.toString();
+};
+
+module.exports = { uriEncode, signRequest, presignUrl };
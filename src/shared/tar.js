@@ -0,0 +1,48 @@
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const gzip = promisify(zlib.gzip);
+const BLOCK_SIZE = 512;
+
+const octal = (value, length) => {
+  return value.toString(8).padStart(length - 1, '0') + '\0';
+};
+
+// A ustar header, the checksum is calculated with its own field filled with spaces
+const createHeader = (name, size, mtime) => {
+  const header = Buffer.alloc(BLOCK_SIZE);
+  header.write(name, 0, 100, 'utf8');
+  header.write(octal(0o644, 8), 100, 8, 'ascii');
+  header.write(octal(0, 8), 108, 8, 'ascii');
+  header.write(octal(0, 8), 116, 8, 'ascii');
+  header.write(octal(size, 12), 124, 12, 'ascii');
+  header.write(octal(Math.floor(mtime.getTime() / 1000), 12), 136, 12, 'ascii');
+  header.write(' '.repeat(8), 148, 8, 'ascii');
+  header.write('0', 156, 1, 'ascii');
+  header.write('ustar\0', 257, 6, 'ascii');
+  header.write('00', 263, 2, 'ascii');
+
+  let checksum = 0;
+  for (const byte of header) {
+    checksum += byte;
+  }
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+
+  return header;
+};
+
+const createTarGz = async (entries, mtime = new Date()) => {
+  const blocks = [];
+  for (const { name, content } of entries) {
+    blocks.push(createHeader(name, content.length, mtime));
+    blocks.push(content);
+
+    const padding = (BLOCK_SIZE - (content.length % BLOCK_SIZE)) % BLOCK_SIZE;
+    blocks.push(Buffer.alloc(padding));
+  }
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+
+  return gzip(Buffer.concat(blocks));
+};
+
+module.exports = { createTarGz };
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_IN_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let encoded = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    encoded += BASE32_ALPHABET[Number.parseInt(bits.substring(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return encoded;
+};
+
+const base32Decode = (encoded) => {
+  let bits = '';
+  for (const character of encoded.replace(/=+$/, '').toUpperCase()) {
+    bits += BASE32_ALPHABET.indexOf(character).toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(Number.parseInt(bits.substring(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+const timeStep = (time = Date.now()) => {
+  return Math.floor(time / 1000 / STEP_IN_SECONDS);
+};
+
+// HOTP of RFC 4226 applied to the current time step as described in RFC 6238
+const generateCode = (secret, step = timeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeUInt32BE(Math.floor(step / 2 ** 32), 0);
+  counter.writeUInt32BE(step % 2 ** 32, 4);
+
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = digest[digest.length - 1] & 0xf;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// Returns the matching time step so callers can refuse a code that was already used, one step of clock drift is accepted
+const verifyCode = (secret, code, window = 1) => {
+  if (typeof code !== 'string' || !/^\d{6}$/.test(code)) {
+    return null;
+  }
+
+  const current = timeStep();
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+const keyUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: DIGITS, period: STEP_IN_SECONDS });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = { base32Encode, base32Decode, generateSecret, timeStep, generateCode, verifyCode, keyUri };
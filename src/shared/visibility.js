@@ -0,0 +1,12 @@
+const VISIBILITY = {
+  PUBLIC: 'public',
+  MEMBERS: 'members',
+  HIDDEN: 'hidden',
+};
+
+// Hidden profiles are only visible to their owner, members-only profiles to everyone logged in
+const visibleLevels = (authenticatedUser) => {
+  return authenticatedUser ? [VISIBILITY.PUBLIC, VISIBILITY.MEMBERS] : [VISIBILITY.PUBLIC];
+};
+
+module.exports = { VISIBILITY, visibleLevels };
@@ -0,0 +1,18 @@
+const createLocalStorage = require('./localStorage');
+const createMemoryStorage = require('./memoryStorage');
+const createS3Storage = require('./s3Storage');
+
+// Any object implementing save, read, remove, list and getUrl with the same signatures can be used as storage,
+// serve is an optional middleware answering the urls returned by getUrl
+const createStorage = (type, { folder, urlPath, s3 } = {}) => {
+  if (type === 's3') {
+    return createS3Storage(s3);
+  }
+  if (type === 'memory') {
+    return createMemoryStorage({ urlPath });
+  }
+
+  return createLocalStorage({ folder, urlPath });
+};
+
+module.exports = createStorage;
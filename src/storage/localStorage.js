@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { detectContentType } = require('../shared/imageType');
+
+const ONE_YEAR_IN_MILLIS = 365 * 24 * 60 * 60 * 1000;
+
+// Files kept in a folder of this machine, served by the application itself
+const createLocalStorage = ({ folder, urlPath = '/images/' }) => {
+  const save = async (key, content) => {
+    await fs.promises.writeFile(path.join(folder, key), content);
+  };
+
+  const read = async (key) => {
+    try {
+      return await fs.promises.readFile(path.join(folder, key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  const remove = async (key) => {
+    await fs.promises.rm(path.join(folder, key), { force: true });
+  };
+
+  const list = async () => {
+    const entries = await fs.promises.readdir(folder, { withFileTypes: true });
+    const files = [];
+    for (const entry of entries.filter((item) => item.isFile())) {
+      const { mtime } = await fs.promises.stat(path.join(folder, entry.name));
+      files.push({ key: entry.name, modifiedAt: mtime });
+    }
+    return files;
+  };
+
+  const getUrl = (key) => {
+    return `${urlPath}${key}`;
+  };
+
+  const serveStatic = express.static(folder, { maxAge: ONE_YEAR_IN_MILLIS });
+
+  // Images saved before processing have no extension to derive the type from, it is detected from their content
+  const serve = async (req, res, next) => {
+    const key = req.path.substring(1);
+    if (/^[\w-]+$/.test(key)) {
+      try {
+        const contentType = await detectContentType(path.join(folder, key));
+        if (contentType) {
+          res.type(contentType);
+        }
+      } catch (error) {
+        // missing files are answered by the static middleware
+      }
+    }
+    serveStatic(req, res, next);
+  };
+
+  return { save, read, remove, list, getUrl, serve };
+};
+
+module.exports = createLocalStorage;
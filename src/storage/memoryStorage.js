@@ -0,0 +1,42 @@
+const ONE_YEAR_IN_SECONDS = 365 * 24 * 60 * 60;
+
+// Files kept in this process only, nothing is written to disk which makes it suitable for tests
+const createMemoryStorage = ({ urlPath = '/images/' } = {}) => {
+  const files = new Map();
+
+  const save = async (key, content, contentType) => {
+    files.set(key, { content: Buffer.from(content), contentType, modifiedAt: new Date() });
+  };
+
+  const read = async (key) => {
+    const file = files.get(key);
+    return file ? file.content : null;
+  };
+
+  const remove = async (key) => {
+    files.delete(key);
+  };
+
+  const list = async () => {
+    return [...files.entries()].map(([key, { modifiedAt }]) => ({ key, modifiedAt }));
+  };
+
+  const getUrl = (key) => {
+    return `${urlPath}${key}`;
+  };
+
+  const serve = (req, res, next) => {
+    const file = files.get(decodeURIComponent(req.path.substring(1)));
+    if (!file || !['GET', 'HEAD'].includes(req.method)) {
+      return next();
+    }
+
+    res.set('Cache-Control', `public, max-age=${ONE_YEAR_IN_SECONDS}`);
+    res.type(file.contentType || 'application/octet-stream');
+    res.send(file.content);
+  };
+
+  return { save, read, remove, list, getUrl, serve };
+};
+
+module.exports = createMemoryStorage;
@@ -0,0 +1,142 @@
+const http = require('http');
+const https = require('https');
+const { uriEncode, signRequest, presignUrl } = require('../shared/sigv4');
+
+const ONE_HOUR_IN_MILLIS = 60 * 60 * 1000;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\u0027' };
+
+const xmlValue = (xml, tag) => {
+  const match = xml.match(new RegExp(`<${tag}>([^<]*)</${tag}>`));
+  return match ? match[1].replace(/&(amp|lt|gt|quot|apos);/g, (entity, name) => XML_ENTITIES[name]) : null;
+};
+
+// Objects kept in an S3 compatible bucket like AWS S3 or MinIO. Private buckets get signed urls expiring after urlTtl,
+// public ones a plain url below publicUrl or the bucket itself. Path style addressing is what MinIO expects.
+const createS3Storage = ({
+  endpoint,
+  region = 'us-east-1',
+  bucket,
+  accessKeyId,
+  secretAccessKey,
+  prefix = '',
+  forcePathStyle = true,
+  signUrls = true,
+  urlTtl = ONE_HOUR_IN_MILLIS,
+  publicUrl,
+} = {}) => {
+  const credentials = { accessKeyId, secretAccessKey };
+  const base = new URL(endpoint);
+
+  const encodeKey = (key) => {
+    return `${prefix}${key}`.split('/').map(uriEncode).join('/');
+  };
+
+  const bucketUrl = () => {
+    if (forcePathStyle) {
+      return `${base.protocol}//${base.host}/${bucket}`;
+    }
+    return `${base.protocol}//${bucket}.${base.host}`;
+  };
+
+  const objectUrl = (key) => {
+    return `${bucketUrl()}/${encodeKey(key)}`;
+  };
+
+  const send = (method, url, { body, contentType } = {}) => {
+    const headers = signRequest({
+      method,
+      url,
+      headers: contentType ? { 'content-type': contentType } : {},
+      body: body || '',
+      credentials,
+      region,
+    });
+    if (body) {
+      headers['content-length'] = body.length;
+    }
+
+    const client = base.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+      const req = client.request(url, { method, headers }, (res) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks) }));
+        res.on('error', reject);
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+  };
+
+  const failed = (method, key, status) => {
+    return new Error(`${method} ${prefix}${key} failed with status ${status}`);
+  };
+
+  const save = async (key, content, contentType) => {
+    const { status } = await send('PUT', objectUrl(key), { body: Buffer.from(content), contentType });
+    if (status !== 200) {
+      throw failed('PUT', key, status);
+    }
+  };
+
+  const read = async (key) => {
+    const { status, body } = await send('GET', objectUrl(key));
+    if (status === 404) {
+      return null;
+    }
+    if (status !== 200) {
+      throw failed('GET', key, status);
+    }
+    return body;
+  };
+
+  const remove = async (key) => {
+    const { status } = await send('DELETE', objectUrl(key));
+    if (status !== 204 && status !== 200 && status !== 404) {
+      throw failed('DELETE', key, status);
+    }
+  };
+
+  // ListObjectsV2 returns at most 1000 keys per page, following pages are requested with the continuation token
+  const list = async () => {
+    const files = [];
+    let continuationToken = null;
+    do {
+      const query = new URLSearchParams({ 'list-type': '2', prefix });
+      if (continuationToken) {
+        query.set('continuation-token', continuationToken);
+      }
+
+      const { status, body } = await send('GET', `${bucketUrl()}/?${query.toString()}`);
+      if (status !== 200) {
+        throw failed('LIST', '', status);
+      }
+
+      const xml = body.toString();
+      (xml.match(/<Contents>[\s\S]*?<\/Contents>/g) || []).forEach((contents) => {
+        files.push({
+          key: xmlValue(contents, 'Key').substring(prefix.length),
+          modifiedAt: new Date(xmlValue(contents, 'LastModified')),
+        });
+      });
+      continuationToken = xmlValue(xml, 'IsTruncated') === 'true' ? xmlValue(xml, 'NextContinuationToken') : null;
+    } while (continuationToken);
+
+    return files;
+  };
+
+  const getUrl = (key) => {
+    if (signUrls) {
+      return presignUrl({ url: objectUrl(key), credentials, region, expiresIn: Math.floor(urlTtl / 1000) });
+    }
+    if (publicUrl) {
+      return `${publicUrl.replace(/\/$/, '')}/${encodeKey(key)}`;
+    }
+    return objectUrl(key);
+  };
+
+  return { save, read, remove, list, getUrl };
+};
+
+module.exports = createS3Storage;
@@ -0,0 +1,13 @@
+const createMemoryStore = require('./memoryStore');
+const createDatabaseStore = require('./databaseStore');
+
+// Any object implementing get, set, increment and remove with the same signatures can be used as a shared store
+const createStore = (type) => {
+  if (type === 'database') {
+    return createDatabaseStore();
+  }
+
+  return createMemoryStore();
+};
+
+module.exports = createStore;
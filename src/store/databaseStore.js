@@ -0,0 +1,55 @@
+const Sequelize = require('sequelize');
+const StoreEntry = require('../model/storeEntry');
+const { scheduleJob } = require('../shared/scheduler');
+
+// Counters kept in the database are shared by every instance of the application
+const createDatabaseStore = ({ cleanupInterval = 60 * 60 * 1000 } = {}) => {
+  const get = async (key) => {
+    const entry = await StoreEntry.findOne({ where: { key, expiresAt: { [Sequelize.Op.gt]: new Date() } } });
+    if (!entry) {
+      return null;
+    }
+
+    return { count: entry.count, expiresAt: new Date(entry.expiresAt) };
+  };
+
+  const set = async (key, count, ttl) => {
+    await StoreEntry.upsert({ key, count, expiresAt: new Date(Date.now() + ttl) });
+  };
+
+  // The count is only ever changed by single statements, so parallel increments of other instances are not lost
+  const increment = async (key, ttl) => {
+    const [updated] = await StoreEntry.update(
+      { count: Sequelize.literal('count + 1') },
+      { where: { key, expiresAt: { [Sequelize.Op.gt]: new Date() } } }
+    );
+    if (!updated) {
+      await StoreEntry.destroy({ where: { key, expiresAt: { [Sequelize.Op.lte]: new Date() } } });
+      try {
+        await StoreEntry.create({ key, count: 1, expiresAt: new Date(Date.now() + ttl) });
+      } catch (error) {
+        if (!(error instanceof Sequelize.UniqueConstraintError)) {
+          throw error;
+        }
+        // Another instance started the counter in the meantime
+        return increment(key, ttl);
+      }
+    }
+
+    return get(key);
+  };
+
+  const remove = async (key) => {
+    await StoreEntry.destroy({ where: { key } });
+  };
+
+  const removeExpiredEntries = async () => {
+    await StoreEntry.destroy({ where: { expiresAt: { [Sequelize.Op.lte]: new Date() } } });
+  };
+
+  scheduleJob('Removing expired store entries', removeExpiredEntries, cleanupInterval).timer.unref();
+
+  return { get, set, increment, remove };
+};
+
+module.exports = createDatabaseStore;
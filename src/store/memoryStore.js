@@ -0,0 +1,52 @@
+// Counters kept in this process only, suitable for a single instance deployment and for tests
+const createMemoryStore = ({ cleanupInterval = 60 * 1000 } = {}) => {
+  const entries = new Map();
+
+  const get = async (key) => {
+    const entry = entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+
+    return { count: entry.count, expiresAt: new Date(entry.expiresAt) };
+  };
+
+  const set = async (key, count, ttl) => {
+    entries.set(key, { count, expiresAt: Date.now() + ttl });
+  };
+
+  const increment = async (key, ttl) => {
+    const entry = await get(key);
+    if (!entry) {
+      await set(key, 1, ttl);
+      return get(key);
+    }
+
+    entries.get(key).count += 1;
+    return get(key);
+  };
+
+  const remove = async (key) => {
+    entries.delete(key);
+  };
+
+  const cleanup = () => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+      }
+    });
+  };
+
+  setInterval(cleanup, cleanupInterval).unref();
+
+  return { get, set, increment, remove };
+};
+
+module.exports = createMemoryStore;